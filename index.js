@@ -6,7 +6,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { watch } from 'fs';
+import { watch, realpathSync } from 'fs';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -14,16 +14,135 @@ const __dirname = dirname(__filename);
 
 // Import non-breaking spaces utility
 import { insertNonBreakingSpaces, getLanguageFromLocale } from './src/utils/non-breaking-spaces.js';
+import { withFileLock } from './src/utils/file-lock.js';
+
+// Import exchange formats
+import { translationsToCsv, csvToTranslations } from './src/formats/csv.js';
+import { translationsToXliff, xliffToTranslations } from './src/formats/xliff.js';
+import { parsePo, stringifyPo, getPoEntryKey, createPoEntryForKey, getPoPluralKey, createPoHeader } from './src/formats/po.js';
+import { parseYamlCatalog, createYamlCatalog, updateYamlCatalog } from './src/formats/yaml.js';
+import { findLeafObjectConflicts, findLocaleConflicts, scanJsonKeys } from './src/validation/structure.js';
+import { parseMessage, compareMessages } from './src/validation/icu.js';
+import { compareTags } from './src/validation/tags.js';
+import { findIcuPluralGaps, groupPluralSuffixKeys, findSuffixPluralGaps } from './src/validation/plurals.js';
+import { compileKeyGlob, parseLengthConstraints, resolveLengthLimits, checkLength } from './src/validation/length.js';
+import { detectSourceCopy, parseCopyAllowlist, isAllowedCopy, DEFAULT_MIN_SIMILARITY } from './src/validation/copies.js';
+import { parseGlossary, findGlossaryTerms, describeGlossaryEntry, checkTerms } from './src/validation/glossary.js';
+import { parseProtectedTokens, checkProtectedTokens } from './src/validation/protected.js';
+import { resolveLintConfig, lintValue, SEVERITIES } from './src/validation/lint.js';
+import { BUILT_IN_LINT_RULES } from './src/validation/lint-rules.js';
+import { canTransition, hashSourceText, parseCheckFile, serializeCheckFile, REVIEW_STATES, REVIEWABLE_STATES } from './src/review/lifecycle.js';
+import { parseCommentFile, serializeCommentFile, createComment, createThread, filterThreads, THREAD_STATUSES } from './src/review/comments.js';
+import { createAuditEntry, formatAuditLines, parseAuditLog } from './src/review/audit.js';
+import { compareQueueItems, encodeCursor, decodeCursor, REVIEW_ORDERS } from './src/review/queue.js';
+import { parseLeaseFile, serializeLeaseFile, createLease, isLeaseActive, leaseCovers, findBlockingLease, DEFAULT_LEASE_MINUTES } from './src/review/leases.js';
+import { detectJsonLayout, parseKeyPath, coerceLeafValue, orderFlatData, stringifyJson, DEFAULT_JSON_LAYOUT } from './src/formats/json.js';
+import {
+  parseAndroidStrings,
+  createAndroidStrings,
+  androidStringsToFlatData,
+  updateAndroidStrings,
+  stringifyAndroidStrings,
+  getAndroidValuesLocale,
+  getAndroidValuesDir
+} from './src/formats/android.js';
+import {
+  decodeStringsBuffer,
+  encodeStringsBuffer,
+  parseAppleStrings,
+  appleStringsToFlatData,
+  updateAppleStrings,
+  stringifyAppleStrings,
+  getLprojLocale,
+  xcstringsToFlatData,
+  updateXcstrings,
+  stringifyXcstrings
+} from './src/formats/apple.js';
+
+// Per-key length limits, edited by hand next to the locale catalogs
+const LENGTH_CONSTRAINTS_FILE = 'translation-constraints.json';
+
+// Keys and values allowed to stay identical to the source locale, edited by hand
+const COPY_ALLOWLIST_FILE = 'translation-allowlist.json';
+
+// Project glossary with preferred and forbidden terms per locale
+const GLOSSARY_FILE = 'translation-glossary.json';
+
+// Brand names, SKUs and URLs that must stay exactly as in the source
+const PROTECTED_TOKENS_FILE = 'translation-do-not-translate.json';
+
+// Lint rule severities and options
+const LINT_CONFIG_FILE = 'translation-lint.json';
+
+// Hand-edited sidecar files, reloaded together with the catalogs
+const CONFIG_FILES = [LENGTH_CONSTRAINTS_FILE, COPY_ALLOWLIST_FILE, GLOSSARY_FILE, PROTECTED_TOKENS_FILE, LINT_CONFIG_FILE];
+
+// Review state of each key, written by the server
+const REVIEW_STATE_FILE = 'translation-check.json';
+
+// Reviewer comment threads, written by the server
+const COMMENTS_FILE = 'translation-comments.json';
+
+// Append-only journal of changes to values and review states
+const AUDIT_LOG_FILE = 'translation-audit.jsonl';
+
+// Keys claimed by concurrent reviewers, written by the server
+const LEASES_FILE = 'translation-leases.json';
+
+// Files in the messages directory that are not locale catalogs
+const SIDECAR_FILES = [REVIEW_STATE_FILE, COMMENTS_FILE, AUDIT_LOG_FILE, LEASES_FILE, ...CONFIG_FILES];
+
+// Key prefixes of mobile platform catalogs, which share the key map with the web catalogs
+const PLATFORM_KEY_PREFIXES = {
+  android: 'android.',
+  apple: 'ios.'
+};
+
+// Catalog formats by file extension
+const CATALOG_FORMATS = {
+  '.json': 'json',
+  '.po': 'po',
+  '.yml': 'yaml',
+  '.yaml': 'yaml'
+};
 
 export class TranslationManager {
   constructor() {
-    this.translations = new Map(); // key -> { isChecked: boolean, translations: { locale: string } }
+    this.translations = new Map(); // key -> { reviewStates: { locale: 'translated' | 'approved' | ... }, sourceHashes: { locale: hash }, rejections: { locale: { reason, reviewer?, rejectedAt } }, translations: { locale: string } }
     this.locales = [];
+    this.localeFormats = {}; // locale -> 'json' | 'po' | 'yaml'
+    this.poCatalogs = new Map(); // locale -> { header, entries } parsed from <locale>.po
+    this.poTemplate = null; // { filepath, header, entries } parsed from a .pot file
+    this.layout = 'flat'; // 'flat' (<locale>.json) or 'namespaced' (<locale>/<namespace>.json)
+    this.localeNamespaces = {}; // locale -> namespaces loaded from <locale>/<namespace>.json
+    this.fuzzyKeys = new Map(); // locale -> Set of keys flagged '#, fuzzy' in its PO catalog
+    this.yamlCatalogs = new Map(); // locale -> [{ filepath, document, rootKey, flatData }] parsed from <locale>.yml and *.<locale>.yml, in load order
+    this.jsonLayouts = new Map(); // filepath -> { indent, eol, finalNewline, keyOrder, duplicateKeys } of loaded JSON files
+    this.fileStructureIssues = []; // { file, type: 'duplicate' | 'dotted', key } found in raw JSON at load time
+    this.platformSources = { androidResDir: null, appleStringsDir: null, xcstringsFile: null };
+    this.androidCatalogs = new Map(); // locale -> { filepath, document } parsed from res/values-xx/strings.xml
+    this.appleStringsCatalogs = new Map(); // locale -> { filepath, document, encoding } parsed from xx.lproj/Localizable.strings
+    this.xcstringsCatalog = null; // { filepath, catalog, languages: { locale: language } } parsed from a .xcstrings file
+    this.platformPlurals = new Set(); // prefixed platform keys that use native plural constructs
+    this.platformArrays = new Set(); // prefixed Android keys that are string arrays
+    this.platformKeys = new Set(); // prefixed keys of the mobile catalogs; web keys may use the same prefixes
+    this.lengthConstraints = parseLengthConstraints({}); // { defaults, rules } from translation-constraints.json
+    this.copyAllowlist = parseCopyAllowlist({}); // { keys, values, localeValues } from translation-allowlist.json
+    this.glossary = []; // { term, note, caseSensitive, pattern, translations } from translation-glossary.json
+    this.protectedTokens = []; // global RegExps of do-not-translate tokens from translation-do-not-translate.json
+    this.lintConfig = resolveLintConfig(this.getLintRules(), {}); // { enabled: Map<ruleId, { rule, severity, options }> } from translation-lint.json
+    this.commentThreads = []; // { id, key, locale?, status, createdAt, comments } from translation-comments.json
+    this.sourceTexts = new Map(); // source hash -> source text that translations were made against
+    this.storedReviewRecords = new Map(); // key -> { locale: { state, sourceHash, rejection } } as last read from or written to translation-check.json
+    this.leases = []; // { key, reviewer, locales?, claimedAt, expiresAt } from translation-leases.json
+    this.leaseUpdates = Promise.resolve(); // claims and releases run one at a time
+    this.actor = null; // name recorded with changes in the audit journal (TRANSLATION_ACTOR)
     this.messagesDir = null;
+    this.sourceLocale = null;
     this.tempStateFile = null;
     this.previousState = null;
     this.hasLoadedInitialCheck = false;
-    this.fileWatcher = null;
+    this.fileWatchers = [];
     this.reloadTimer = null;
   }
 
@@ -42,13 +161,15 @@ export class TranslationManager {
     // Load translations and detect changes
     await this.loadTranslationsFromJson();
     
-    // Only load checked status from translation-check.json on first load
+    // Only load review states, comments and leases on first load; the server keeps them up to date afterwards
     if (!this.hasLoadedInitialCheck) {
-      await this.loadCheckedStatus();
+      await this.loadReviewStates();
+      this.commentThreads = parseCommentFile(await this.readConfigFile(COMMENTS_FILE));
+      await this.loadLeases();
       this.hasLoadedInitialCheck = true;
     }
     
-    // Set up file watcher for JSON files
+    // Set up file watchers for locale files
     this.setupFileWatcher();
   }
 
@@ -56,9 +177,11 @@ export class TranslationManager {
     const items = [];
     
     for (const [key, value] of Object.entries(data)) {
-      const newKey = parentKey ? `${parentKey}.${key}` : key;
+      // Array items are addressed by index (faq.items[2])
+      const newKey = Array.isArray(data) ? `${parentKey}[${key}]` : parentKey ? `${parentKey}.${key}` : key;
       
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      // Numbers, booleans, null and empty arrays are kept as typed leaves
+      if (typeof value === 'object' && value !== null && !(Array.isArray(value) && value.length === 0)) {
         items.push(...this.flattenJson(value, newKey));
       } else {
         items.push([newKey, value]);
@@ -68,9 +191,9 @@ export class TranslationManager {
     return items;
   }
 
-  unflattenJson(flatData) {
-    // Sort keys by depth (number of dots), then alphabetically
-    const sortedData = [...flatData].sort((a, b) => {
+  unflattenJson(flatData, keyOrder = null) {
+    // Files loaded from disk keep their key order; new files sort keys by depth (number of dots), then alphabetically
+    const sortedData = keyOrder ? orderFlatData(flatData, keyOrder) : [...flatData].sort((a, b) => {
       const depthA = a[0].split('.').length;
       const depthB = b[0].split('.').length;
       
@@ -83,16 +206,24 @@ export class TranslationManager {
       return a[0].localeCompare(b[0]);
     });
     
+    // A key that is both a value and a parent would overwrite one of them
+    const conflicts = findLocaleConflicts([], flatData.map(([key]) => key));
+    if (conflicts.length > 0) {
+      const { key, conflictsWith } = conflicts[0];
+      throw new Error(`Key "${key}" conflicts with "${conflictsWith}": a key cannot be both a value and a parent (${conflicts.length} conflicts)`);
+    }
+
     const result = {};
     
     for (const [flatKey, value] of sortedData) {
-      const keys = flatKey.split('.');
+      const keys = parseKeyPath(flatKey);
       let current = result;
       
       for (let i = 0; i < keys.length - 1; i++) {
         const key = keys[i];
         if (!current[key]) {
-          current[key] = {};
+          // Numeric segments are array indices; missing items are written as null
+          current[key] = typeof keys[i + 1] === 'number' ? [] : {};
         }
         current = current[key];
       }
@@ -103,10 +234,37 @@ export class TranslationManager {
     return result;
   }
 
+  // Get the catalog format of a file in the messages directory, or null if it is not a locale file
+  getCatalogFormat(filename) {
+    if (SIDECAR_FILES.includes(filename) || filename.endsWith('.bak')) {
+      return null;
+    }
+    return CATALOG_FORMATS[path.extname(filename)] || null;
+  }
+
+  // Locale of a catalog file; Rails-style YAML names such as devise.en.yml end in the locale
+  getCatalogLocale(filename) {
+    const basename = filename.slice(0, -path.extname(filename).length);
+    return this.getCatalogFormat(filename) === 'yaml' ? basename.split('.').pop() : basename;
+  }
+
   async loadTranslationsFromJson() {
     try {
       const files = await fs.readdir(this.messagesDir);
       this.locales = [];
+      this.localeFormats = {};
+      this.poCatalogs = new Map();
+      this.poTemplate = null;
+      this.fuzzyKeys = new Map();
+      this.yamlCatalogs = new Map();
+      this.jsonLayouts = new Map();
+      this.fileStructureIssues = [];
+      this.androidCatalogs = new Map();
+      this.appleStringsCatalogs = new Map();
+      this.xcstringsCatalog = null;
+      this.platformPlurals = new Set();
+      this.platformArrays = new Set();
+      this.platformKeys = new Set();
       
       // Store current state before loading new translations
       const currentState = new Map();
@@ -114,52 +272,82 @@ export class TranslationManager {
         currentState.set(key, { ...data.translations });
       }
       
-      // First pass - collect all locales
-      for (const filename of files) {
-        if (filename.endsWith('.json') && !filename.endsWith('.bak') && filename !== 'translation-check.json') {
-          const locale = filename.replace('.json', '');
-          this.locales.push(locale);
+      // Namespaced layout: one directory per locale, one file per namespace
+      if (this.layout === 'namespaced') {
+        await this.loadNamespacedCatalogs();
+      }
+      
+      // First pass - collect all locales; a YAML locale may be split over several files, other formats use one file
+      const localeFiles = new Map();
+      for (const filename of this.layout === 'namespaced' ? [] : [...files].sort()) {
+        const format = this.getCatalogFormat(filename);
+        if (format) {
+          const locale = this.getCatalogLocale(filename);
+          if (this.localeFormats[locale] && !(format === 'yaml' && this.localeFormats[locale] === 'yaml')) {
+            console.error(`Skipping ${filename}: locale ${locale} is already loaded from ${localeFiles.get(locale)[0]}`);
+            continue;
+          }
+          if (!this.localeFormats[locale]) {
+            this.locales.push(locale);
+            this.localeFormats[locale] = format;
+          }
+          localeFiles.set(locale, [...(localeFiles.get(locale) || []), filename]);
         }
       }
       
-      // Second pass - load translations
-      for (const filename of files) {
-        if (filename.endsWith('.json') && !filename.endsWith('.bak') && filename !== 'translation-check.json') {
-          const locale = filename.replace('.json', '');
+      // Second pass - load translations; later files of a locale override earlier ones, as in Rails
+      for (const [locale, filenames] of localeFiles.entries()) {
+        const format = this.localeFormats[locale];
+        for (const filename of filenames) {
           const filepath = path.join(this.messagesDir, filename);
           
           try {
             const content = await fs.readFile(filepath, 'utf8');
-            const data = JSON.parse(content);
-            const flatData = this.flattenJson(data);
+            const flatData = this.parseCatalog(locale, format, content, filepath);
             
-            for (const [key, value] of flatData) {
-              if (!this.translations.has(key)) {
-                this.translations.set(key, {
-                  isChecked: false,
-                  translations: {}
-                });
-              }
-              
-              const entry = this.translations.get(key);
-              entry.translations[locale] = value;
-              
-              // Check if this translation has changed compared to previous state
-              if (this.previousState && this.previousState[key]) {
-                if (this.previousState[key][locale] !== value) {
-                  // Translation changed, mark as unchecked
-                  entry.isChecked = false;
-                }
-              } else if (this.previousState && !this.previousState[key]) {
-                // New key, mark as unchecked
-                entry.isChecked = false;
-              }
-            }
+            this.applyLoadedTranslations(locale, flatData);
           } catch (error) {
             console.error(`Error processing ${filename}:`, error);
           }
         }
       }
+
+      // A gettext template registers keys that no locale has translated yet
+      const templateFile = files.find(filename => filename.endsWith('.pot'));
+      if (templateFile) {
+        await this.loadPoTemplate(path.join(this.messagesDir, templateFile));
+      }
+
+      // Mobile catalogs add their keys under a platform prefix
+      await this.loadPlatformCatalogs();
+
+      // Values edited on disk since the last load need another review; the first load takes the stored states instead
+      if (this.hasLoadedInitialCheck && this.applyChangedReviewStates()) {
+        await this.saveReviewStates();
+      }
+
+      this.lengthConstraints = parseLengthConstraints(await this.readConfigFile(LENGTH_CONSTRAINTS_FILE));
+      this.copyAllowlist = parseCopyAllowlist(await this.readConfigFile(COPY_ALLOWLIST_FILE));
+      this.glossary = parseGlossary(await this.readConfigFile(GLOSSARY_FILE));
+      const { patterns: protectedTokens, invalid: invalidPatterns } = parseProtectedTokens(await this.readConfigFile(PROTECTED_TOKENS_FILE));
+      this.protectedTokens = protectedTokens;
+      if (invalidPatterns.length > 0) {
+        console.error(`Ignoring invalid patterns in ${PROTECTED_TOKENS_FILE}: ${invalidPatterns.join(', ')}`);
+      }
+      this.lintConfig = resolveLintConfig(this.getLintRules(), await this.readConfigFile(LINT_CONFIG_FILE));
+      const ignoredLintSettings = [
+        ...this.lintConfig.unknownRules.map(id => `${id} (unknown rule)`),
+        ...this.lintConfig.invalidSeverities.map(id => `${id} (invalid severity)`)
+      ];
+      if (ignoredLintSettings.length > 0) {
+        console.error(`Ignoring settings in ${LINT_CONFIG_FILE}: ${ignoredLintSettings.join(', ')}`);
+      }
+
+      // Keys that cannot be saved back as they were loaded are reported, not fixed
+      const structureConflicts = this.getStructureConflicts();
+      if (structureConflicts.conflictCount > 0) {
+        console.error(`Found ${structureConflicts.conflictCount} structure conflicts, see get_structure_conflicts`);
+      }
       
       // Save current state for next comparison
       await this.saveCurrentState();
@@ -171,591 +359,3436 @@ export class TranslationManager {
     }
   }
 
-  async saveTranslationsToJson() {
-    return this.saveTranslationsToJsonForLocales(this.locales);
+  // Apply a language's non-breaking space rules, leaving do-not-translate tokens untouched
+  applyNonBreakingSpaces(content, language) {
+    return insertNonBreakingSpaces(content, language, this.protectedTokens);
   }
-  
-  async saveTranslationsToJsonForLocales(localesToSave) {
-    try {
-      // Save each specified locale file
-      for (const locale of localesToSave) {
-        if (!this.locales.includes(locale)) {
-          continue;
-        }
 
-        const filename = `${locale}.json`;
-        const filepath = path.join(this.messagesDir, filename);
+  // Whether a locale has no translation for a key; typed leaves (0, false, null) count as translated
+  isMissingTranslation(value) {
+    return value === undefined || value === '';
+  }
 
-        // Create flattened data for this locale
-        const flatData = [];
-        const language = getLanguageFromLocale(locale);
+  // Parse the content of a locale file into flattened [key, value] pairs
+  parseCatalog(locale, format, content, filepath) {
+    switch (format) {
+      case 'po':
+        return this.loadPoCatalog(locale, content);
+      case 'yaml':
+        return this.loadYamlCatalog(locale, content, filepath);
+      default:
+        return this.loadJsonCatalog(content, filepath);
+    }
+  }
 
-        for (const [key, data] of this.translations.entries()) {
-          if (data.translations[locale] !== undefined) {
-            // Apply non-breaking spaces before saving
-            const processedTranslation = insertNonBreakingSpaces(data.translations[locale], language);
-            flatData.push([key, processedTranslation]);
-          }
-        }
+  // Parse a JSON locale file, recording its key order and formatting for saving
+  loadJsonCatalog(content, filepath, parentKey = '') {
+    const flatData = this.flattenJson(JSON.parse(content), parentKey);
+    const keyOrder = flatData.map(([key]) => parentKey ? key.slice(parentKey.length + 1) : key);
+    const { duplicateKeys, dottedKeys } = scanJsonKeys(content, parentKey);
+    const file = path.relative(this.messagesDir, filepath);
 
-        // Unflatten to nested structure
-        const nestedData = this.unflattenJson(flatData);
+    duplicateKeys.forEach(key => this.fileStructureIssues.push({ file, type: 'duplicate', key }));
+    dottedKeys.forEach(key => this.fileStructureIssues.push({ file, type: 'dotted', key }));
+    this.jsonLayouts.set(filepath, { ...detectJsonLayout(content), keyOrder, duplicateKeys });
+    return flatData;
+  }
 
-        // Write the new content
-        const jsonContent = JSON.stringify(nestedData, null, 4);
-        await fs.writeFile(filepath, jsonContent, 'utf8');
-      }
+  // Write a JSON locale file with the layout it had when it was loaded
+  async writeJsonCatalog(filepath, flatData) {
+    const layout = this.jsonLayouts.get(filepath);
 
-      console.error(`Saved translations to ${localesToSave.length} JSON files`);
+    // Only the last of duplicated keys was loaded, so saving would lose the others
+    if (layout && layout.duplicateKeys.length > 0) {
+      throw new Error(`Refusing to save ${path.relative(this.messagesDir, filepath)}: duplicate keys would be lost (${layout.duplicateKeys.join(', ')})`);
+    }
 
-      // Also save the checked status
-      await this.saveCheckedStatus();
+    const nestedData = this.unflattenJson(flatData, layout ? layout.keyOrder : null);
+    await fs.writeFile(filepath, stringifyJson(nestedData, layout), 'utf8');
 
-      return {
-        success: true,
-        savedLocales: [...localesToSave, 'translation-check'],
-        keyCount: this.translations.size
-      };
-    } catch (error) {
-      console.error('Error saving translations:', error);
-      throw error;
-    }
+    // Keys written now are part of the file's order for later saves
+    this.jsonLayouts.set(filepath, {
+      ...(layout || { ...DEFAULT_JSON_LAYOUT, duplicateKeys: [] }),
+      keyOrder: this.flattenJson(nestedData).map(([key]) => key)
+    });
   }
 
-  async loadCheckedStatus() {
-    try {
-      const filepath = path.join(this.messagesDir, 'translation-check.json');
-      const content = await fs.readFile(filepath, 'utf8');
-      const checkedData = JSON.parse(content);
-      
-      // Apply checked status to existing translations
-      for (const [key, isChecked] of Object.entries(checkedData)) {
-        if (this.translations.has(key)) {
-          const entry = this.translations.get(key);
-          entry.isChecked = isChecked;
-        }
+  // Merge loaded [key, value] pairs of one locale into the translations map
+  applyLoadedTranslations(locale, flatData) {
+    for (const [key, value] of flatData) {
+      if (!this.translations.has(key)) {
+        this.translations.set(key, {
+          reviewStates: {},
+          sourceHashes: {},
+          rejections: {},
+          translations: {}
+        });
       }
       
-      console.error(`Loaded checked status for ${Object.keys(checkedData).length} keys`);
-    } catch (error) {
-      console.error('Could not load translation-check.json, starting with all unchecked:', error.message);
-      // It's OK if the file doesn't exist, we'll create it on first save
+      const entry = this.translations.get(key);
+      entry.translations[locale] = value;
     }
   }
 
-  async saveCheckedStatus() {
-    try {
-      const filepath = path.join(this.messagesDir, 'translation-check.json');
-      const checkedData = {};
-      
-      // Collect all checked statuses
-      for (const [key, data] of this.translations.entries()) {
-        checkedData[key] = data.isChecked;
-      }
-      
-      // Write to file
-      const jsonContent = JSON.stringify(checkedData, null, 2);
-      await fs.writeFile(filepath, jsonContent, 'utf8');
-      
-      console.error(`Saved checked status for ${this.translations.size} keys`);
-    } catch (error) {
-      console.error('Error saving translation-check.json:', error);
-      throw error;
+  // Move translations whose values or source texts changed on disk since the last load to their next review state; returns whether any state changed
+  applyChangedReviewStates() {
+    let changed = false;
+
+    for (const [key, entry] of this.translations.entries()) {
+      const previous = this.previousState?.[key] || {};
+      const changedLocales = this.previousState ? this.locales.filter(locale => previous[locale] !== entry.translations[locale]) : [];
+      changed = this.markTranslationsChanged(entry, changedLocales) || changed;
     }
+
+    return this.flagFuzzyKeysForReview() || changed;
   }
 
-  getMessagesToCheck(n = 10) {
-    const uncheckedMessages = {};
-    let count = 0;
-    
-    for (const [key, data] of this.translations.entries()) {
-      if (!data.isChecked) {
-        uncheckedMessages[key] = data.translations;
-        count++;
-        
-        if (count >= n) {
-          break;
+  // Fuzzy PO entries still need review; returns whether any state changed
+  flagFuzzyKeysForReview() {
+    let changed = false;
+
+    for (const [locale, keys] of this.fuzzyKeys.entries()) {
+      for (const key of keys) {
+        const entry = this.translations.get(key);
+        const state = entry && this.getReviewState(entry, locale);
+        if (state === 'approved' || state === 'translated') {
+          entry.reviewStates[locale] = 'needs_review';
+          changed = true;
         }
       }
     }
-    
-    return uncheckedMessages;
+
+    return changed;
   }
 
-  async updateTranslations(updates) {
-    let updatedCount = 0;
-    const modifiedLocales = new Set();
+  // A written translation waits for review and is made against the current source text. Returns whether any state or source hash changed
+  markTranslationsChanged(entry, changedLocales) {
+    const before = JSON.stringify([entry.reviewStates, entry.sourceHashes]);
 
-    // updates is an object: { key: { locale: translation } }
-    for (const [key, localeTranslations] of Object.entries(updates)) {
-      if (!this.translations.has(key)) {
+    for (const locale of this.getReviewLocales()) {
+      if (changedLocales.includes(locale)) {
+        entry.reviewStates[locale] = 'translated';
+        this.recordSourceText(entry, locale);
+      }
+    }
+    this.markStaleTranslations(entry);
+
+    return JSON.stringify([entry.reviewStates, entry.sourceHashes]) !== before;
+  }
+
+  // Translations made against another source text than the current one become stale; translations without a hash take the current one
+  markStaleTranslations(entry) {
+    const sourceHash = hashSourceText(entry.translations[this.getSourceLocale()]);
+    if (!sourceHash) {
+      return;
+    }
+
+    for (const locale of this.getReviewLocales()) {
+      const state = this.getReviewState(entry, locale);
+      if (state === 'new') {
         continue;
       }
+      if (!entry.sourceHashes[locale]) {
+        this.recordSourceText(entry, locale);
+      } else if (entry.sourceHashes[locale] !== sourceHash && state !== 'stale') {
+        entry.reviewStates[locale] = 'stale';
+      }
+    }
+  }
 
-      const entry = this.translations.get(key);
+  // Record the current source text as the one a translation was made against
+  recordSourceText(entry, locale) {
+    const source = entry.translations[this.getSourceLocale()];
+    const sourceHash = hashSourceText(source);
+    if (sourceHash) {
+      entry.sourceHashes[locale] = sourceHash;
+      this.sourceTexts.set(sourceHash, source);
+    } else {
+      delete entry.sourceHashes[locale];
+    }
+  }
 
-      for (const [locale, translation] of Object.entries(localeTranslations)) {
-        if (!this.locales.includes(locale)) {
-          continue;
-        }
+  // Locales whose translations are reviewed (all but the source locale), optionally limited to the given ones
+  getReviewLocales(locales = null) {
+    const sourceLocale = this.getSourceLocale();
+    return this.locales.filter(locale => locale !== sourceLocale && (!locales || locales.length === 0 || locales.includes(locale)));
+  }
 
-        // Get the language code from locale (e.g., 'pl' from 'pl-pl')
-        const language = getLanguageFromLocale(locale);
+  // Review state of one translation; a locale without a value is always new
+  getReviewState(entry, locale) {
+    if (this.isMissingTranslation(entry.translations[locale])) {
+      return 'new';
+    }
+    const state = entry.reviewStates[locale];
+    return state && state !== 'new' ? state : 'translated';
+  }
 
-        // Apply non-breaking spaces if rules exist for this language
-        const processedTranslation = insertNonBreakingSpaces(translation, language);
+  // Load <locale>/<namespace>.json files; keys are prefixed with the namespace
+  async loadNamespacedCatalogs() {
+    this.localeNamespaces = {};
+    const dirEntries = await fs.readdir(this.messagesDir, { withFileTypes: true });
 
-        entry.translations[locale] = processedTranslation;
-        modifiedLocales.add(locale);
-        updatedCount++;
+    for (const dirEntry of dirEntries) {
+      if (!dirEntry.isDirectory() || dirEntry.name.startsWith('.')) {
+        continue;
       }
-    }
 
-    // Auto-save only the modified locales to disk
-    if (modifiedLocales.size > 0) {
-      try {
-        await this.saveTranslationsToJsonForLocales(Array.from(modifiedLocales));
-        console.error(`Auto-saved translations for locales: ${Array.from(modifiedLocales).join(', ')}`);
-      } catch (error) {
-        console.error(`Error auto-saving translations:`, error);
-        return { success: false, error: error.message };
+      const locale = dirEntry.name;
+      const localeDir = path.join(this.messagesDir, locale);
+      const namespaceFiles = (await fs.readdir(localeDir)).filter(filename => this.getCatalogFormat(filename) === 'json');
+      if (namespaceFiles.length === 0) {
+        continue;
+      }
+
+      this.locales.push(locale);
+      this.localeFormats[locale] = 'json';
+      this.localeNamespaces[locale] = new Set();
+
+      for (const filename of namespaceFiles) {
+        const namespace = path.basename(filename, '.json');
+        this.localeNamespaces[locale].add(namespace);
+
+        try {
+          const content = await fs.readFile(path.join(localeDir, filename), 'utf8');
+          const flatData = this.loadJsonCatalog(content, path.join(localeDir, filename), namespace);
+          this.applyLoadedTranslations(locale, flatData);
+        } catch (error) {
+          console.error(`Error processing ${locale}/${filename}:`, error);
+        }
       }
     }
+  }
 
-    return { success: true, updatedKeys: updatedCount };
+  // Split a key into its namespace (first segment) and the key within the namespace file
+  splitNamespacedKey(key) {
+    const separatorIndex = key.indexOf('.');
+    if (separatorIndex <= 0 || separatorIndex === key.length - 1) {
+      throw new Error(`Key "${key}" has no namespace prefix (expected "<namespace>.<key>")`);
+    }
+    return [key.slice(0, separatorIndex), key.slice(separatorIndex + 1)];
   }
 
-  async markChecked(keys) {
-    // Handle both single key (string) and multiple keys (array)
-    const keyList = Array.isArray(keys) ? keys : [keys];
-    let markedCount = 0;
+  // Write <locale>/<namespace>.json files, grouping keys by their first segment
+  async saveNamespacedLocale(locale) {
+    const language = getLanguageFromLocale(locale);
+    const namespaces = new Map();
 
-    for (const key of keyList) {
-      if (!this.translations.has(key)) {
+    // Namespaces that lost all their keys are still written, as empty files
+    for (const namespace of this.localeNamespaces[locale] || []) {
+      namespaces.set(namespace, []);
+    }
+
+    for (const [key, data] of this.translations.entries()) {
+      if (data.translations[locale] === undefined || this.isPlatformKey(key)) {
         continue;
       }
 
-      const entry = this.translations.get(key);
-      entry.isChecked = true;
-      markedCount++;
+      const [namespace, namespacedKey] = this.splitNamespacedKey(key);
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, []);
+      }
+
+      // Apply non-breaking spaces before saving
+      const processedTranslation = this.applyNonBreakingSpaces(data.translations[locale], language);
+      namespaces.get(namespace).push([namespacedKey, processedTranslation]);
     }
 
-    // Auto-save the checked status
-    await this.saveCheckedStatus();
+    const localeDir = path.join(this.messagesDir, locale);
+    await fs.mkdir(localeDir, { recursive: true });
 
-    return { success: true, markedCount };
+    for (const [namespace, flatData] of namespaces.entries()) {
+      await this.writeJsonCatalog(path.join(localeDir, `${namespace}.json`), flatData);
+    }
+
+    this.localeNamespaces[locale] = new Set(namespaces.keys());
   }
 
-  getCheckedKeys() {
-    const checkedKeys = [];
-    
+  // Parse a <locale>.yml or *.<locale>.yml file, keeping the document for comment-preserving saves
+  loadYamlCatalog(locale, content, filepath) {
+    const { document, rootKey, data } = parseYamlCatalog(content, locale);
+    const flatData = this.flattenJson(data || {});
+    this.yamlCatalogs.set(locale, [...(this.yamlCatalogs.get(locale) || []), { filepath, document, rootKey, flatData }]);
+    return flatData;
+  }
+
+  // Write the YAML files of a locale, only touching values that changed. Each key goes back to the file it was loaded from
+  // (the last one when several files have it); new keys go to the file holding their closest siblings
+  async saveYamlCatalog(locale) {
+    const catalogs = this.yamlCatalogs.get(locale) || [{
+      ...createYamlCatalog(getLanguageFromLocale(locale)),
+      filepath: path.join(this.messagesDir, `${locale}.yml`),
+      flatData: []
+    }];
+    const language = getLanguageFromLocale(locale);
+    const loadedKeys = catalogs.map(catalog => new Map(catalog.flatData));
+    const sharedSegments = (a, b) => {
+      const [aParts, bParts] = [a.split('.'), b.split('.')];
+      let count = 0;
+      while (count < aParts.length && aParts[count] === bParts[count]) {
+        count++;
+      }
+      return count;
+    };
+    const findCatalogIndex = key => {
+      const owner = loadedKeys.findLastIndex(keys => keys.has(key));
+      if (owner !== -1) {
+        return owner;
+      }
+      let best = 0;
+      let bestShared = 0;
+      loadedKeys.forEach((keys, index) => {
+        for (const loadedKey of keys.keys()) {
+          const shared = sharedSegments(key, loadedKey);
+          if (shared > bestShared) {
+            best = index;
+            bestShared = shared;
+          }
+        }
+      });
+      return best;
+    };
+
+    const flatDataByCatalog = catalogs.map(() => []);
     for (const [key, data] of this.translations.entries()) {
-      if (data.isChecked) {
-        checkedKeys.push(key);
+      if (data.translations[locale] !== undefined && !this.isPlatformKey(key)) {
+        const owner = findCatalogIndex(key);
+        // Files whose value a later file overrides keep it as it is
+        loadedKeys.forEach((keys, index) => {
+          if (index !== owner && keys.has(key)) {
+            flatDataByCatalog[index].push([key, keys.get(key)]);
+          }
+        });
+        // Apply non-breaking spaces before saving
+        flatDataByCatalog[owner].push([key, this.applyNonBreakingSpaces(data.translations[locale], language)]);
       }
     }
-    
-    return checkedKeys;
+
+    for (const [index, catalog] of catalogs.entries()) {
+      const flatData = flatDataByCatalog[index];
+      if (this.yamlCatalogs.has(locale) && JSON.stringify(flatData) === JSON.stringify(catalog.flatData)) {
+        continue;
+      }
+      updateYamlCatalog(catalog, catalog.flatData, flatData);
+      catalog.flatData = flatData;
+      await fs.writeFile(catalog.filepath, catalog.document.toString(), 'utf8');
+    }
+    this.yamlCatalogs.set(locale, catalogs);
   }
 
-  getMissingTranslationKeys(page = 1, pageSize = 50) {
-    const allMissingKeys = [];
+  // Whether a key belongs to a mobile platform catalog rather than the web files
+  isPlatformKey(key) {
+    return this.platformKeys.has(key);
+  }
 
-    for (const [key, data] of this.translations.entries()) {
-      const missingLocales = [];
+  // Whether a new key goes to a configured mobile catalog: android. with an Android res directory, ios. with Apple strings or a String Catalog
+  hasConfiguredPlatformPrefix(key) {
+    const { androidResDir, appleStringsDir, xcstringsFile } = this.platformSources;
+    return (Boolean(androidResDir) && key.startsWith(PLATFORM_KEY_PREFIXES.android))
+      || (Boolean(appleStringsDir || xcstringsFile) && key.startsWith(PLATFORM_KEY_PREFIXES.apple));
+  }
 
-      for (const locale of this.locales) {
-        if (!data.translations[locale] || data.translations[locale] === '') {
-          missingLocales.push(locale);
-        }
-      }
+  // Map a mobile locale code to a loaded locale ('pl' -> 'pl-pl'), registering it if there is none
+  resolvePlatformLocale(code) {
+    if (code === null) {
+      // Default resources (values/, Base.lproj) hold the source language
+      code = this.getSourceLocale() || 'en';
+    }
 
-      if (missingLocales.length > 0) {
-        allMissingKeys.push({
-          key,
-          missingLocales,
-          existingTranslations: data.translations
-        });
+    const normalized = code.toLowerCase().replace(/_/g, '-');
+    if (this.locales.includes(normalized)) {
+      return normalized;
+    }
+
+    if (!normalized.includes('-')) {
+      const sameLanguage = this.locales.find(locale => getLanguageFromLocale(locale) === normalized);
+      if (sameLanguage) {
+        return sameLanguage;
       }
     }
 
-    // Calculate pagination
-    const totalCount = allMissingKeys.length;
-    const totalPages = Math.ceil(totalCount / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedKeys = allMissingKeys.slice(startIndex, endIndex);
+    this.locales.push(normalized);
+    this.localeFormats[normalized] = 'platform';
+    return normalized;
+  }
 
-    return {
-      count: totalCount,
-      totalPages,
-      currentPage: page,
-      pageSize,
-      keys: paginatedKeys
-    };
+  // Prefix flat pairs of a platform catalog with its key prefix, recording them as platform keys
+  prefixPlatformKeys(prefix, flatData) {
+    return flatData.map(([key, value]) => {
+      this.platformKeys.add(`${prefix}${key}`);
+      return [`${prefix}${key}`, value];
+    });
   }
 
-  // Get translations by key prefix
-  getTranslationByKeyPrefix(keyPrefix, page = 1, pageSize = 50) {
-    const allResults = [];
+  // Collect the unprefixed [key, value] pairs of one platform for a locale
+  getPlatformFlatData(prefix, locale) {
+    const language = getLanguageFromLocale(locale);
+    const flatData = [];
 
     for (const [key, data] of this.translations.entries()) {
-      if (key.startsWith(keyPrefix)) {
-        allResults.push({ key, translations: data.translations });
+      if (key.startsWith(prefix) && this.isPlatformKey(key) && data.translations[locale] !== undefined) {
+        // Apply non-breaking spaces before saving
+        flatData.push([key.slice(prefix.length), this.applyNonBreakingSpaces(data.translations[locale], language)]);
       }
     }
 
-    // Calculate pagination
-    const totalCount = allResults.length;
-    const totalPages = Math.ceil(totalCount / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedResults = allResults.slice(startIndex, endIndex);
+    return flatData;
+  }
 
-    // Convert back to object format
-    const keys = {};
-    for (const item of paginatedResults) {
-      keys[item.key] = item.translations;
-    }
+  // Load Android, Localizable.strings and String Catalog files configured in platformSources
+  async loadPlatformCatalogs() {
+    const { androidResDir, appleStringsDir, xcstringsFile } = this.platformSources;
 
-    return {
-      count: totalCount,
-      totalPages,
-      currentPage: page,
-      pageSize,
-      keys
-    };
-  }
-  
-  // Add new translations
-  async addTranslations(newTranslations) {
-    let addedKeys = 0;
-    const addedLocales = new Set();
+    if (androidResDir) {
+      const resDir = this.resolveMessagesPath(androidResDir);
+      const dirEntries = await fs.readdir(resDir, { withFileTypes: true }).catch(() => []);
 
-    // newTranslations is an object: { key: { locale: translation } }
-    for (const [key, localeTranslations] of Object.entries(newTranslations)) {
-      // Create new entry if key doesn't exist
-      if (!this.translations.has(key)) {
-        this.translations.set(key, {
-          isChecked: false,
-          translations: {}
-        });
-        addedKeys++;
-      }
+      for (const dirEntry of dirEntries) {
+        const code = dirEntry.isDirectory() ? getAndroidValuesLocale(dirEntry.name) : undefined;
+        if (code === undefined) {
+          continue;
+        }
 
-      const entry = this.translations.get(key);
+        const filepath = path.join(resDir, dirEntry.name, 'strings.xml');
+        try {
+          const document = parseAndroidStrings(await fs.readFile(filepath, 'utf8'));
+          const locale = this.resolvePlatformLocale(code);
+          const { flatData, plurals, arrays } = androidStringsToFlatData(document);
 
-      for (const [locale, translation] of Object.entries(localeTranslations)) {
-        // Add locale if it doesn't exist
-        if (!this.locales.includes(locale)) {
-          this.locales.push(locale);
-          this.locales.sort();
+          this.androidCatalogs.set(locale, { filepath, document });
+          plurals.forEach(name => this.platformPlurals.add(`${PLATFORM_KEY_PREFIXES.android}${name}`));
+          arrays.forEach(name => this.platformArrays.add(`${PLATFORM_KEY_PREFIXES.android}${name}`));
+          this.applyLoadedTranslations(locale, this.prefixPlatformKeys(PLATFORM_KEY_PREFIXES.android, flatData));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`Error processing ${filepath}:`, error);
+          }
         }
+      }
+    }
 
-        // Get the language code from locale (e.g., 'pl' from 'pl-pl')
-        const language = getLanguageFromLocale(locale);
+    if (appleStringsDir) {
+      const stringsDir = this.resolveMessagesPath(appleStringsDir);
+      const dirEntries = await fs.readdir(stringsDir, { withFileTypes: true }).catch(() => []);
 
-        // Apply non-breaking spaces if rules exist for this language
-        const processedTranslation = insertNonBreakingSpaces(translation, language);
+      for (const dirEntry of dirEntries) {
+        const code = dirEntry.isDirectory() ? getLprojLocale(dirEntry.name) : undefined;
+        if (code === undefined) {
+          continue;
+        }
 
-        entry.translations[locale] = processedTranslation;
-        addedLocales.add(locale);
+        const filepath = path.join(stringsDir, dirEntry.name, 'Localizable.strings');
+        try {
+          const { content, encoding } = decodeStringsBuffer(await fs.readFile(filepath));
+          const document = parseAppleStrings(content);
+          const locale = this.resolvePlatformLocale(code);
+
+          this.appleStringsCatalogs.set(locale, { filepath, document, encoding });
+          this.applyLoadedTranslations(locale, this.prefixPlatformKeys(PLATFORM_KEY_PREFIXES.apple, appleStringsToFlatData(document)));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`Error processing ${filepath}:`, error);
+          }
+        }
       }
     }
 
-    // Auto-save to JSON files
-    if (addedLocales.size > 0) {
+    if (xcstringsFile) {
+      const filepath = this.resolveMessagesPath(xcstringsFile);
       try {
-        await this.saveTranslationsToJson();
-        console.error(`Auto-saved translations for locales: ${Array.from(addedLocales).join(', ')}`);
+        const catalog = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        const { languages, plurals } = xcstringsToFlatData(catalog);
+        const localeLanguages = {};
+
+        for (const [language, flatData] of Object.entries(languages)) {
+          const locale = this.resolvePlatformLocale(language);
+          localeLanguages[locale] = language;
+          this.applyLoadedTranslations(locale, this.prefixPlatformKeys(PLATFORM_KEY_PREFIXES.apple, flatData));
+        }
+
+        plurals.forEach(key => this.platformPlurals.add(`${PLATFORM_KEY_PREFIXES.apple}${key}`));
+        this.xcstringsCatalog = { filepath, catalog, languages: localeLanguages };
       } catch (error) {
-        console.error(`Error auto-saving translations:`, error);
-        return { success: false, error: error.message };
+        console.error(`Error processing ${filepath}:`, error);
       }
     }
-
-    return {
-      success: true,
-      addedKeys,
-      addedLocales: Array.from(addedLocales)
-    };
   }
 
-  async loadPreviousState() {
-    try {
-      const content = await fs.readFile(this.tempStateFile, 'utf8');
-      this.previousState = JSON.parse(content);
-      console.error(`Loaded previous translation state with ${Object.keys(this.previousState).length} keys`);
-    } catch (error) {
-      console.error('No previous translation state found, starting fresh');
-      this.previousState = null;
-    }
-  }
-  
-  async saveCurrentState() {
-    try {
-      const state = {};
-      
-      for (const [key, data] of this.translations.entries()) {
-        state[key] = { ...data.translations };
+  // Write the mobile catalogs of the given locales
+  async savePlatformCatalogs(localesToSave) {
+    const { androidResDir, appleStringsDir } = this.platformSources;
+    const unprefix = (prefix, keys) => Array.from(keys)
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+
+    for (const locale of localesToSave) {
+      const androidData = this.getPlatformFlatData(PLATFORM_KEY_PREFIXES.android, locale);
+      if (androidResDir && (this.androidCatalogs.has(locale) || androidData.length > 0)) {
+        const catalog = this.androidCatalogs.get(locale) || {
+          filepath: path.join(this.resolveMessagesPath(androidResDir), getAndroidValuesDir(locale), 'strings.xml'),
+          document: createAndroidStrings()
+        };
+
+        updateAndroidStrings(catalog.document, androidData, {
+          plurals: unprefix(PLATFORM_KEY_PREFIXES.android, this.platformPlurals),
+          arrays: unprefix(PLATFORM_KEY_PREFIXES.android, this.platformArrays)
+        });
+        await fs.mkdir(path.dirname(catalog.filepath), { recursive: true });
+        await fs.writeFile(catalog.filepath, stringifyAndroidStrings(catalog.document), 'utf8');
+        this.androidCatalogs.set(locale, catalog);
+      }
+
+      const appleData = this.getPlatformFlatData(PLATFORM_KEY_PREFIXES.apple, locale);
+      if (appleStringsDir && (this.appleStringsCatalogs.has(locale) || (appleData.length > 0 && !this.xcstringsCatalog))) {
+        const catalog = this.appleStringsCatalogs.get(locale) || {
+          filepath: path.join(this.resolveMessagesPath(appleStringsDir), `${locale}.lproj`, 'Localizable.strings'),
+          document: parseAppleStrings(''),
+          encoding: 'utf8'
+        };
+
+        updateAppleStrings(catalog.document, appleData);
+        await fs.mkdir(path.dirname(catalog.filepath), { recursive: true });
+        await fs.writeFile(catalog.filepath, encodeStringsBuffer(stringifyAppleStrings(catalog.document), catalog.encoding));
+        this.appleStringsCatalogs.set(locale, catalog);
       }
-      
-      await fs.writeFile(this.tempStateFile, JSON.stringify(state, null, 2), 'utf8');
-      console.error(`Saved current translation state with ${Object.keys(state).length} keys`);
-    } catch (error) {
-      console.error('Error saving translation state:', error);
     }
-  }
-  
-  // Get translation status summary
-  getTranslationStatus() {
-    let total = 0;
-    let missingTranslations = 0;
-    let waitingForCheck = 0;
-    
-    for (const [key, data] of this.translations.entries()) {
-      total++;
-      
-      // Check if missing translations in any locale
-      let hasMissingTranslation = false;
-      for (const locale of this.locales) {
-        if (!data.translations[locale] || data.translations[locale] === '') {
-          hasMissingTranslation = true;
-          break;
+
+    // The String Catalog holds every language, so it is written once
+    if (this.xcstringsCatalog) {
+      const { filepath, catalog, languages } = this.xcstringsCatalog;
+      let changed = false;
+
+      for (const locale of localesToSave) {
+        const appleData = this.getPlatformFlatData(PLATFORM_KEY_PREFIXES.apple, locale);
+        if (!languages[locale] && appleData.length === 0) {
+          continue;
         }
+
+        languages[locale] = languages[locale] || locale;
+        updateXcstrings(catalog, languages[locale], appleData, unprefix(PLATFORM_KEY_PREFIXES.apple, this.platformPlurals));
+        changed = true;
       }
-      
-      if (hasMissingTranslation) {
-        missingTranslations++;
-      }
-      
-      if (!data.isChecked) {
-        waitingForCheck++;
+
+      if (changed) {
+        await fs.writeFile(filepath, stringifyXcstrings(catalog), 'utf8');
       }
     }
-    
-    return {
-      total,
-      missingTranslations,
-      waitingForCheck
-    };
   }
 
-  // Apply non-breaking spaces to all translations
-  applyNonBreakingSpacesToAll() {
-    let updatedCount = 0;
-    
-    for (const [key, data] of this.translations.entries()) {
-      for (const locale of this.locales) {
-        if (data.translations[locale]) {
-          const language = getLanguageFromLocale(locale);
-          const original = data.translations[locale];
-          const processed = insertNonBreakingSpaces(original, language);
-          
-          if (original !== processed) {
-            data.translations[locale] = processed;
-            updatedCount++;
-          }
-        }
-      }
+  // Get the flattened [key, value] pairs of a PO entry; plural forms become key#0, key#1, ...
+  getPoEntryValues(entry) {
+    const key = getPoEntryKey(entry);
+    if (entry.msgidPlural === undefined) {
+      return [[key, entry.msgstr[0] ?? '']];
     }
-    
-    return {
-      success: true,
-      totalKeys: this.translations.size,
-      totalLocales: this.locales.length,
-      updatedTranslations: updatedCount
-    };
+
+    const pluralCount = Math.max(entry.msgstr.length, 2);
+    const values = [];
+    for (let i = 0; i < pluralCount; i++) {
+      values.push([getPoPluralKey(key, i), entry.msgstr[i] ?? '']);
+    }
+    return values;
   }
 
-  // Delete all keys with a given prefix
-  async deleteKeysByPrefix(prefix, locales = null) {
-    if (!prefix) {
-      throw new Error('Prefix is required');
+  // Parse a <locale>.po file, keeping its entries for the round-trip on save
+  loadPoCatalog(locale, content) {
+    const { header, entries } = parsePo(content);
+    this.poCatalogs.set(locale, { header, entries });
+
+    const flatData = [];
+    for (const entry of entries) {
+      if (entry.obsolete) {
+        continue;
+      }
+
+      const values = this.getPoEntryValues(entry);
+      if (entry.flags.includes('fuzzy')) {
+        if (!this.fuzzyKeys.has(locale)) {
+          this.fuzzyKeys.set(locale, new Set());
+        }
+        for (const [key] of values) {
+          this.fuzzyKeys.get(locale).add(key);
+        }
+      }
+      flatData.push(...values);
     }
 
-    let deletedCount = 0;
-    const affectedLocales = new Set();
+    return flatData;
+  }
 
-    if (locales && locales.length > 0) {
-      // Delete keys only from specified locales
-      for (const [key, data] of this.translations.entries()) {
-        if (key.startsWith(prefix)) {
-          for (const locale of locales) {
-            if (data.translations[locale]) {
-              delete data.translations[locale];
-              affectedLocales.add(locale);
-              deletedCount++;
-            }
-          }
-          // If all translations are gone, remove the key entirely
-          if (Object.keys(data.translations).length === 0) {
-            this.translations.delete(key);
+  // Parse a .pot template and register its keys
+  async loadPoTemplate(filepath) {
+    try {
+      const content = await fs.readFile(filepath, 'utf8');
+      const { header, entries } = parsePo(content);
+      this.poTemplate = { filepath, header, entries };
+
+      for (const entry of entries) {
+        if (entry.obsolete) {
+          continue;
+        }
+        for (const [key] of this.getPoEntryValues(entry)) {
+          if (!this.translations.has(key)) {
+            this.translations.set(key, {
+              reviewStates: {},
+              sourceHashes: {},
+              rejections: {},
+              translations: {}
+            });
           }
         }
       }
-    } else {
-      // Delete entire keys
-      const keysToDelete = [];
-      for (const key of this.translations.keys()) {
-        if (key.startsWith(prefix)) {
-          keysToDelete.push(key);
-        }
+    } catch (error) {
+      console.error(`Error processing ${path.basename(filepath)}:`, error);
+    }
+  }
+
+  // Build the PO entries of a catalog from the current translations, keeping comments and file order
+  buildPoEntries(catalogEntries, getValue) {
+    const entries = [];
+    const writtenKeys = new Set();
+
+    for (const entry of catalogEntries) {
+      if (entry.obsolete) {
+        entries.push(entry);
+        continue;
       }
 
-      for (const key of keysToDelete) {
-        this.translations.delete(key);
+      const values = this.getPoEntryValues(entry);
+      const msgstr = values.map(([key]) => getValue(key));
+      values.forEach(([key]) => writtenKeys.add(key));
+
+      // Entries whose translations were all deleted are dropped
+      if (msgstr.every(value => value === undefined)) {
+        continue;
       }
-      deletedCount = keysToDelete.length;
+
+      entries.push({ ...entry, msgstr: msgstr.map(value => value ?? '') });
     }
 
-    // Automatically save to JSON files after deletion
-    if (deletedCount > 0) {
-      if (affectedLocales.size > 0) {
-        await this.saveTranslationsToJsonForLocales(Array.from(affectedLocales));
-      } else {
-        await this.saveTranslationsToJson();
+    // Keys without an entry yet are appended in key order
+    for (const key of this.translations.keys()) {
+      if (writtenKeys.has(key) || this.isPlatformKey(key)) {
+        continue;
+      }
+
+      const value = getValue(key);
+      if (value !== undefined) {
+        entries.push({ ...createPoEntryForKey(key), msgstr: [value] });
       }
-      await this.saveCheckedStatus();
     }
 
-    return {
-      success: true,
-      deletedCount
-    };
+    return entries;
   }
-  
-  setupFileWatcher() {
-    if (this.fileWatcher) {
-      this.fileWatcher.close();
+
+  // Write a <locale>.po file
+  async savePoCatalog(locale) {
+    const catalog = this.poCatalogs.get(locale) || { header: createPoHeader(locale), entries: [] };
+    const language = getLanguageFromLocale(locale);
+
+    catalog.entries = this.buildPoEntries(catalog.entries, key => {
+      const value = this.translations.get(key)?.translations[locale];
+      // PO has no value types, so typed leaves are written as text
+      return value === undefined ? undefined : this.applyNonBreakingSpaces(String(value ?? ''), language);
+    });
+    this.poCatalogs.set(locale, catalog);
+
+    const filepath = path.join(this.messagesDir, `${locale}.po`);
+    await fs.writeFile(filepath, stringifyPo(catalog), 'utf8');
+  }
+
+  // Rewrite the .pot template with every key of the PO catalogs
+  async savePoTemplate() {
+    if (!this.poTemplate) {
+      return;
     }
-    
-    try {
-      this.fileWatcher = watch(this.messagesDir, (eventType, filename) => {
-        // Only watch JSON files, ignore backups and translation-check.json
-        if (filename && filename.endsWith('.json') && 
-            !filename.endsWith('.bak') && 
-            filename !== 'translation-check.json') {
-          
-          console.error(`Detected change in ${filename}, scheduling reload...`);
-          
-          // Debounce reloads to avoid multiple rapid reloads
-          if (this.reloadTimer) {
-            clearTimeout(this.reloadTimer);
-          }
-          
-          this.reloadTimer = setTimeout(async () => {
-            console.error(`Reloading translations due to file change...`);
-            try {
-              await this.loadPreviousState();
-              await this.loadTranslationsFromJson();
-              console.error(`Translations reloaded successfully`);
-            } catch (error) {
-              console.error(`Error reloading translations:`, error);
-            }
-          }, 500); // Wait 500ms before reloading to batch multiple changes
+
+    // Template entries whose keys were deleted everywhere are dropped
+    const entries = this.poTemplate.entries.filter(entry => {
+      return entry.obsolete || this.getPoEntryValues(entry).some(([key]) => this.translations.has(key));
+    });
+    const templateKeys = new Set(entries.map(getPoEntryKey));
+
+    for (const catalog of this.poCatalogs.values()) {
+      for (const entry of catalog.entries) {
+        const key = getPoEntryKey(entry);
+        if (entry.obsolete || templateKeys.has(key)) {
+          continue;
         }
-      });
-      
-      console.error(`File watcher set up for ${this.messagesDir}`);
-    } catch (error) {
-      console.error(`Error setting up file watcher:`, error);
+
+        templateKeys.add(key);
+        entries.push({
+          ...entry,
+          translatorComments: [],
+          flags: entry.flags.filter(flag => flag !== 'fuzzy'),
+          msgstr: []
+        });
+      }
     }
+
+    this.poTemplate.entries = entries;
+    await fs.writeFile(this.poTemplate.filepath, stringifyPo(this.poTemplate), 'utf8');
   }
-  
-  cleanup() {
-    if (this.fileWatcher) {
-      this.fileWatcher.close();
-    }
-    if (this.reloadTimer) {
-      clearTimeout(this.reloadTimer);
+
+  // Remove the fuzzy flag from reviewed keys of each locale; returns the PO locales that changed
+  clearFuzzyFlags(keysByLocale) {
+    const affectedLocales = [];
+
+    for (const [locale, catalog] of this.poCatalogs.entries()) {
+      const keys = keysByLocale.get(locale) || [];
+      let changed = false;
+
+      for (const entry of catalog.entries) {
+        if (!entry.flags.includes('fuzzy')) {
+          continue;
+        }
+
+        const entryKeys = this.getPoEntryValues(entry).map(([key]) => key);
+        if (entryKeys.some(key => keys.includes(key))) {
+          entry.flags = entry.flags.filter(flag => flag !== 'fuzzy');
+          entryKeys.forEach(key => this.fuzzyKeys.get(locale)?.delete(key));
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        affectedLocales.push(locale);
+      }
     }
-  }
-}
 
-// Create MCP Server
-const translationManager = new TranslationManager();
-const server = new Server(
-  {
-    name: 'translation-manager',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+    return affectedLocales;
   }
-);
 
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'get_messages_to_check',
-        description: 'Get next N unchecked messages for review',
+  async saveTranslationsToJson() {
+    return this.saveTranslationsToJsonForLocales(this.locales);
+  }
+  
+  async saveTranslationsToJsonForLocales(localesToSave) {
+    try {
+      // Save each specified locale file
+      for (const locale of localesToSave) {
+        if (!this.locales.includes(locale)) {
+          continue;
+        }
+
+        if (this.localeFormats[locale] === 'po') {
+          await this.savePoCatalog(locale);
+          continue;
+        }
+
+        if (this.localeFormats[locale] === 'yaml') {
+          await this.saveYamlCatalog(locale);
+          continue;
+        }
+
+        // Locales that only exist in mobile catalogs have no web file
+        if (this.localeFormats[locale] === 'platform') {
+          continue;
+        }
+
+        if (this.layout === 'namespaced') {
+          await this.saveNamespacedLocale(locale);
+          continue;
+        }
+
+        const filename = `${locale}.json`;
+        const filepath = path.join(this.messagesDir, filename);
+
+        // Create flattened data for this locale
+        const flatData = [];
+        const language = getLanguageFromLocale(locale);
+
+        for (const [key, data] of this.translations.entries()) {
+          if (data.translations[locale] !== undefined && !this.isPlatformKey(key)) {
+            // Apply non-breaking spaces before saving
+            const processedTranslation = this.applyNonBreakingSpaces(data.translations[locale], language);
+            flatData.push([key, processedTranslation]);
+          }
+        }
+
+        // Unflatten and write with the file's original layout
+        await this.writeJsonCatalog(filepath, flatData);
+      }
+
+      // Mobile catalogs are saved alongside the web files of the same locales
+      await this.savePlatformCatalogs(localesToSave.filter(locale => this.locales.includes(locale)));
+
+      console.error(`Saved translations to ${localesToSave.length} locale files`);
+
+      // Keep the gettext template in sync with the PO catalogs
+      if (localesToSave.some(locale => this.localeFormats[locale] === 'po')) {
+        await this.savePoTemplate();
+      }
+
+      // Also save the checked status
+      await this.saveReviewStates();
+
+      return {
+        success: true,
+        savedLocales: [...localesToSave, 'translation-check'],
+        keyCount: this.translations.size
+      };
+    } catch (error) {
+      console.error('Error saving translations:', error);
+      throw error;
+    }
+  }
+
+  async loadReviewStates() {
+    let stored = { states: new Map(), sourceHashes: new Map(), sourceTexts: new Map(), rejections: new Map(), migratedFrom: null, invalid: [] };
+    try {
+      const filepath = path.join(this.messagesDir, REVIEW_STATE_FILE);
+      const content = await withFileLock(filepath, () => fs.readFile(filepath, 'utf8'));
+      stored = parseCheckFile(JSON.parse(content), this.getReviewLocales());
+      console.error(`Loaded review states for ${stored.states.size} keys`);
+      if (stored.invalid.length > 0) {
+        console.error(`Ignoring unknown review states in ${REVIEW_STATE_FILE}: ${stored.invalid.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Could not load ${REVIEW_STATE_FILE}, starting from the translated values:`, error.message);
+      // It's OK if the file doesn't exist, we'll create it on first save
+    }
+
+    // Translations without a stored state are new or translated depending on their values
+    this.sourceTexts = stored.sourceTexts;
+    let changed = false;
+    for (const [key, entry] of this.translations.entries()) {
+      this.storedReviewRecords.set(key, this.readStoredReviewRecords(stored, key));
+      entry.reviewStates = { ...stored.states.get(key) };
+      entry.sourceHashes = { ...stored.sourceHashes.get(key) };
+      entry.rejections = { ...stored.rejections.get(key) };
+      // Source texts edited while the server was not running
+      changed = this.markTranslationsChanged(entry, []) || changed;
+    }
+    changed = this.flagFuzzyKeysForReview() || changed;
+
+    // Files of older versions are replaced as soon as they are read
+    if (stored.migratedFrom !== null) {
+      console.error(`Migrating ${REVIEW_STATE_FILE} from version ${stored.migratedFrom} to the current format`);
+    }
+    if (stored.migratedFrom !== null || changed) {
+      await this.saveReviewStates();
+    }
+  }
+
+  // The review state, source hash and rejection of a translation as translation-check.json stores them
+  getReviewRecord(data, locale) {
+    const state = this.getReviewState(data, locale);
+    return {
+      state,
+      sourceHash: (state !== 'new' && data.sourceHashes[locale]) || null,
+      rejection: (!['new', 'approved'].includes(state) && data.rejections[locale]) || null
+    };
+  }
+
+  // The review records of a key in a parsed translation-check.json, by locale
+  readStoredReviewRecords(stored, key) {
+    return Object.fromEntries(this.getReviewLocales().map(locale => [locale, {
+      state: stored.states.get(key)?.[locale] || null,
+      sourceHash: stored.sourceHashes.get(key)?.[locale] || null,
+      rejection: stored.rejections.get(key)?.[locale] || null
+    }]));
+  }
+
+  // Take the review states other server processes saved since this one last read or wrote translation-check.json.
+  // Translations this process changed in the meantime keep its own state
+  async mergeStoredReviewStates() {
+    let stored;
+    try {
+      stored = parseCheckFile(JSON.parse(await fs.readFile(path.join(this.messagesDir, REVIEW_STATE_FILE), 'utf8')), this.getReviewLocales());
+    } catch {
+      // Nothing saved yet, or a save is half written; the next read catches up
+      return;
+    }
+
+    const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    for (const [hash, text] of stored.sourceTexts.entries()) {
+      if (!this.sourceTexts.has(hash)) {
+        this.sourceTexts.set(hash, text);
+      }
+    }
+    for (const [key, entry] of this.translations.entries()) {
+      const known = this.storedReviewRecords.get(key);
+      if (!known) {
+        continue;
+      }
+      for (const [locale, theirs] of Object.entries(this.readStoredReviewRecords(stored, key))) {
+        if (!isSame(this.getReviewRecord(entry, locale), known[locale]) || isSame(theirs, known[locale])) {
+          continue;
+        }
+        for (const [field, value] of [['reviewStates', theirs.state], ['sourceHashes', theirs.sourceHash], ['rejections', theirs.rejection]]) {
+          if (value) {
+            entry[field][locale] = value;
+          } else {
+            delete entry[field][locale];
+          }
+        }
+        known[locale] = theirs;
+      }
+    }
+  }
+
+  // Write translation-check.json after merging what other server processes saved in the meantime
+  async saveReviewStates() {
+    const filepath = path.join(this.messagesDir, REVIEW_STATE_FILE);
+    try {
+      await withFileLock(filepath, async () => {
+        await this.mergeStoredReviewStates();
+        await this.writeReviewStates(filepath);
+      });
+    } catch (error) {
+      console.error(`Error saving ${REVIEW_STATE_FILE}:`, error);
+      throw error;
+    }
+  }
+
+  // Write the review states of all translations to translation-check.json
+  async writeReviewStates(filepath) {
+    const reviewLocales = this.getReviewLocales();
+    const states = Array.from(this.translations.entries(), ([key, data]) =>
+      [key, Object.fromEntries(reviewLocales.map(locale => [locale, this.getReviewState(data, locale)]))]);
+    const sourceHashes = Array.from(this.translations.entries(), ([key, data]) =>
+      [key, Object.fromEntries(reviewLocales
+        .filter(locale => data.sourceHashes[locale] && this.getReviewState(data, locale) !== 'new')
+        .map(locale => [locale, data.sourceHashes[locale]]))]);
+
+    // Only the source texts some translation was made against are kept
+    const usedHashes = new Set(sourceHashes.flatMap(([, localeHashes]) => Object.values(localeHashes)));
+    for (const hash of this.sourceTexts.keys()) {
+      if (!usedHashes.has(hash)) {
+        this.sourceTexts.delete(hash);
+      }
+    }
+
+    // Reasons are kept for the translations still waiting for another try
+    const rejections = Array.from(this.translations.entries(), ([key, data]) =>
+      [key, Object.fromEntries(reviewLocales
+        .filter(locale => data.rejections[locale] && !['new', 'approved'].includes(this.getReviewState(data, locale)))
+        .map(locale => [locale, data.rejections[locale]]))])
+      .filter(([, localeRejections]) => Object.keys(localeRejections).length > 0);
+
+    await fs.writeFile(filepath, JSON.stringify(serializeCheckFile(states, sourceHashes, this.sourceTexts, rejections), null, 2), 'utf8');
+    // The next merge compares the file with what was written here
+    for (const [key, data] of this.translations.entries()) {
+      this.storedReviewRecords.set(key, Object.fromEntries(reviewLocales.map(locale => [locale, this.getReviewRecord(data, locale)])));
+    }
+    
+    console.error(`Saved review states for ${this.translations.size} keys`);
+  }
+
+  // Read a hand-edited sidecar file, or an empty config if it is missing or invalid
+  async readConfigFile(filename) {
+    try {
+      const content = await fs.readFile(path.join(this.messagesDir, filename), 'utf8');
+      console.error(`Loaded ${filename}`);
+      return JSON.parse(content);
+    } catch (error) {
+      // A missing file just means the feature is not configured
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not load ${filename}, ignoring it:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  // Get the next messages waiting for review that pass the filters, in the given order, continuing after a cursor.
+  // A reviewer does not get the keys other reviewers have claimed; without a reviewer, claimed keys show their lease
+  async getMessagesToCheck({ n = 10, locales = null, keyPrefix = '', keyGlob = null, changedSince = null, hasLintErrors = false, order = 'catalog', cursor = null, reviewer = null } = {}) {
+    if (!REVIEW_ORDERS.includes(order)) {
+      return { success: false, error: `Unknown order "${order}", expected one of: ${REVIEW_ORDERS.join(', ')}` };
+    }
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && position?.order !== order) {
+      return { success: false, error: `Invalid cursor, pass the nextCursor of a previous call with order "${order}"` };
+    }
+    const since = changedSince ? Date.parse(changedSince) : null;
+    if (Number.isNaN(since)) {
+      return { success: false, error: `Invalid changedSince "${changedSince}", expected an ISO date or timestamp` };
+    }
+    // Translations reviewed through other server processes on the catalog leave the queue
+    await this.mergeStoredReviewStates();
+
+    const sourceLocale = this.getSourceLocale();
+    const filtered = Array.isArray(locales) && locales.length > 0;
+    const reviewLocales = this.getReviewLocales(locales);
+    const shownLocales = filtered ? [sourceLocale, ...reviewLocales] : this.locales;
+    const keyPattern = keyGlob ? compileKeyGlob(keyGlob) : null;
+    // Change times come from the audit journal, which is only read when needed
+    const changeTimes = order === 'recent' || since !== null ? await this.getLastChangeTimes() : new Map();
+    // Other server processes claim keys too, so the leases are read just before the keys are chosen
+    const leases = await this.loadLeases();
+    const now = new Date();
+
+    const queue = [];
+    let index = 0;
+    for (const [key, data] of this.translations.entries()) {
+      const item = { key, index: index++, changedAt: changeTimes.get(key) || '' };
+      // The cursor's key keeps its place when keys before it were added or deleted
+      if (position && key === position.key) {
+        position.index = item.index;
+      }
+      if (!key.startsWith(keyPrefix) || (keyPattern && !keyPattern.test(key))
+        || (since !== null && !(item.changedAt && Date.parse(item.changedAt) >= since))) {
+        continue;
+      }
+
+      const waitingLocales = reviewLocales.filter(locale => REVIEWABLE_STATES.includes(this.getReviewState(data, locale)));
+      if (waitingLocales.length === 0) {
+        continue;
+      }
+      if (hasLintErrors && !waitingLocales.some(locale => this.getLintProblems(key, locale, data.translations[locale],
+        data.translations[sourceLocale], { minSeverity: 'error' }).length > 0)) {
+        continue;
+      }
+      const lease = findBlockingLease(leases, { key, locales: waitingLocales, reviewer, now });
+      if (lease && reviewer) {
+        continue;
+      }
+      queue.push({ ...item, waitingLocales, lease });
+    }
+    queue.sort((a, b) => compareQueueItems(a, b, order));
+
+    const remaining = position ? queue.filter(item => compareQueueItems(item, position, order) > 0) : queue;
+    const page = remaining.slice(0, n);
+    const messages = {};
+
+    for (const { key, waitingLocales, lease } of page) {
+      const data = this.translations.get(key);
+      const reviewStates = Object.fromEntries(waitingLocales.map(locale => [locale, this.getReviewState(data, locale)]));
+
+      // A locales filter shows the source next to the requested translations only
+      const translations = filtered
+        ? Object.fromEntries(Object.entries(data.translations).filter(([locale]) => shownLocales.includes(locale)))
+        : data.translations;
+      // Glossary rules for terms in the source text are shown next to the translations they apply to
+      const glossary = this.getGlossaryEntries(key, shownLocales);
+      const comments = filterThreads(this.commentThreads, { key }).filter(thread => !thread.locale || shownLocales.includes(thread.locale));
+      // Why a reviewer sent the translation back before
+      const rejections = Object.fromEntries(waitingLocales.filter(locale => data.rejections[locale]).map(locale => [locale, data.rejections[locale]]));
+      messages[key] = {
+        translations,
+        reviewStates,
+        ...(Object.keys(rejections).length > 0 && { rejections }),
+        ...(glossary.length > 0 && { glossary }),
+        ...(comments.length > 0 && { comments }),
+        ...(lease && { lease: { reviewer: lease.reviewer, expiresAt: lease.expiresAt } })
+      };
+    }
+
+    return {
+      count: queue.length,
+      messages,
+      ...(remaining.length > page.length && { nextCursor: encodeCursor(page[page.length - 1], order) })
+    };
+  }
+
+  async updateTranslations(updates, { placeholderCheck = 'warn', tagCheck = 'warn', lengthCheck = 'warn', protectedCheck = 'reject' } = {}) {
+    let updatedCount = 0;
+    const modifiedLocales = new Set();
+
+    // Refuse updates that would overwrite a value or a group of keys on save
+    const structureConflicts = this.findUpdateStructureConflicts(updates);
+    if (structureConflicts.length > 0) {
+      return { success: false, error: 'Keys conflict with the existing structure', structureConflicts };
+    }
+
+    // ICU placeholders and markup are checked against the source locale before anything is changed
+    const knownUpdates = {};
+    for (const [key, localeTranslations] of Object.entries(updates)) {
+      if (this.translations.has(key)) {
+        knownUpdates[key] = Object.fromEntries(Object.entries(localeTranslations).filter(([locale]) => this.locales.includes(locale)));
+      }
+    }
+    const placeholderProblems = placeholderCheck === 'off' ? [] : this.findMessageProblems(knownUpdates, this.getPlaceholderProblems);
+    const tagProblems = tagCheck === 'off' ? [] : this.findMessageProblems(knownUpdates, this.getTagProblems);
+    const lengthProblems = lengthCheck === 'off' ? [] : this.findMessageProblems(knownUpdates, this.getLengthProblems);
+    const protectedTokenProblems = protectedCheck === 'off' ? [] : this.findMessageProblems(knownUpdates, this.getProtectedTokenProblems);
+    if (placeholderCheck === 'reject' && placeholderProblems.length > 0) {
+      return { success: false, error: 'Messages failed placeholder validation', placeholderProblems };
+    }
+    if (tagCheck === 'reject' && tagProblems.length > 0) {
+      return { success: false, error: 'Messages failed tag validation', tagProblems };
+    }
+    if (lengthCheck === 'reject' && lengthProblems.length > 0) {
+      return { success: false, error: 'Messages exceed their length limits', lengthProblems };
+    }
+    if (protectedCheck === 'reject' && protectedTokenProblems.length > 0) {
+      return { success: false, error: 'Messages changed do-not-translate tokens', protectedTokenProblems };
+    }
+
+    // updates is an object: { key: { locale: translation } }
+    const auditChanges = [];
+    for (const [key, localeTranslations] of Object.entries(updates)) {
+      if (!this.translations.has(key)) {
+        continue;
+      }
+
+      const entry = this.translations.get(key);
+      const changedLocales = [];
+
+      for (const [locale, translation] of Object.entries(localeTranslations)) {
+        if (!this.locales.includes(locale)) {
+          continue;
+        }
+
+        // Get the language code from locale (e.g., 'pl' from 'pl-pl')
+        const language = getLanguageFromLocale(locale);
+
+        // Apply non-breaking spaces if rules exist for this language
+        const processedTranslation = this.applyNonBreakingSpaces(translation, language);
+
+        if (entry.translations[locale] !== processedTranslation) {
+          changedLocales.push(locale);
+          auditChanges.push({ operation: 'update', key, locale, oldValue: entry.translations[locale], newValue: processedTranslation });
+        }
+        entry.translations[locale] = processedTranslation;
+        modifiedLocales.add(locale);
+        updatedCount++;
+      }
+
+      // Changed values go back to review
+      this.markTranslationsChanged(entry, changedLocales);
+    }
+
+    // Auto-save only the modified locales to disk
+    if (modifiedLocales.size > 0) {
+      try {
+        await this.saveTranslationsToJsonForLocales(Array.from(modifiedLocales));
+        console.error(`Auto-saved translations for locales: ${Array.from(modifiedLocales).join(', ')}`);
+      } catch (error) {
+        console.error(`Error auto-saving translations:`, error);
+        return { success: false, error: error.message };
+      }
+    }
+    await this.appendAuditLog(auditChanges);
+
+    // Warnings are only included when there are any, keeping the usual response small
+    return {
+      success: true,
+      updatedKeys: updatedCount,
+      ...(placeholderProblems.length > 0 && { placeholderWarnings: placeholderProblems }),
+      ...(tagProblems.length > 0 && { tagWarnings: tagProblems }),
+      ...(lengthProblems.length > 0 && { lengthWarnings: lengthProblems }),
+      ...(protectedTokenProblems.length > 0 && { protectedTokenWarnings: protectedTokenProblems })
+    };
+  }
+
+  // Move the translations of keys to another review state, in all or the given locales; translations the transition is not allowed for are left as they are.
+  // A reason is recorded with the changes in the audit journal
+  async setReviewState(keys, state, locales = null, { reason } = {}) {
+    if (!REVIEW_STATES.includes(state)) {
+      return { success: false, error: `Unknown review state "${state}", expected one of: ${REVIEW_STATES.join(', ')}` };
+    }
+
+    const reviewLocales = this.getReviewLocales(locales);
+    if (reviewLocales.length === 0) {
+      return { success: false, error: 'No translated locales to review', ...(locales && { locales }) };
+    }
+
+    // Handle both single key (string) and multiple keys (array)
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    const changedKeys = new Map(); // locale -> keys
+    const auditChanges = [];
+    const refusedTransitions = [];
+    const unknownKeys = [];
+    let updatedCount = 0;
+
+    for (const key of keyList) {
+      const entry = this.translations.get(key);
+      if (!entry) {
+        unknownKeys.push(key);
+        continue;
+      }
+
+      for (const locale of reviewLocales) {
+        const current = this.getReviewState(entry, locale);
+        if (current === state) {
+          updatedCount++;
+          continue;
+        }
+        if (!canTransition(current, state)) {
+          refusedTransitions.push({ key, locale, from: current, to: state });
+          continue;
+        }
+
+        entry.reviewStates[locale] = state;
+        // Reviewing a stale translation compares it with the current source text
+        this.recordSourceText(entry, locale);
+        if (state === 'approved') {
+          delete entry.rejections[locale];
+        }
+        changedKeys.set(locale, [...(changedKeys.get(locale) || []), key]);
+        auditChanges.push({ operation: 'review', key, locale, oldValue: current, newValue: state, reason });
+        updatedCount++;
+      }
+    }
+
+    // Approved translations are no longer fuzzy in PO catalogs
+    if (state === 'approved') {
+      const fuzzyLocales = this.clearFuzzyFlags(changedKeys);
+      if (fuzzyLocales.length > 0) {
+        await this.saveTranslationsToJsonForLocales(fuzzyLocales);
+      }
+    }
+
+    // Auto-save the review states
+    if (changedKeys.size > 0) {
+      await this.saveReviewStates();
+      await this.appendAuditLog(auditChanges);
+    }
+
+    // Reviewed keys are free for the next batch
+    await this.releaseLeases(keyList.filter(key => this.translations.has(key)), reviewLocales);
+
+    return {
+      success: true,
+      updatedCount,
+      ...(refusedTransitions.length > 0 && { refusedTransitions }),
+      ...(unknownKeys.length > 0 && { unknownKeys })
+    };
+  }
+
+  // Send translations back with a reason: rejected goes to the translator, needs_review back to the review queue
+  async rejectTranslations({ keys = [], keyPrefix = '', locales = null, reason, reviewer = null, state = 'rejected' } = {}) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return { success: false, error: 'A reason is required' };
+    }
+    if (!['rejected', 'needs_review'].includes(state)) {
+      return { success: false, error: `Cannot reject to "${state}", expected rejected or needs_review` };
+    }
+
+    const prefixKeys = keyPrefix ? Array.from(this.translations.keys()).filter(key => key.startsWith(keyPrefix)) : [];
+    const keyList = Array.from(new Set([...(Array.isArray(keys) ? keys : [keys]), ...prefixKeys]));
+    if (keyList.length === 0) {
+      return { success: false, error: 'No keys to reject, pass keys or a keyPrefix' };
+    }
+
+    const result = await this.setReviewState(keyList, state, locales, { reason });
+    if (!result.success) {
+      return result;
+    }
+
+    // The reason is shown when the translation comes back for review
+    const rejection = { reason, ...(reviewer && { reviewer }), rejectedAt: new Date().toISOString() };
+    for (const key of keyList) {
+      const entry = this.translations.get(key);
+      for (const locale of entry ? this.getReviewLocales(locales) : []) {
+        if (this.getReviewState(entry, locale) === state) {
+          entry.rejections[locale] = rejection;
+        }
+      }
+    }
+    await this.saveReviewStates();
+
+    return {
+      success: true,
+      rejectedCount: result.updatedCount,
+      ...(result.refusedTransitions && { refusedTransitions: result.refusedTransitions }),
+      ...(result.unknownKeys && { unknownKeys: result.unknownKeys })
+    };
+  }
+
+  // Approve the translations of keys in all or the given locales; kept for the mark_checked tool
+  async markChecked(keys, locales = null) {
+    const result = await this.setReviewState(keys, 'approved', locales);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, markedCount: result.updatedCount, ...(result.refusedTransitions && { refusedTransitions: result.refusedTransitions }) };
+  }
+
+  // Get the keys approved in every translated locale
+  getCheckedKeys() {
+    const reviewLocales = this.getReviewLocales();
+    const checkedKeys = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      if (reviewLocales.length > 0 && reviewLocales.every(locale => this.getReviewState(data, locale) === 'approved')) {
+        checkedKeys.push(key);
+      }
+    }
+
+    return checkedKeys;
+  }
+
+  // Get the keys with a translation in a review state, with the locales in that state, in catalog order
+  getKeysInReviewState(state, { keyPrefix = '', locales = null } = {}) {
+    const reviewLocales = this.getReviewLocales(locales);
+    const keys = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      if (!key.startsWith(keyPrefix)) {
+        continue;
+      }
+      const matchingLocales = reviewLocales.filter(locale => this.getReviewState(data, locale) === state);
+      if (matchingLocales.length > 0) {
+        keys.push({ key, locales: matchingLocales });
+      }
+    }
+
+    return keys;
+  }
+
+  // Get the keys in a review state with pagination
+  getKeysByReviewState({ state, keyPrefix = '', locales = null, page = 1, pageSize = 50 } = {}) {
+    if (!REVIEW_STATES.includes(state)) {
+      return { success: false, error: `Unknown review state "${state}", expected one of: ${REVIEW_STATES.join(', ')}` };
+    }
+
+    const allKeys = this.getKeysInReviewState(state, { keyPrefix, locales });
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      state,
+      count: allKeys.length,
+      totalPages: Math.ceil(allKeys.length / pageSize),
+      currentPage: page,
+      pageSize,
+      keys: allKeys.slice(startIndex, startIndex + pageSize).map(item => ({ ...item, translations: this.translations.get(item.key).translations }))
+    };
+  }
+
+  // Get the keys with stale translations, with the source text each was made against and the current one, with pagination
+  getStaleTranslations({ keyPrefix = '', locales = null, page = 1, pageSize = 50 } = {}) {
+    const sourceLocale = this.getSourceLocale();
+    const staleKeys = this.getKeysInReviewState('stale', { keyPrefix, locales });
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      count: staleKeys.length,
+      totalPages: Math.ceil(staleKeys.length / pageSize),
+      currentPage: page,
+      pageSize,
+      keys: staleKeys.slice(startIndex, startIndex + pageSize).map(({ key, locales: staleLocales }) => {
+        const entry = this.translations.get(key);
+        return {
+          key,
+          newSource: entry.translations[sourceLocale],
+          locales: staleLocales.map(locale => {
+            // Texts of translations that were stale before source hashes were recorded are unknown
+            const oldSource = this.sourceTexts.get(entry.sourceHashes[locale]);
+            return { locale, translation: entry.translations[locale], ...(oldSource !== undefined && { oldSource }) };
+          })
+        };
+      })
+    };
+  }
+
+  // Reserve the next messages waiting for review for one reviewer until the lease expires or the keys are reviewed
+  async claimReviewBatch({ reviewer, n = 10, minutes = DEFAULT_LEASE_MINUTES, locales = null, keyPrefix = '', keyGlob = null, changedSince = null, hasLintErrors = false, order = 'catalog' } = {}) {
+    if (typeof reviewer !== 'string' || !reviewer.trim()) {
+      return { success: false, error: 'Reviewer ID is required' };
+    }
+    if (!(minutes > 0)) {
+      return { success: false, error: `Invalid lease duration ${minutes}, expected a positive number of minutes` };
+    }
+
+    return this.withLeaseLock(async () => {
+      // Keys the reviewer already holds come up again and their leases are renewed
+      const batch = await this.getMessagesToCheck({ n, locales, keyPrefix, keyGlob, changedSince, hasLintErrors, order, reviewer });
+      if (batch.success === false) {
+        return batch;
+      }
+
+      // The leases the batch was chosen against are extended and written without waiting in between
+      const now = new Date();
+      const claimedKeys = Object.keys(batch.messages);
+      const leaseLocales = Array.isArray(locales) && locales.length > 0 ? this.getReviewLocales(locales) : null;
+      const leases = claimedKeys.map(key => createLease({ key, reviewer, locales: leaseLocales, now, minutes }));
+      this.leases = [
+        ...this.leases.filter(lease => isLeaseActive(lease, now) && !(lease.reviewer === reviewer && claimedKeys.includes(lease.key))),
+        ...leases
+      ];
+      await this.saveLeases();
+
+      return {
+        success: true,
+        reviewer,
+        claimedCount: claimedKeys.length,
+        ...(leases.length > 0 && { expiresAt: leases[0].expiresAt }),
+        messages: batch.messages
+      };
+    });
+  }
+
+  // Release the leases on keys in any of the given locales, whoever holds them
+  async releaseLeases(keys, locales = null) {
+    return this.withLeaseLock(async () => {
+      const leases = await this.loadLeases();
+      const now = new Date();
+      const remaining = leases.filter(lease => isLeaseActive(lease, now) && !(keys.includes(lease.key) && leaseCovers(lease, lease.key, locales)));
+      if (remaining.length !== leases.length) {
+        this.leases = remaining;
+        await this.saveLeases();
+      }
+    });
+  }
+
+  // Run a lease change after the ones already running in this process and while holding the lock of the leases file,
+  // so two claims never choose the same keys, whichever servers they come from
+  withLeaseLock(task) {
+    const result = this.leaseUpdates.then(() => withFileLock(path.join(this.messagesDir, LEASES_FILE), task));
+    this.leaseUpdates = result.catch(() => {});
+    return result;
+  }
+
+  // Read the leases file again; it is shared with the other server processes on the catalog
+  async loadLeases() {
+    this.leases = parseLeaseFile(await this.readConfigFile(LEASES_FILE), new Date());
+    return this.leases;
+  }
+
+  async saveLeases() {
+    const filepath = path.join(this.messagesDir, LEASES_FILE);
+    await fs.writeFile(filepath, JSON.stringify(serializeLeaseFile(this.leases), null, 2), 'utf8');
+  }
+
+  // Append changes to the audit journal; a failed write is logged but does not undo the change
+  async appendAuditLog(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    const time = new Date().toISOString();
+    const lines = formatAuditLines(changes.map(change => createAuditEntry(change, this.actor, time)));
+    try {
+      await fs.appendFile(path.join(this.messagesDir, AUDIT_LOG_FILE), lines, 'utf8');
+    } catch (error) {
+      console.error(`Error writing ${AUDIT_LOG_FILE}:`, error);
+    }
+  }
+
+  // Read the audit journal
+  async readAuditLog() {
+    try {
+      return parseAuditLog(await fs.readFile(path.join(this.messagesDir, AUDIT_LOG_FILE), 'utf8'));
+    } catch (error) {
+      // No journal yet means no recorded changes
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return { entries: [], invalidLines: [] };
+    }
+  }
+
+  // Time of the last recorded value change of each key
+  async getLastChangeTimes() {
+    const { entries } = await this.readAuditLog();
+    const changeTimes = new Map();
+
+    for (const { operation, key, time } of entries) {
+      if (['add', 'update'].includes(operation) && typeof time === 'string' && !(changeTimes.get(key) > time)) {
+        changeTimes.set(key, time);
+      }
+    }
+
+    return changeTimes;
+  }
+
+  // Get the audit journal entries of a key, newest first, with pagination
+  async getKeyHistory({ key, locale = null, page = 1, pageSize = 50 } = {}) {
+    const { entries, invalidLines } = await this.readAuditLog();
+    const history = entries.filter(entry => entry.key === key && (!locale || entry.locale === locale)).reverse();
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      key,
+      ...(locale && { locale }),
+      count: history.length,
+      totalPages: Math.ceil(history.length / pageSize),
+      currentPage: page,
+      pageSize,
+      entries: history.slice(startIndex, startIndex + pageSize),
+      ...(invalidLines.length > 0 && { invalidLines })
+    };
+  }
+
+  async saveComments() {
+    const filepath = path.join(this.messagesDir, COMMENTS_FILE);
+    await fs.writeFile(filepath, JSON.stringify(serializeCommentFile(this.commentThreads), null, 2), 'utf8');
+  }
+
+  // Start a comment thread on a key (or a key in one locale), or reply to an existing thread
+  async addComment({ key = null, locale = null, text, author = null, threadId = null } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { success: false, error: 'Comment text is required' };
+    }
+    const createdAt = new Date().toISOString();
+
+    if (threadId !== null && threadId !== undefined) {
+      const thread = this.commentThreads.find(item => item.id === Number(threadId));
+      if (!thread) {
+        return { success: false, error: `Unknown comment thread ${threadId}` };
+      }
+
+      // A reply to a resolved thread reopens the discussion
+      thread.comments.push(createComment(text, author, createdAt));
+      if (thread.status === 'resolved') {
+        thread.status = 'open';
+        delete thread.resolvedAt;
+        delete thread.resolvedBy;
+      }
+      await this.saveComments();
+      return { success: true, threadId: thread.id, commentCount: thread.comments.length, status: thread.status };
+    }
+
+    if (!this.translations.has(key)) {
+      return { success: false, error: `Unknown key "${key}"` };
+    }
+    if (locale && !this.locales.includes(locale)) {
+      return { success: false, error: `Unknown locale "${locale}"` };
+    }
+
+    const thread = createThread(this.commentThreads, { key, locale, text, author, createdAt });
+    this.commentThreads.push(thread);
+    await this.saveComments();
+    return { success: true, threadId: thread.id, commentCount: 1, status: thread.status };
+  }
+
+  // List comment threads with pagination, oldest first
+  listComments({ key = null, keyPrefix = '', locale = null, status = 'open', page = 1, pageSize = 50 } = {}) {
+    if (status !== 'all' && !THREAD_STATUSES.includes(status)) {
+      return { success: false, error: `Unknown thread status "${status}", expected one of: ${[...THREAD_STATUSES, 'all'].join(', ')}` };
+    }
+
+    const threads = filterThreads(this.commentThreads, { key, keyPrefix, locale, status });
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      count: threads.length,
+      totalPages: Math.ceil(threads.length / pageSize),
+      currentPage: page,
+      pageSize,
+      threads: threads.slice(startIndex, startIndex + pageSize)
+    };
+  }
+
+  // Close a comment thread, optionally with a closing comment
+  async resolveComment({ threadId, author = null, text = null } = {}) {
+    const thread = this.commentThreads.find(item => item.id === Number(threadId));
+    if (!thread) {
+      return { success: false, error: `Unknown comment thread ${threadId}` };
+    }
+
+    const resolvedAt = new Date().toISOString();
+    if (typeof text === 'string' && text.trim()) {
+      thread.comments.push(createComment(text, author, resolvedAt));
+    }
+    thread.status = 'resolved';
+    thread.resolvedAt = resolvedAt;
+    if (author) {
+      thread.resolvedBy = author;
+    }
+
+    await this.saveComments();
+    return { success: true, threadId: thread.id, status: thread.status };
+  }
+
+  getMissingTranslationKeys(page = 1, pageSize = 50) {
+    const allMissingKeys = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      const missingLocales = [];
+
+      for (const locale of this.locales) {
+        if (this.isMissingTranslation(data.translations[locale])) {
+          missingLocales.push(locale);
+        }
+      }
+
+      if (missingLocales.length > 0) {
+        allMissingKeys.push({
+          key,
+          missingLocales,
+          existingTranslations: data.translations
+        });
+      }
+    }
+
+    // Calculate pagination
+    const totalCount = allMissingKeys.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+    const endIndex = startIndex + pageSize;
+    const paginatedKeys = allMissingKeys.slice(startIndex, endIndex);
+
+    return {
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      keys: paginatedKeys
+    };
+  }
+
+  // Check whether one value is still the source locale's text; null when it was translated or may stay the same
+  getSourceCopy(key, locale, value, source, minSimilarity = DEFAULT_MIN_SIMILARITY) {
+    if (typeof value !== 'string' || typeof source !== 'string') {
+      return null;
+    }
+    // Variants of the source language (en-us for en-gb) share most of their text
+    const sourceLocale = this.getSourceLocale();
+    if (locale === sourceLocale || getLanguageFromLocale(locale) === getLanguageFromLocale(sourceLocale)
+      || isAllowedCopy(this.copyAllowlist, key, locale, value)) {
+      return null;
+    }
+    return detectSourceCopy(source, value, minSimilarity);
+  }
+
+  // Find keys whose translations are copies of the source locale value
+  findSourceCopies({ keyPrefix = '', locales = null, minSimilarity = DEFAULT_MIN_SIMILARITY } = {}) {
+    const sourceLocale = this.getSourceLocale();
+    const checkLocales = locales && locales.length > 0
+      ? locales.filter(locale => this.locales.includes(locale))
+      : this.locales;
+    const copies = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      const sourceValue = data.translations[sourceLocale];
+      if ((keyPrefix && !key.startsWith(keyPrefix)) || typeof sourceValue !== 'string') {
+        continue;
+      }
+
+      const copiedLocales = [];
+      for (const locale of checkLocales) {
+        const value = data.translations[locale];
+        const copy = this.getSourceCopy(key, locale, value, sourceValue, minSimilarity);
+        if (copy) {
+          copiedLocales.push({ locale, value, ...copy });
+        }
+      }
+
+      if (copiedLocales.length > 0) {
+        copies.push({ key, sourceValue, copiedLocales });
+      }
+    }
+
+    return copies;
+  }
+
+  // Get keys with translations copied from the source locale with pagination
+  getUntranslatedCopies({ keyPrefix = '', locales = null, minSimilarity = DEFAULT_MIN_SIMILARITY, page = 1, pageSize = 50 } = {}) {
+    const allCopies = this.findSourceCopies({ keyPrefix, locales, minSimilarity });
+
+    // Calculate pagination
+    const totalCount = allCopies.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      sourceLocale: this.getSourceLocale(),
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      keys: allCopies.slice(startIndex, startIndex + pageSize)
+    };
+  }
+
+  // Check one value as an ICU message against the source message for the same key
+  getPlaceholderProblems(key, locale, value, source) {
+    // Mobile catalogs use printf-style placeholders, and typed leaves have none
+    if (typeof value !== 'string' || this.isPlatformKey(key)) {
+      return [];
+    }
+
+    if (locale === this.getSourceLocale() || typeof source !== 'string') {
+      const { error } = parseMessage(value);
+      return error ? [{ type: 'syntax_error', detail: error }] : [];
+    }
+
+    return compareMessages(source, value, getLanguageFromLocale(locale));
+  }
+
+  // Check the markup of one value against the source message for the same key
+  getTagProblems(key, locale, value, source) {
+    if (typeof value !== 'string') {
+      return [];
+    }
+    return compareTags(locale === this.getSourceLocale() ? null : source, value);
+  }
+
+  // Check one value against the length limits of its key from translation-constraints.json
+  getLengthProblems(key, locale, value, source) {
+    if (typeof value !== 'string') {
+      return [];
+    }
+    const limits = resolveLengthLimits(key, this.lengthConstraints);
+    return checkLength(value, locale === this.getSourceLocale() ? null : source, limits);
+  }
+
+  // Get the glossary entries for the terms in a key's source text
+  getGlossaryEntries(key, locales = this.locales) {
+    const source = this.translations.get(key)?.translations[this.getSourceLocale()];
+    if (typeof source !== 'string' || this.glossary.length === 0) {
+      return [];
+    }
+    return findGlossaryTerms(this.glossary, source).map(entry => describeGlossaryEntry(entry, locales));
+  }
+
+  // Check one value against the glossary terms of the source message for the same key
+  getTerminologyProblems(key, locale, value, source) {
+    if (typeof value !== 'string' || typeof source !== 'string' || locale === this.getSourceLocale()) {
+      return [];
+    }
+    return checkTerms(this.glossary, source, value, locale);
+  }
+
+  // Check that one value keeps the do-not-translate tokens of the source message for the same key
+  getProtectedTokenProblems(key, locale, value, source) {
+    if (typeof value !== 'string' || typeof source !== 'string' || locale === this.getSourceLocale()) {
+      return [];
+    }
+    return checkProtectedTokens(source, value, this.protectedTokens);
+  }
+
+  // Check one value's ICU plural blocks for categories its language needs
+  getPluralFormProblems(key, locale, value) {
+    if (typeof value !== 'string' || this.isPlatformKey(key) || !value.includes('{')) {
+      return [];
+    }
+    return findIcuPluralGaps(value, getLanguageFromLocale(locale)).map(gap => ({
+      type: 'missing_plural_category',
+      variable: gap.variable,
+      detail: `{${gap.variable}} is missing categories: ${gap.missingCategories.join(', ')}`
+    }));
+  }
+
+  // Report one value that is still the source locale's text
+  getSourceCopyProblems(key, locale, value, source) {
+    const copy = this.getSourceCopy(key, locale, value, source);
+    return copy ? [{ type: copy.match, detail: copy.match === 'identical' ? 'Same as the source' : `Nearly the same as the source (${copy.similarity})` }] : [];
+  }
+
+  // Run a per-value check over pending { key: { locale: value } } changes
+  findMessageProblems(updates, getProblems) {
+    const sourceLocale = this.getSourceLocale();
+    const allProblems = [];
+
+    for (const [key, localeTranslations] of Object.entries(updates)) {
+      // A source value changed in the same batch is what the translations are compared with
+      const source = localeTranslations[sourceLocale] ?? this.translations.get(key)?.translations[sourceLocale];
+
+      for (const [locale, value] of Object.entries(localeTranslations)) {
+        const problems = getProblems.call(this, key, locale, value, source);
+        if (problems.length > 0) {
+          allProblems.push({ key, locale, problems });
+        }
+      }
+    }
+
+    return allProblems;
+  }
+
+  // Run a per-value check over all translations
+  findAllMessageIssues(getProblems, { keyPrefix = '', locales = null } = {}) {
+    const sourceLocale = this.getSourceLocale();
+    const checkLocales = locales && locales.length > 0
+      ? locales.filter(locale => this.locales.includes(locale))
+      : this.locales;
+    const allIssues = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      if (keyPrefix && !key.startsWith(keyPrefix)) {
+        continue;
+      }
+
+      for (const locale of checkLocales) {
+        if (this.isMissingTranslation(data.translations[locale])) {
+          continue;
+        }
+        const problems = getProblems.call(this, key, locale, data.translations[locale], data.translations[sourceLocale]);
+        if (problems.length > 0) {
+          allIssues.push({ key, locale, problems });
+        }
+      }
+    }
+
+    return allIssues;
+  }
+
+  // Run a per-value check over all translations with pagination
+  collectMessageIssues(getProblems, { keyPrefix = '', locales = null, page = 1, pageSize = 50 } = {}) {
+    const allIssues = this.findAllMessageIssues(getProblems, { keyPrefix, locales });
+
+    // Calculate pagination
+    const totalCount = allIssues.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      sourceLocale: this.getSourceLocale(),
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      issues: allIssues.slice(startIndex, startIndex + pageSize)
+    };
+  }
+
+  // Lint rules: the built-in ones, plus the other per-value checks so run_lint covers everything
+  getLintRules() {
+    const checkRule = (id, description, defaultSeverity, getProblems) => ({
+      id,
+      description,
+      defaultSeverity,
+      check: ({ key, locale, value, source }) => getProblems.call(this, key, locale, value, source)
+    });
+
+    return [
+      ...BUILT_IN_LINT_RULES,
+      checkRule('placeholders', 'ICU placeholders differ from the source', 'error', this.getPlaceholderProblems),
+      checkRule('tags', 'HTML/rich-text tags differ from the source', 'error', this.getTagProblems),
+      checkRule('protected-tokens', 'Do-not-translate tokens are changed', 'error', this.getProtectedTokenProblems),
+      checkRule('plural-forms', 'ICU plural blocks lack categories the language needs', 'warning', this.getPluralFormProblems),
+      checkRule('length', 'Value exceeds its length limits', 'warning', this.getLengthProblems),
+      checkRule('terminology', 'Glossary terms are not followed', 'warning', this.getTerminologyProblems),
+      checkRule('untranslated-copy', 'Value is still the source text', 'warning', this.getSourceCopyProblems)
+    ];
+  }
+
+  // Lint one value with the rules enabled in translation-lint.json
+  getLintProblems(key, locale, value, source, filter = {}) {
+    if (typeof value !== 'string') {
+      return [];
+    }
+    const isSourceLocale = locale === this.getSourceLocale();
+    return lintValue(this.lintConfig.enabled, {
+      key,
+      locale,
+      language: getLanguageFromLocale(locale),
+      value,
+      source: isSourceLocale || typeof source !== 'string' ? null : source,
+      isSourceLocale
+    }, filter);
+  }
+
+  // Lint all translations with the rules enabled in translation-lint.json, with pagination
+  runLint({ keyPrefix = '', locales = null, rules = null, minSeverity = 'info', page = 1, pageSize = 50 } = {}) {
+    const sourceLocale = this.getSourceLocale();
+    const filter = { ruleIds: rules && rules.length > 0 ? rules : null, minSeverity };
+
+    const allIssues = this.findAllMessageIssues((key, locale, value, source) => this.getLintProblems(key, locale, value, source, filter), { keyPrefix, locales });
+
+    const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    for (const { problems } of allIssues) {
+      problems.forEach(problem => summary[problem.severity]++);
+    }
+
+    // Calculate pagination
+    const totalCount = allIssues.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      sourceLocale,
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      summary,
+      issues: allIssues.slice(startIndex, startIndex + pageSize)
+    };
+  }
+
+  // Validate ICU placeholders of all translations against the source locale with pagination
+  validatePlaceholders(options = {}) {
+    return this.collectMessageIssues(this.getPlaceholderProblems, options);
+  }
+
+  // Validate HTML/rich-text tags of all translations against the source locale with pagination
+  validateTags(options = {}) {
+    return this.collectMessageIssues(this.getTagProblems, options);
+  }
+
+  // Check all translations against the project glossary with pagination
+  checkTerminology(options = {}) {
+    return this.collectMessageIssues(this.getTerminologyProblems, options);
+  }
+
+  // Check all translations against their length limits with pagination
+  checkLengthConstraints(options = {}) {
+    return this.collectMessageIssues(this.getLengthProblems, options);
+  }
+
+  // Find plural messages lacking categories a locale's language needs (CLDR), with pagination
+  getMissingPluralForms({ keyPrefix = '', locales = null, page = 1, pageSize = 50 } = {}) {
+    const checkLocales = locales && locales.length > 0
+      ? locales.filter(locale => this.locales.includes(locale))
+      : this.locales;
+    const allGaps = [];
+
+    // i18next-style suffix keys: every category needs its own key
+    for (const group of groupPluralSuffixKeys(this.translations.keys()).values()) {
+      if (keyPrefix && !group.base.startsWith(keyPrefix)) {
+        continue;
+      }
+
+      for (const locale of checkLocales) {
+        const hasKey = key => !this.isMissingTranslation(this.translations.get(key)?.translations[locale]);
+        const gaps = findSuffixPluralGaps(group, hasKey, getLanguageFromLocale(locale));
+        if (gaps) {
+          allGaps.push({ key: group.base, locale, style: 'suffix', type: group.type, ...gaps });
+        }
+      }
+    }
+
+    // ICU plural blocks: every category needs a branch
+    for (const [key, data] of this.translations.entries()) {
+      if ((keyPrefix && !key.startsWith(keyPrefix)) || this.isPlatformKey(key)) {
+        continue;
+      }
+
+      for (const locale of checkLocales) {
+        const value = data.translations[locale];
+        if (typeof value !== 'string' || !value.includes('{')) {
+          continue;
+        }
+        for (const gap of findIcuPluralGaps(value, getLanguageFromLocale(locale))) {
+          allGaps.push({ key, locale, style: 'icu', ...gap });
+        }
+      }
+    }
+
+    // Calculate pagination
+    const totalCount = allGaps.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      keys: allGaps.slice(startIndex, startIndex + pageSize)
+    };
+  }
+
+  // Get translations by key prefix
+  getTranslationByKeyPrefix(keyPrefix, page = 1, pageSize = 50) {
+    const allResults = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      if (key.startsWith(keyPrefix)) {
+        allResults.push({ key, translations: data.translations });
+      }
+    }
+
+    // Calculate pagination
+    const totalCount = allResults.length;
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const startIndex = (page - 1) * pageSize;
+    const endIndex = startIndex + pageSize;
+    const paginatedResults = allResults.slice(startIndex, endIndex);
+
+    // Convert back to object format
+    const keys = {};
+    for (const item of paginatedResults) {
+      keys[item.key] = item.translations;
+    }
+
+    return {
+      count: totalCount,
+      totalPages,
+      currentPage: page,
+      pageSize,
+      keys
+    };
+  }
+  
+  // Add new translations
+  async addTranslations(newTranslations, { tagCheck = 'warn', protectedCheck = 'reject' } = {}) {
+    let addedKeys = 0;
+    const addedLocales = new Set();
+
+    // In the namespaced layout every key must start with its namespace
+    if (this.layout === 'namespaced') {
+      try {
+        Object.keys(newTranslations).forEach(key => this.splitNamespacedKey(key));
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    // Refuse keys that would overwrite a value or a group of keys on save
+    const structureConflicts = this.findUpdateStructureConflicts(newTranslations);
+    if (structureConflicts.length > 0) {
+      return { success: false, error: 'Keys conflict with the existing structure', structureConflicts };
+    }
+
+    // Markup and do-not-translate tokens are checked against the source locale before anything is added
+    const tagProblems = tagCheck === 'off' ? [] : this.findMessageProblems(newTranslations, this.getTagProblems);
+    const protectedTokenProblems = protectedCheck === 'off' ? [] : this.findMessageProblems(newTranslations, this.getProtectedTokenProblems);
+    if (tagCheck === 'reject' && tagProblems.length > 0) {
+      return { success: false, error: 'Messages failed tag validation', tagProblems };
+    }
+    if (protectedCheck === 'reject' && protectedTokenProblems.length > 0) {
+      return { success: false, error: 'Messages changed do-not-translate tokens', protectedTokenProblems };
+    }
+
+    // newTranslations is an object: { key: { locale: translation } }
+    const auditChanges = [];
+    for (const [key, localeTranslations] of Object.entries(newTranslations)) {
+      // Create new entry if key doesn't exist
+      if (!this.translations.has(key)) {
+        this.translations.set(key, {
+          reviewStates: {},
+          sourceHashes: {},
+          rejections: {},
+          translations: {}
+        });
+        if (this.hasConfiguredPlatformPrefix(key)) {
+          this.platformKeys.add(key);
+        }
+        addedKeys++;
+      }
+
+      const entry = this.translations.get(key);
+      const changedLocales = [];
+
+      for (const [locale, translation] of Object.entries(localeTranslations)) {
+        // Add locale if it doesn't exist
+        if (!this.locales.includes(locale)) {
+          this.locales.push(locale);
+          this.locales.sort();
+        }
+
+        // Get the language code from locale (e.g., 'pl' from 'pl-pl')
+        const language = getLanguageFromLocale(locale);
+
+        // Apply non-breaking spaces if rules exist for this language
+        const processedTranslation = this.applyNonBreakingSpaces(translation, language);
+
+        if (entry.translations[locale] !== processedTranslation) {
+          changedLocales.push(locale);
+          auditChanges.push({ operation: 'add', key, locale, oldValue: entry.translations[locale], newValue: processedTranslation });
+        }
+        entry.translations[locale] = processedTranslation;
+        addedLocales.add(locale);
+      }
+
+      this.markTranslationsChanged(entry, changedLocales);
+    }
+
+    // Auto-save to JSON files
+    if (addedLocales.size > 0) {
+      try {
+        await this.saveTranslationsToJson();
+        console.error(`Auto-saved translations for locales: ${Array.from(addedLocales).join(', ')}`);
+      } catch (error) {
+        console.error(`Error auto-saving translations:`, error);
+        return { success: false, error: error.message };
+      }
+    }
+    await this.appendAuditLog(auditChanges);
+
+    return {
+      success: true,
+      addedKeys,
+      addedLocales: Array.from(addedLocales),
+      ...(tagProblems.length > 0 && { tagWarnings: tagProblems }),
+      ...(protectedTokenProblems.length > 0 && { protectedTokenWarnings: protectedTokenProblems })
+    };
+  }
+
+  async loadPreviousState() {
+    try {
+      const content = await fs.readFile(this.tempStateFile, 'utf8');
+      this.previousState = JSON.parse(content);
+      console.error(`Loaded previous translation state with ${Object.keys(this.previousState).length} keys`);
+    } catch (error) {
+      console.error('No previous translation state found, starting fresh');
+      this.previousState = null;
+    }
+  }
+  
+  async saveCurrentState() {
+    try {
+      const state = {};
+      
+      for (const [key, data] of this.translations.entries()) {
+        state[key] = { ...data.translations };
+      }
+      
+      await fs.writeFile(this.tempStateFile, JSON.stringify(state, null, 2), 'utf8');
+      console.error(`Saved current translation state with ${Object.keys(state).length} keys`);
+    } catch (error) {
+      console.error('Error saving translation state:', error);
+    }
+  }
+  
+  // Get translation status summary
+  getTranslationStatus(locales = null) {
+    const filtered = Array.isArray(locales) && locales.length > 0;
+    const statusLocales = filtered ? this.locales.filter(locale => locales.includes(locale)) : this.locales;
+    const reviewLocales = this.getReviewLocales(locales);
+    let total = 0;
+    let missingTranslations = 0;
+    let waitingForCheck = 0;
+    let staleKeys = 0;
+    const reviewStates = Object.fromEntries(reviewLocales.map(locale => [locale, Object.fromEntries(REVIEW_STATES.map(state => [state, 0]))]));
+    const untranslatedCopies = this.findSourceCopies({ locales }).length;
+    
+    for (const [key, data] of this.translations.entries()) {
+      total++;
+      
+      // Check if missing translations in any locale
+      let hasMissingTranslation = false;
+      for (const locale of statusLocales) {
+        if (this.isMissingTranslation(data.translations[locale])) {
+          hasMissingTranslation = true;
+          break;
+        }
+      }
+      
+      if (hasMissingTranslation) {
+        missingTranslations++;
+      }
+      
+      // A key waits for review while any of its translations does
+      const states = reviewLocales.map(locale => this.getReviewState(data, locale));
+      if (states.some(state => REVIEWABLE_STATES.includes(state))) {
+        waitingForCheck++;
+      }
+      if (states.includes('stale')) {
+        staleKeys++;
+      }
+      reviewLocales.forEach((locale, index) => reviewStates[locale][states[index]]++);
+    }
+    
+    return {
+      total,
+      missingTranslations,
+      untranslatedCopies,
+      waitingForCheck,
+      staleKeys,
+      reviewStates
+    };
+  }
+
+  // Report keys that cannot be saved back to nested JSON/YAML files as they are
+  getStructureConflicts() {
+    // PO catalogs and mobile files are flat, so only nested formats can conflict
+    const nestedLocales = this.locales.filter(locale => ['json', 'yaml'].includes(this.localeFormats[locale]));
+    const nestedTranslations = new Map();
+
+    for (const [key, data] of this.translations.entries()) {
+      if (this.isPlatformKey(key)) {
+        continue;
+      }
+
+      const translations = {};
+      for (const locale of nestedLocales) {
+        if (data.translations[locale] !== undefined) {
+          translations[locale] = data.translations[locale];
+        }
+      }
+      if (Object.keys(translations).length > 0) {
+        nestedTranslations.set(key, { translations });
+      }
+    }
+
+    const leafObjectConflicts = findLeafObjectConflicts(nestedTranslations);
+    const duplicateKeys = this.fileStructureIssues.filter(issue => issue.type === 'duplicate').map(({ file, key }) => ({ file, key }));
+    const dottedKeys = this.fileStructureIssues.filter(issue => issue.type === 'dotted').map(({ file, key }) => ({ file, key }));
+
+    return {
+      success: true,
+      conflictCount: leafObjectConflicts.length + duplicateKeys.length + dottedKeys.length,
+      leafObjectConflicts,
+      duplicateKeys,
+      dottedKeys
+    };
+  }
+
+  // Find keys an update would turn into both a value and a parent within one nested locale file
+  findUpdateStructureConflicts(updates) {
+    const keysByLocale = new Map();
+
+    for (const [key, localeTranslations] of Object.entries(updates)) {
+      if (this.isPlatformKey(key)) {
+        continue;
+      }
+      for (const locale of Object.keys(localeTranslations)) {
+        if (['po', 'platform'].includes(this.localeFormats[locale])) {
+          continue;
+        }
+        if (!keysByLocale.has(locale)) {
+          keysByLocale.set(locale, []);
+        }
+        keysByLocale.get(locale).push(key);
+      }
+    }
+
+    const conflicts = [];
+    for (const [locale, keys] of keysByLocale.entries()) {
+      const localeKeys = [];
+      for (const [key, data] of this.translations.entries()) {
+        if (data.translations[locale] !== undefined && !this.isPlatformKey(key)) {
+          localeKeys.push(key);
+        }
+      }
+      findLocaleConflicts(localeKeys, keys).forEach(conflict => conflicts.push({ ...conflict, locale }));
+    }
+
+    return conflicts;
+  }
+
+  // Apply non-breaking spaces to all translations
+  applyNonBreakingSpacesToAll() {
+    let updatedCount = 0;
+    
+    for (const [key, data] of this.translations.entries()) {
+      for (const locale of this.locales) {
+        if (data.translations[locale]) {
+          const language = getLanguageFromLocale(locale);
+          const original = data.translations[locale];
+          const processed = this.applyNonBreakingSpaces(original, language);
+          
+          if (original !== processed) {
+            data.translations[locale] = processed;
+            updatedCount++;
+          }
+        }
+      }
+    }
+    
+    return {
+      success: true,
+      totalKeys: this.translations.size,
+      totalLocales: this.locales.length,
+      updatedTranslations: updatedCount
+    };
+  }
+
+  // Delete all keys with a given prefix
+  async deleteKeysByPrefix(prefix, locales = null) {
+    if (!prefix) {
+      throw new Error('Prefix is required');
+    }
+
+    let deletedCount = 0;
+    const affectedLocales = new Set();
+    const auditChanges = [];
+
+    if (locales && locales.length > 0) {
+      // Delete keys only from specified locales
+      for (const [key, data] of this.translations.entries()) {
+        if (key.startsWith(prefix)) {
+          for (const locale of locales) {
+            if (data.translations[locale] !== undefined) {
+              auditChanges.push({ operation: 'delete', key, locale, oldValue: data.translations[locale] });
+              delete data.translations[locale];
+              affectedLocales.add(locale);
+              deletedCount++;
+            }
+          }
+          // If all translations are gone, remove the key entirely
+          if (Object.keys(data.translations).length === 0) {
+            this.translations.delete(key);
+          }
+        }
+      }
+    } else {
+      // Delete entire keys
+      const keysToDelete = [];
+      for (const key of this.translations.keys()) {
+        if (key.startsWith(prefix)) {
+          keysToDelete.push(key);
+        }
+      }
+
+      for (const key of keysToDelete) {
+        for (const [locale, value] of Object.entries(this.translations.get(key).translations)) {
+          auditChanges.push({ operation: 'delete', key, locale, oldValue: value });
+        }
+        this.translations.delete(key);
+      }
+      deletedCount = keysToDelete.length;
+    }
+
+    // Automatically save to JSON files after deletion
+    if (deletedCount > 0) {
+      if (affectedLocales.size > 0) {
+        await this.saveTranslationsToJsonForLocales(Array.from(affectedLocales));
+      } else {
+        await this.saveTranslationsToJson();
+      }
+      await this.saveReviewStates();
+      await this.appendAuditLog(auditChanges);
+    }
+
+    return {
+      success: true,
+      deletedCount
+    };
+  }
+  
+  // Resolve a path given by a tool call relative to the messages directory
+  resolveMessagesPath(filePath) {
+    return path.isAbsolute(filePath) ? filePath : path.join(this.messagesDir, filePath);
+  }
+
+  // Export selected keys as a key × locale CSV sheet for translators
+  async exportCsv({ filePath = null, keyPrefix = '', missingLocale = null, uncheckedOnly = false, locales = null } = {}) {
+    const exportLocales = locales && locales.length > 0
+      ? locales.filter(locale => this.locales.includes(locale))
+      : this.locales;
+    // Keys count as checked when every exported translation is approved
+    const reviewLocales = this.getReviewLocales(exportLocales);
+    const rows = [];
+
+    for (const [key, data] of this.translations.entries()) {
+      if (keyPrefix && !key.startsWith(keyPrefix)) {
+        continue;
+      }
+      if (uncheckedOnly && reviewLocales.every(locale => this.getReviewState(data, locale) === 'approved')) {
+        continue;
+      }
+      if (missingLocale && !this.isMissingTranslation(data.translations[missingLocale])) {
+        continue;
+      }
+
+      rows.push({ key, translations: data.translations });
+    }
+
+    const content = translationsToCsv(rows, exportLocales);
+    const result = {
+      success: true,
+      keyCount: rows.length,
+      locales: exportLocales
+    };
+
+    // Without a target file the sheet is returned inline
+    if (!filePath) {
+      return { ...result, content };
+    }
+
+    const filepath = this.resolveMessagesPath(filePath);
+    await fs.writeFile(filepath, content, 'utf8');
+    console.error(`Exported ${rows.length} keys to ${filepath}`);
+
+    return { ...result, filePath: filepath };
+  }
+
+  // Import a CSV sheet returned by translators, applying changed cells via updateTranslations
+  async importCsv({ filePath = null, content = null } = {}) {
+    if (!filePath && content === null) {
+      throw new Error('Either filePath or content is required');
+    }
+
+    const csvContent = content ?? await fs.readFile(this.resolveMessagesPath(filePath), 'utf8');
+    const { locales, rows } = csvToTranslations(csvContent);
+
+    const unknownLocales = locales.filter(locale => !this.locales.includes(locale));
+    const unknownKeys = [];
+    const updates = {};
+    let changedCells = 0;
+
+    for (const { key, translations } of rows) {
+      const entry = this.translations.get(key);
+      if (!entry) {
+        unknownKeys.push(key);
+        continue;
+      }
+
+      for (const [locale, text] of Object.entries(translations)) {
+        const value = coerceLeafValue(text, entry.translations[locale]);
+        if (unknownLocales.includes(locale) || entry.translations[locale] === value) {
+          continue;
+        }
+
+        updates[key] = updates[key] || {};
+        updates[key][locale] = value;
+        changedCells++;
+      }
+    }
+
+    const updateResult = await this.updateTranslations(updates);
+    if (!updateResult.success) {
+      return updateResult;
+    }
+
+    return {
+      success: true,
+      changedCells,
+      changedKeys: Object.keys(updates),
+      unknownKeys,
+      unknownLocales,
+      // Placeholder, tag, length and do-not-translate warnings of the saved cells
+      ...Object.fromEntries(Object.entries(updateResult).filter(([field]) => field.endsWith('Warnings')))
+    };
+  }
+  
+  // Get the locale translations are made from (configured, else English, else the first locale)
+  getSourceLocale() {
+    if (this.sourceLocale && this.locales.includes(this.sourceLocale)) {
+      return this.sourceLocale;
+    }
+    return this.locales.find(locale => getLanguageFromLocale(locale) === 'en') || this.locales[0] || null;
+  }
+
+  // Export one XLIFF file per target locale
+  async exportXliff({ outputDir = null, sourceLocale = null, targetLocales = null, version = '1.2', keyPrefix = '', notes = {} } = {}) {
+    const source = sourceLocale || this.getSourceLocale();
+    if (!this.locales.includes(source)) {
+      throw new Error(`Unknown source locale: ${source}`);
+    }
+
+    const targets = (targetLocales && targetLocales.length > 0 ? targetLocales : this.locales)
+      .filter(locale => locale !== source && this.locales.includes(locale));
+
+    const keys = [];
+    for (const [key, data] of this.translations.entries()) {
+      if (keyPrefix && !key.startsWith(keyPrefix)) {
+        continue;
+      }
+      if (this.isMissingTranslation(data.translations[source])) {
+        continue;
+      }
+      keys.push(key);
+    }
+
+    const contents = {};
+    for (const targetLocale of targets) {
+      const units = keys.map(key => {
+        const entry = this.translations.get(key);
+        return {
+          key,
+          source: entry.translations[source],
+          target: entry.translations[targetLocale],
+          note: notes[key],
+          isChecked: this.getReviewState(entry, targetLocale) === 'approved'
+        };
+      });
+
+      contents[targetLocale] = translationsToXliff({ units, sourceLocale: source, targetLocale, version });
+    }
+
+    const result = {
+      success: true,
+      version,
+      sourceLocale: source,
+      unitCount: keys.length
+    };
+
+    // Without a target directory the documents are returned inline
+    if (!outputDir) {
+      return { ...result, contents };
+    }
+
+    const dirpath = this.resolveMessagesPath(outputDir);
+    await fs.mkdir(dirpath, { recursive: true });
+
+    const files = [];
+    for (const [targetLocale, content] of Object.entries(contents)) {
+      const filepath = path.join(dirpath, `${targetLocale}.xlf`);
+      await fs.writeFile(filepath, content, 'utf8');
+      files.push(filepath);
+    }
+    console.error(`Exported ${keys.length} units to ${files.length} XLIFF files in ${dirpath}`);
+
+    return { ...result, files };
+  }
+
+  // Merge XLIFF files returned by translators; changed units are marked unchecked
+  async importXliff({ filePath = null, content = null } = {}) {
+    if (!filePath && content === null) {
+      throw new Error('Either filePath or content is required');
+    }
+
+    const documents = [];
+    if (content !== null) {
+      documents.push(content);
+    } else {
+      const filePaths = Array.isArray(filePath) ? filePath : [filePath];
+      for (const file of filePaths) {
+        documents.push(await fs.readFile(this.resolveMessagesPath(file), 'utf8'));
+      }
+    }
+
+    const unknownLocales = new Set();
+    const unknownKeys = new Set();
+    const updates = {};
+    let changedUnits = 0;
+
+    for (const document of documents) {
+      const { files } = xliffToTranslations(document);
+
+      for (const { targetLocale, units } of files) {
+        if (!this.locales.includes(targetLocale)) {
+          unknownLocales.add(targetLocale);
+          continue;
+        }
+
+        const language = getLanguageFromLocale(targetLocale);
+
+        for (const { key, target } of units) {
+          const entry = this.translations.get(key);
+          if (!entry) {
+            unknownKeys.add(key);
+            continue;
+          }
+          if (target === undefined || target === '') {
+            continue;
+          }
+
+          const processedTranslation = this.applyNonBreakingSpaces(coerceLeafValue(target, entry.translations[targetLocale]), language);
+          if (entry.translations[targetLocale] === processedTranslation) {
+            continue;
+          }
+
+          updates[key] = updates[key] || {};
+          updates[key][targetLocale] = processedTranslation;
+          changedUnits++;
+        }
+      }
+    }
+
+    const updateResult = await this.updateTranslations(updates);
+    if (!updateResult.success) {
+      return updateResult;
+    }
+
+    return {
+      success: true,
+      changedUnits,
+      changedKeys: Object.keys(updates),
+      unknownKeys: Array.from(unknownKeys),
+      unknownLocales: Array.from(unknownLocales),
+      // Placeholder, tag, length and do-not-translate warnings of the saved units
+      ...Object.fromEntries(Object.entries(updateResult).filter(([field]) => field.endsWith('Warnings')))
+    };
+  }
+  
+  setupFileWatcher() {
+    this.closeFileWatchers();
+    
+    // The namespaced layout keeps locale files one level down, so each locale directory is watched too
+    const watchedDirs = [this.messagesDir];
+    if (this.layout === 'namespaced') {
+      watchedDirs.push(...this.locales.map(locale => path.join(this.messagesDir, locale)));
+    }
+    
+    for (const dir of watchedDirs) {
+      try {
+        const watcher = watch(dir, (eventType, filename) => {
+          // Only watch locale catalogs, templates and hand-edited config, ignore backups and translation-check.json
+          if (filename && (this.getCatalogFormat(filename) || filename.endsWith('.pot') || CONFIG_FILES.includes(filename))) {
+            console.error(`Detected change in ${filename}, scheduling reload...`);
+            this.scheduleReload();
+          } else if (filename && dir === this.messagesDir && this.layout === 'namespaced' && !path.extname(filename)) {
+            // A locale directory was added or removed
+            console.error(`Detected change in ${filename}/, scheduling reload...`);
+            this.scheduleReload({ rewatch: true });
+          }
+        });
+        
+        this.fileWatchers.push(watcher);
+        console.error(`File watcher set up for ${dir}`);
+      } catch (error) {
+        console.error(`Error setting up file watcher:`, error);
+      }
+    }
+  }
+  
+  scheduleReload({ rewatch = false } = {}) {
+    // Debounce reloads to avoid multiple rapid reloads
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+    
+    this.reloadTimer = setTimeout(async () => {
+      console.error(`Reloading translations due to file change...`);
+      try {
+        await this.loadPreviousState();
+        await this.loadTranslationsFromJson();
+        if (rewatch) {
+          this.setupFileWatcher();
+        }
+        console.error(`Translations reloaded successfully`);
+      } catch (error) {
+        console.error(`Error reloading translations:`, error);
+      }
+    }, 500); // Wait 500ms before reloading to batch multiple changes
+  }
+  
+  closeFileWatchers() {
+    for (const watcher of this.fileWatchers) {
+      watcher.close();
+    }
+    this.fileWatchers = [];
+  }
+  
+  cleanup() {
+    this.closeFileWatchers();
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+  }
+}
+
+// Create MCP Server
+const translationManager = new TranslationManager();
+const server = new Server(
+  {
+    name: 'translation-manager',
+    version: '1.0.0',
+  },
+  {
+    capabilities: {
+      tools: {},
+    },
+  }
+);
+
+// Handle tool listing
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: [
+      {
+        name: 'get_messages_to_check',
+        description: 'Get next N messages with translations waiting for review (review state translated, needs_review or stale): their values by locale under translations, with the reviewStates of those locales and the reasons of earlier rejections. Messages whose source text contains glossary terms include the glossary rules in a glossary field. Filter and order the queue, and pass nextCursor back as cursor to get the following messages',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            n: {
+              type: 'number',
+              description: 'Number of messages to return',
+              default: 10
+            },
+            locales: {
+              type: 'array',
+              description: 'Only review these locales; messages then show the source and these translations only (default: all)',
+              items: {
+                type: 'string'
+              }
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Only include keys starting with this prefix'
+            },
+            keyGlob: {
+              type: 'string',
+              description: 'Only include keys matching this glob (* matches one key segment, ** any number, e.g. "checkout.*.title")'
+            },
+            changedSince: {
+              type: 'string',
+              description: 'Only include keys whose values were changed through the server at or after this ISO date or timestamp'
+            },
+            hasLintErrors: {
+              type: 'boolean',
+              description: 'Only include messages with a waiting translation that has lint problems of severity error',
+              default: false
+            },
+            order: {
+              type: 'string',
+              enum: ['catalog', 'key', 'recent'],
+              description: 'catalog (file order), key (alphabetical) or recent (most recently changed first)',
+              default: 'catalog'
+            },
+            cursor: {
+              type: 'string',
+              description: 'nextCursor of the previous call, to continue after its last message'
+            },
+            reviewer: {
+              type: 'string',
+              description: 'Reviewer ID; leaves out keys other reviewers claimed with claim_review_batch. Without it, claimed keys show their lease'
+            }
+          }
+        }
+      },
+      {
+        name: 'claim_review_batch',
+        description: 'Reserve the next N messages waiting for review for one reviewer, so concurrent reviewers do not get the same keys. Leases expire after the given minutes and are released when the keys are reviewed (mark_checked, set_review_state); claiming again renews the reviewer\'s own leases',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            reviewer: {
+              type: 'string',
+              description: 'Reviewer ID, e.g. the agent or person name'
+            },
+            n: {
+              type: 'number',
+              description: 'Number of messages to claim',
+              default: 10
+            },
+            minutes: {
+              type: 'number',
+              description: `Lease duration in minutes (default: ${DEFAULT_LEASE_MINUTES})`,
+              default: DEFAULT_LEASE_MINUTES
+            },
+            locales: {
+              type: 'array',
+              description: 'Only claim these locales; other reviewers can still claim the other locales of the keys',
+              items: {
+                type: 'string'
+              }
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Only claim keys starting with this prefix'
+            },
+            keyGlob: {
+              type: 'string',
+              description: 'Only claim keys matching this glob (* matches one key segment, ** any number)'
+            },
+            changedSince: {
+              type: 'string',
+              description: 'Only claim keys whose values were changed through the server at or after this ISO date or timestamp'
+            },
+            hasLintErrors: {
+              type: 'boolean',
+              description: 'Only claim messages with a waiting translation that has lint problems of severity error',
+              default: false
+            },
+            order: {
+              type: 'string',
+              enum: ['catalog', 'key', 'recent'],
+              description: 'catalog (file order), key (alphabetical) or recent (most recently changed first)',
+              default: 'catalog'
+            }
+          },
+          required: ['reviewer']
+        }
+      },
+      {
+        name: 'update_translations',
+        description: 'Update translations for multiple keys and locales',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            updates: {
+              type: 'object',
+              description: 'Object with keys as translation keys, values as objects with locale->translation mappings. Array items are addressed as key[index]; numbers, booleans and null are kept as typed values',
+              additionalProperties: {
+                type: 'object',
+                additionalProperties: {
+                  type: ['string', 'number', 'boolean', 'null']
+                }
+              }
+            },
+            placeholderCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check ICU placeholders against the source locale: warn (default) saves and returns placeholderWarnings, reject saves nothing if any message fails',
+              default: 'warn'
+            },
+            tagCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check HTML/rich-text tags against the source locale: warn (default) saves and returns tagWarnings, reject saves nothing if any message fails',
+              default: 'warn'
+            },
+            lengthCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check values against the length limits in translation-constraints.json: warn (default) saves and returns lengthWarnings, reject saves nothing if any value exceeds its limit',
+              default: 'warn'
+            },
+            protectedCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check that do-not-translate tokens of the source (translation-do-not-translate.json) appear unchanged: reject (default) saves nothing if any token is changed, warn saves and returns protectedTokenWarnings',
+              default: 'reject'
+            }
+          },
+          required: ['updates']
+        }
+      },
+      {
+        name: 'mark_checked',
+        description: 'Mark the translations of keys as checked (review state approved) in all or the given locales. Translations that cannot be approved from their state are returned in refusedTransitions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keys: {
+              type: ['string', 'array'],
+              description: 'Translation key(s) to mark as checked. Can be a single key or array of keys',
+              items: {
+                type: 'string'
+              }
+            },
+            locales: {
+              type: 'array',
+              description: 'Only approve the translations of these locales (default: all but the source locale)',
+              items: {
+                type: 'string'
+              }
+            }
+          },
+          required: ['keys']
+        }
+      },
+      {
+        name: 'get_checked_keys',
+        description: 'Get list of keys that have been marked as checked (review state approved)',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
+      },
+      {
+        name: 'get_missing_translation_keys',
+        description: 'Get list of keys missing translations in one or more locales with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'get_translation_by_key_prefix',
+        description: 'Get translations for all keys starting with given prefix with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Key prefix to search for'
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          },
+          required: ['keyPrefix']
+        }
+      },
+      {
+        name: 'add_translations',
+        description: 'Add new translations to the database',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            translations: {
+              type: 'object',
+              description: 'Object with keys as translation keys, values as objects with locale->translation mappings. Array items are addressed as key[index]; numbers, booleans and null are kept as typed values',
+              additionalProperties: {
+                type: 'object',
+                additionalProperties: {
+                  type: ['string', 'number', 'boolean', 'null']
+                }
+              }
+            },
+            tagCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check HTML/rich-text tags against the source locale: warn (default) saves and returns tagWarnings, reject saves nothing if any message fails',
+              default: 'warn'
+            },
+            protectedCheck: {
+              type: 'string',
+              enum: ['off', 'warn', 'reject'],
+              description: 'Check that do-not-translate tokens of the source appear unchanged: reject (default) adds nothing if any token is changed, warn adds and returns protectedTokenWarnings',
+              default: 'reject'
+            }
+          },
+          required: ['translations']
+        }
+      },
+      {
+        name: 'get_translation_status',
+        description: 'Get translation status summary, with the number of translations in each review state per locale',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            locales: {
+              type: 'array',
+              description: 'Only count these locales (default: all)',
+              items: {
+                type: 'string'
+              }
+            }
+          }
+        }
+      },
+      {
+        name: 'delete_keys_by_prefix',
+        description: 'Delete translation keys with a given prefix. Can delete from all locales or specific locales only.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            prefix: {
+              type: 'string',
+              description: 'The prefix of keys to delete (e.g., "GalleryWalls.aboutFramky")'
+            },
+            locales: {
+              type: 'array',
+              description: 'Optional: array of locale codes to delete from (e.g., ["pl-pl", "en-gb"]). If not provided, deletes entire keys from all locales.',
+              items: {
+                type: 'string'
+              }
+            }
+          },
+          required: ['prefix']
+        }
+      },
+      {
+        name: 'export_csv',
+        description: 'Export translations as a key × locale CSV sheet for translators. Keys can be filtered by prefix, missing locale or unchecked status.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'Optional: file to write, absolute or relative to the messages directory. If not provided, CSV content is returned inline.'
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Optional: only export keys starting with this prefix'
+            },
+            missingLocale: {
+              type: 'string',
+              description: 'Optional: only export keys with a missing or empty translation in this locale'
+            },
+            uncheckedOnly: {
+              type: 'boolean',
+              description: 'Optional: only export keys with a translation that has not been approved yet',
+              default: false
+            },
+            locales: {
+              type: 'array',
+              description: 'Optional: locale columns to include (default: all locales)',
+              items: {
+                type: 'string'
+              }
+            }
+          }
+        }
+      },
+      {
+        name: 'import_csv',
+        description: 'Import a key × locale CSV sheet. Changed cells are saved like update_translations and their warnings are returned; unknown keys and locales are reported and skipped.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: 'string',
+              description: 'CSV file to read, absolute or relative to the messages directory'
+            },
+            content: {
+              type: 'string',
+              description: 'CSV content, used instead of filePath'
+            }
+          }
+        }
+      },
+      {
+        name: 'export_xliff',
+        description: 'Export one XLIFF file per target locale. Review status is mapped to state="translated"/"final".',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            outputDir: {
+              type: 'string',
+              description: 'Optional: directory to write <locale>.xlf files to, absolute or relative to the messages directory. If not provided, documents are returned inline.'
+            },
+            sourceLocale: {
+              type: 'string',
+              description: 'Optional: source locale (default: SOURCE_LOCALE, else the English locale)'
+            },
+            targetLocales: {
+              type: 'array',
+              description: 'Optional: target locales to export (default: all locales except the source)',
+              items: {
+                type: 'string'
+              }
+            },
+            version: {
+              type: 'string',
+              enum: ['1.2', '2.0'],
+              description: 'XLIFF version (default: 1.2)',
+              default: '1.2'
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Optional: only export keys starting with this prefix'
+            },
+            notes: {
+              type: 'object',
+              description: 'Optional: notes for translators, as key -> note',
+              additionalProperties: {
+                type: 'string'
+              }
+            }
+          }
+        }
+      },
+      {
+        name: 'import_xliff',
+        description: 'Merge translated XLIFF 1.2/2.0 files back. Non-breaking spaces are applied, changed units go back to the translated review state and their update_translations warnings are returned.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            filePath: {
+              type: ['string', 'array'],
+              description: 'XLIFF file(s) to read, absolute or relative to the messages directory',
+              items: {
+                type: 'string'
+              }
+            },
+            content: {
+              type: 'string',
+              description: 'XLIFF content, used instead of filePath'
+            }
+          }
+        }
+      },
+      {
+        name: 'validate_placeholders',
+        description: 'Parse translations as ICU MessageFormat and compare variables, select/plural options and nesting with the source locale, with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all, the source locale only gets a syntax check)',
+              items: {
+                type: 'string'
+              }
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'validate_tags',
+        description: 'Compare HTML/rich-text tags of translations with the source locale and report missing, extra, unbalanced, mis-nested and reordered tags, with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all, the source locale only gets a balance check)',
+              items: {
+                type: 'string'
+              }
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'set_review_state',
+        description: 'Move the translations of keys to another review state (translated, needs_review, approved, rejected or stale) in all or the given locales. Only allowed transitions are made (e.g. a locale without a value cannot be approved); refused ones are returned in refusedTransitions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keys: {
+              type: ['string', 'array'],
+              description: 'Translation key(s) to move. Can be a single key or array of keys',
+              items: {
+                type: 'string'
+              }
+            },
+            state: {
+              type: 'string',
+              enum: ['translated', 'needs_review', 'approved', 'rejected', 'stale'],
+              description: 'Review state to move the translations to'
+            },
+            locales: {
+              type: 'array',
+              description: 'Only move the translations of these locales (default: all but the source locale)',
+              items: {
+                type: 'string'
+              }
+            }
+          },
+          required: ['keys', 'state']
+        }
+      },
+      {
+        name: 'reject_translations',
+        description: 'Send translations back with a reason: rejected (default) returns them to the translator, needs_review puts them back in the review queue. The reason is shown in get_messages_to_check until the translation is approved',
         inputSchema: {
           type: 'object',
           properties: {
-            n: {
-              type: 'number',
-              description: 'Number of messages to return',
-              default: 10
+            keys: {
+              type: 'array',
+              description: 'Keys to reject',
+              items: {
+                type: 'string'
+              }
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Reject all keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Only reject these locales (default: all but the source locale)',
+              items: {
+                type: 'string'
+              }
+            },
+            reason: {
+              type: 'string',
+              description: 'Why the translations are sent back'
+            },
+            reviewer: {
+              type: 'string',
+              description: 'Optional: name of the reviewer'
+            },
+            state: {
+              type: 'string',
+              enum: ['rejected', 'needs_review'],
+              description: 'rejected (back to the translator) or needs_review (unmark, back to the review queue)',
+              default: 'rejected'
             }
-          }
+          },
+          required: ['reason']
         }
       },
       {
-        name: 'update_translations',
-        description: 'Update translations for multiple keys and locales',
+        name: 'get_keys_by_review_state',
+        description: 'Get the keys with translations in a review state, with the locales in that state and their translations, with pagination. Tells translations that were never made (new) apart from translations a reviewer rejected (rejected)',
         inputSchema: {
           type: 'object',
           properties: {
-            updates: {
-              type: 'object',
-              description: 'Object with keys as translation keys, values as objects with locale->translation mappings',
-              additionalProperties: {
-                type: 'object',
-                additionalProperties: {
-                  type: 'string'
-                }
+            state: {
+              type: 'string',
+              enum: ['new', 'translated', 'needs_review', 'approved', 'rejected', 'stale'],
+              description: 'Review state'
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Only include keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Only look at these locales (default: all but the source locale)',
+              items: {
+                type: 'string'
               }
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
             }
           },
-          required: ['updates']
+          required: ['state']
         }
       },
       {
-        name: 'mark_checked',
-        description: 'Mark translation keys as checked',
+        name: 'get_stale_translations',
+        description: 'Get the keys whose source text changed after they were translated (review state stale), with the old source text each translation was made against and the new one, with pagination',
         inputSchema: {
           type: 'object',
           properties: {
-            keys: {
-              type: ['string', 'array'],
-              description: 'Translation key(s) to mark as checked. Can be a single key or array of keys',
+            keyPrefix: {
+              type: 'string',
+              description: 'Only include keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Only look at these locales (default: all but the source locale)',
               items: {
                 type: 'string'
               }
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'add_comment',
+        description: 'Start a comment thread on a key, or on a key in one locale, e.g. when unsure about a translation. Pass threadId to reply to a thread instead; replying to a resolved thread reopens it. Open threads are shown with the message in get_messages_to_check',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Translation key to comment on (required for a new thread)'
+            },
+            locale: {
+              type: 'string',
+              description: 'Optional: locale the comment is about; without it the thread is about the key in all locales'
+            },
+            text: {
+              type: 'string',
+              description: 'Comment text'
+            },
+            author: {
+              type: 'string',
+              description: 'Optional: name of the reviewer or translator'
+            },
+            threadId: {
+              type: 'number',
+              description: 'Optional: thread to reply to'
             }
           },
-          required: ['keys']
+          required: ['text']
         }
       },
       {
-        name: 'get_checked_keys',
-        description: 'Get list of keys that have been marked as checked',
+        name: 'list_comments',
+        description: 'List comment threads with their comments, oldest first, with pagination',
         inputSchema: {
           type: 'object',
-          properties: {}
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Only threads on this key'
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'Only threads on keys starting with this prefix'
+            },
+            locale: {
+              type: 'string',
+              description: 'Only threads about this locale or about the whole key'
+            },
+            status: {
+              type: 'string',
+              enum: ['open', 'resolved', 'all'],
+              description: 'Thread status (default: open)',
+              default: 'open'
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
         }
       },
       {
-        name: 'get_missing_translation_keys',
-        description: 'Get list of keys missing translations in one or more locales with pagination',
+        name: 'resolve_comment',
+        description: 'Resolve a comment thread, optionally adding a closing comment',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            threadId: {
+              type: 'number',
+              description: 'Thread to resolve'
+            },
+            author: {
+              type: 'string',
+              description: 'Optional: name of the person resolving the thread'
+            },
+            text: {
+              type: 'string',
+              description: 'Optional: closing comment, e.g. what was decided'
+            }
+          },
+          required: ['threadId']
+        }
+      },
+      {
+        name: 'get_key_history',
+        description: 'Get the recorded changes of a key (added, updated and deleted values, review state changes) with author and time, newest first, with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Translation key'
+            },
+            locale: {
+              type: 'string',
+              description: 'Optional: only changes of this locale'
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          },
+          required: ['key']
+        }
+      },
+      {
+        name: 'run_lint',
+        description: 'Run all quality checks on translations and report problems by rule and severity, with pagination. Rules: whitespace, double-spaces, trailing-punctuation, brackets-quotes, script, disallowed-characters, placeholders, tags, protected-tokens, plural-forms, length, terminology, untranslated-copy; severities and options are set in translation-lint.json',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all)',
+              items: {
+                type: 'string'
+              }
+            },
+            rules: {
+              type: 'array',
+              description: 'Only run these rules (default: all enabled rules)',
+              items: {
+                type: 'string'
+              }
+            },
+            minSeverity: {
+              type: 'string',
+              enum: ['info', 'warning', 'error'],
+              description: 'Lowest severity to report (default: info)',
+              default: 'info'
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'check_terminology',
+        description: 'Check translations against the project glossary (translation-glossary.json) and report forbidden terms and source terms not translated with a preferred term, with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all)',
+              items: {
+                type: 'string'
+              }
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'get_untranslated_copies',
+        description: 'Get keys whose translations are identical or near-identical to the source locale (pasted, never translated), with pagination. Keys and values in translation-allowlist.json are skipped',
         inputSchema: {
           type: 'object',
           properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all except the source locale and its language variants)',
+              items: {
+                type: 'string'
+              }
+            },
+            minSimilarity: {
+              type: 'number',
+              description: 'Similarity (0-1) from which a value counts as a near-identical copy (default: 0.9)',
+              default: 0.9
+            },
+            page: {
+              type: 'number',
+              description: 'Page number (default: 1)',
+              default: 1
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Number of items per page (default: 50)',
+              default: 50
+            }
+          }
+        }
+      },
+      {
+        name: 'check_length_constraints',
+        description: 'Report translations exceeding the per-key character and line limits from translation-constraints.json, or far longer than the source value, with pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keyPrefix: {
+              type: 'string',
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all)',
+              items: {
+                type: 'string'
+              }
+            },
             page: {
               type: 'number',
               description: 'Page number (default: 1)',
@@ -770,14 +3803,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         }
       },
       {
-        name: 'get_translation_by_key_prefix',
-        description: 'Get translations for all keys starting with given prefix with pagination',
+        name: 'get_missing_plural_forms',
+        description: 'List pluralised messages (ICU plural blocks and i18next _one/_few/_many suffix keys) missing plural categories that each locale\'s language needs according to CLDR, with pagination',
         inputSchema: {
           type: 'object',
           properties: {
             keyPrefix: {
               type: 'string',
-              description: 'Key prefix to search for'
+              description: 'Only check keys starting with this prefix'
+            },
+            locales: {
+              type: 'array',
+              description: 'Locales to check (default: all)',
+              items: {
+                type: 'string'
+              }
             },
             page: {
               type: 'number',
@@ -789,58 +3829,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Number of items per page (default: 50)',
               default: 50
             }
-          },
-          required: ['keyPrefix']
-        }
-      },
-      {
-        name: 'add_translations',
-        description: 'Add new translations to the database',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            translations: {
-              type: 'object',
-              description: 'Object with keys as translation keys, values as objects with locale->translation mappings',
-              additionalProperties: {
-                type: 'object',
-                additionalProperties: {
-                  type: 'string'
-                }
-              }
-            }
-          },
-          required: ['translations']
+          }
         }
       },
       {
-        name: 'get_translation_status',
-        description: 'Get translation status summary',
+        name: 'get_structure_conflicts',
+        description: 'List keys that cannot be saved back to nested locale files as loaded: keys that are a value in one place and a parent of other keys, keys containing literal dots, and duplicate keys in the raw JSON',
         inputSchema: {
           type: 'object',
           properties: {}
         }
-      },
-      {
-        name: 'delete_keys_by_prefix',
-        description: 'Delete translation keys with a given prefix. Can delete from all locales or specific locales only.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prefix: {
-              type: 'string',
-              description: 'The prefix of keys to delete (e.g., "GalleryWalls.aboutFramky")'
-            },
-            locales: {
-              type: 'array',
-              description: 'Optional: array of locale codes to delete from (e.g., ["pl-pl", "en-gb"]). If not provided, deletes entire keys from all locales.',
-              items: {
-                type: 'string'
-              }
-            }
-          },
-          required: ['prefix']
-        }
       }
     ]
   };
@@ -848,12 +3846,22 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 
 // Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  const { name, arguments: args = {} } = request.params;
   
   try {
     switch (name) {
       case 'get_messages_to_check':
-        const messages = translationManager.getMessagesToCheck(args.n || 10);
+        const messages = await translationManager.getMessagesToCheck({
+          n: args.n || 10,
+          locales: args.locales,
+          keyPrefix: args.keyPrefix,
+          keyGlob: args.keyGlob,
+          changedSince: args.changedSince,
+          hasLintErrors: args.hasLintErrors,
+          order: args.order,
+          cursor: args.cursor,
+          reviewer: args.reviewer
+        });
         return {
           content: [
             {
@@ -863,8 +3871,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ]
         };
         
+      case 'claim_review_batch':
+        const reviewBatch = await translationManager.claimReviewBatch({
+          reviewer: args.reviewer,
+          n: args.n || 10,
+          minutes: args.minutes || DEFAULT_LEASE_MINUTES,
+          locales: args.locales,
+          keyPrefix: args.keyPrefix,
+          keyGlob: args.keyGlob,
+          changedSince: args.changedSince,
+          hasLintErrors: args.hasLintErrors,
+          order: args.order
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(reviewBatch, null, 2)
+            }
+          ]
+        };
+
       case 'update_translations':
-        const updateResult = await translationManager.updateTranslations(args.updates);
+        const updateResult = await translationManager.updateTranslations(args.updates, {
+          placeholderCheck: args.placeholderCheck,
+          tagCheck: args.tagCheck,
+          lengthCheck: args.lengthCheck,
+          protectedCheck: args.protectedCheck
+        });
         return {
           content: [
             {
@@ -875,7 +3909,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
         
       case 'mark_checked':
-        const markResult = await translationManager.markChecked(args.keys);
+        const markResult = await translationManager.markChecked(args.keys, args.locales);
         return {
           content: [
             {
@@ -929,7 +3963,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
 
       case 'add_translations':
-        const addResult = await translationManager.addTranslations(args.translations);
+        const addResult = await translationManager.addTranslations(args.translations, {
+          tagCheck: args.tagCheck,
+          protectedCheck: args.protectedCheck
+        });
         return {
           content: [
             {
@@ -940,7 +3977,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
         
       case 'get_translation_status':
-        const status = translationManager.getTranslationStatus();
+        const status = translationManager.getTranslationStatus(args.locales);
         return {
           content: [
             {
@@ -964,6 +4001,323 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ]
         };
         
+      case 'export_csv':
+        const exportCsvResult = await translationManager.exportCsv({
+          filePath: args.filePath,
+          keyPrefix: args.keyPrefix,
+          missingLocale: args.missingLocale,
+          uncheckedOnly: args.uncheckedOnly,
+          locales: args.locales
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(exportCsvResult, null, 2)
+            }
+          ]
+        };
+
+      case 'import_csv':
+        const importCsvResult = await translationManager.importCsv({
+          filePath: args.filePath,
+          content: args.content
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(importCsvResult, null, 2)
+            }
+          ]
+        };
+
+      case 'export_xliff':
+        const exportXliffResult = await translationManager.exportXliff({
+          outputDir: args.outputDir,
+          sourceLocale: args.sourceLocale,
+          targetLocales: args.targetLocales,
+          version: args.version,
+          keyPrefix: args.keyPrefix,
+          notes: args.notes
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(exportXliffResult, null, 2)
+            }
+          ]
+        };
+
+      case 'import_xliff':
+        const importXliffResult = await translationManager.importXliff({
+          filePath: args.filePath,
+          content: args.content
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(importXliffResult, null, 2)
+            }
+          ]
+        };
+
+      case 'validate_placeholders':
+        const placeholderResult = translationManager.validatePlaceholders({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(placeholderResult, null, 2)
+            }
+          ]
+        };
+
+      case 'validate_tags':
+        const tagResult = translationManager.validateTags({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(tagResult, null, 2)
+            }
+          ]
+        };
+
+      case 'set_review_state':
+        const reviewStateResult = await translationManager.setReviewState(args.keys, args.state, args.locales);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(reviewStateResult, null, 2)
+            }
+          ]
+        };
+
+      case 'reject_translations':
+        const rejectResult = await translationManager.rejectTranslations({
+          keys: args.keys,
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          reason: args.reason,
+          reviewer: args.reviewer,
+          state: args.state
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(rejectResult, null, 2)
+            }
+          ]
+        };
+
+      case 'get_keys_by_review_state':
+        const reviewStateKeys = translationManager.getKeysByReviewState({
+          state: args.state,
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(reviewStateKeys, null, 2)
+            }
+          ]
+        };
+
+      case 'get_stale_translations':
+        const staleTranslations = translationManager.getStaleTranslations({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(staleTranslations, null, 2)
+            }
+          ]
+        };
+
+      case 'add_comment':
+        const addCommentResult = await translationManager.addComment({
+          key: args.key,
+          locale: args.locale,
+          text: args.text,
+          author: args.author,
+          threadId: args.threadId
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(addCommentResult, null, 2)
+            }
+          ]
+        };
+
+      case 'list_comments':
+        const commentList = translationManager.listComments({
+          key: args.key,
+          keyPrefix: args.keyPrefix,
+          locale: args.locale,
+          status: args.status,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(commentList, null, 2)
+            }
+          ]
+        };
+
+      case 'resolve_comment':
+        const resolveCommentResult = await translationManager.resolveComment({
+          threadId: args.threadId,
+          author: args.author,
+          text: args.text
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(resolveCommentResult, null, 2)
+            }
+          ]
+        };
+
+      case 'get_key_history':
+        const keyHistoryResult = await translationManager.getKeyHistory({
+          key: args.key,
+          locale: args.locale,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(keyHistoryResult, null, 2)
+            }
+          ]
+        };
+
+      case 'run_lint':
+        const lintResult = translationManager.runLint({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          rules: args.rules,
+          minSeverity: args.minSeverity || 'info',
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(lintResult, null, 2)
+            }
+          ]
+        };
+
+      case 'check_terminology':
+        const terminologyResult = translationManager.checkTerminology({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(terminologyResult, null, 2)
+            }
+          ]
+        };
+
+      case 'get_untranslated_copies':
+        const copiesResult = translationManager.getUntranslatedCopies({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          minSimilarity: args.minSimilarity ?? DEFAULT_MIN_SIMILARITY,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(copiesResult, null, 2)
+            }
+          ]
+        };
+
+      case 'check_length_constraints':
+        const lengthResult = translationManager.checkLengthConstraints({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(lengthResult, null, 2)
+            }
+          ]
+        };
+
+      case 'get_missing_plural_forms':
+        const pluralResult = translationManager.getMissingPluralForms({
+          keyPrefix: args.keyPrefix,
+          locales: args.locales,
+          page: args.page || 1,
+          pageSize: args.pageSize || 50
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(pluralResult, null, 2)
+            }
+          ]
+        };
+
+      case 'get_structure_conflicts':
+        const structureConflicts = translationManager.getStructureConflicts();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(structureConflicts, null, 2)
+            }
+          ]
+        };
+
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -987,6 +4341,20 @@ async function main() {
     // Get messages directory from environment variable or use default
     const messagesDir = process.env.MESSAGES_DIR || null;
 
+    // Source locale for exports and source comparisons (defaults to the English locale)
+    translationManager.sourceLocale = process.env.SOURCE_LOCALE || null;
+    translationManager.actor = process.env.TRANSLATION_ACTOR || process.env.USER || process.env.USERNAME || null;
+
+    // Mobile catalogs, absolute or relative to the messages directory
+    translationManager.platformSources = {
+      androidResDir: process.env.ANDROID_RES_DIR || null,
+      appleStringsDir: process.env.APPLE_STRINGS_DIR || null,
+      xcstringsFile: process.env.XCSTRINGS_FILE || null
+    };
+
+    // Directory layout: flat <locale>.json files or <locale>/<namespace>.json directories
+    translationManager.layout = process.env.MESSAGES_LAYOUT === 'namespaced' ? 'namespaced' : 'flat';
+
     if (messagesDir) {
       console.error(`Using messages directory from MESSAGES_DIR: ${messagesDir}`);
     } else {
@@ -1022,4 +4390,19 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+// Whether this file was started with node (also through an npm bin link) rather than imported by the tests
+function isMainModule() {
+  if (!process.argv[1]) {
+    return false;
+  }
+  try {
+    return realpathSync(process.argv[1]) === __filename;
+  } catch {
+    // `node index` leaves out the extension
+    return path.resolve(process.argv[1]) === __filename.slice(0, -path.extname(__filename).length);
+  }
+}
+
+if (isMainModule()) {
+  main();
+}
\ No newline at end of file
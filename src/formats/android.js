@@ -0,0 +1,383 @@
+/**
+ * Android string resources (res/values-xx/strings.xml)
+ *
+ * Resources map to flat keys:
+ *   <string name="title">              -> 'title'
+ *   <plurals name="items"><item quantity="one"> -> 'items_one', 'items_other', ...
+ *   <string-array name="days"><item>   -> 'days[0]', 'days[1]', ...
+ *
+ * The file is kept as a list of nodes, so unchanged resources, comments and
+ * other resource types (<integer>, <color>, ...) are written back verbatim.
+ */
+
+import { escapeXml, decodeXmlEntities } from './xml.js';
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const RESOURCE_PATTERN = /<!--[\s\S]*?-->|<(string|plurals|string-array)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)|<([\w:.-]+)\b[^>]*?(?:\/>|>[\s\S]*?<\/\4\s*>)/g;
+const ITEM_PATTERN = /<item\b([^>]*?)(?:\/>|>([\s\S]*?)<\/item\s*>)/g;
+const TAG_PATTERN = /^<\/?[a-zA-Z][\w:.-]*(\s[^<>]*)?\/?>/;
+
+const ANDROID_UNESCAPES = {
+    'n': '\n',
+    't': '\t',
+    "'": "'",
+    '"': '"',
+    '\\': '\\',
+    '@': '@',
+    '?': '?'
+};
+
+/**
+ * Read an attribute from a raw attribute string
+ * @param {string} attributes Raw attributes (e.g., ' name="title" translatable="false"')
+ * @param {string} name Attribute name
+ * @returns {string|undefined} Attribute value
+ */
+function getAttribute(attributes, name) {
+    const match = (attributes || '').match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+    return match ? decodeXmlEntities(match[1]) : undefined;
+}
+
+/**
+ * Decode the content of a <string> or <item> element
+ * @param {string} raw Raw element content
+ * @returns {string} Text, with inline markup (<b>, <xliff:g>) kept as-is
+ */
+function decodeAndroidValue(raw) {
+    let text = raw ?? '';
+
+    // A fully quoted value keeps its whitespace; the quotes themselves are not part of it
+    const quoted = text.match(/^"([\s\S]*)"$/);
+    if (quoted) {
+        text = quoted[1];
+    }
+
+    return decodeXmlEntities(text)
+        .replace(/\\u([0-9a-fA-F]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\(.)/g, (match, char) => ANDROID_UNESCAPES[char] ?? match);
+}
+
+/**
+ * Encode text for a <string> or <item> element
+ * @param {string} text Text
+ * @returns {string} Element content
+ */
+function encodeAndroidValue(text) {
+    let escaped = '';
+    let rest = String(text);
+
+    // Inline markup is passed through, everything else is escaped
+    while (rest.length > 0) {
+        const tag = rest[0] === '<' ? rest.match(TAG_PATTERN) : null;
+        if (tag) {
+            escaped += tag[0];
+            rest = rest.slice(tag[0].length);
+            continue;
+        }
+
+        const char = rest[0];
+        rest = rest.slice(1);
+        switch (char) {
+            case '\\': escaped += '\\\\'; break;
+            case "'": escaped += "\\'"; break;
+            case '"': escaped += '\\"'; break;
+            case '\n': escaped += '\\n'; break;
+            case '\t': escaped += '\\t'; break;
+            case '&': escaped += '&amp;'; break;
+            case '<': escaped += '&lt;'; break;
+            case '>': escaped += '&gt;'; break;
+            default: escaped += char;
+        }
+    }
+
+    // Leading @ and ? would be read as resource references
+    return escaped.replace(/^([@?])/, '\\$1');
+}
+
+/**
+ * Parse a strings.xml file
+ * @param {string} content XML content
+ * @returns {{head: string, tail: string, nodes: Object[], indent: string}} Parsed document
+ */
+function parseAndroidStrings(content) {
+    const open = content.match(/<resources\b[^>]*>/);
+    const closeIndex = content.lastIndexOf('</resources>');
+    if (!open || closeIndex < 0) {
+        throw new Error('Not an Android resources file: missing <resources> element');
+    }
+
+    const bodyStart = open.index + open[0].length;
+    const body = content.slice(bodyStart, closeIndex);
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of body.matchAll(RESOURCE_PATTERN)) {
+        if (match.index > lastIndex) {
+            nodes.push({ type: 'text', raw: body.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [raw, tag, attributes, inner] = match;
+        const name = tag ? getAttribute(attributes, 'name') : undefined;
+
+        if (!tag || !name || getAttribute(attributes, 'translatable') === 'false') {
+            nodes.push({ type: 'raw', raw });
+        } else if (tag === 'string') {
+            nodes.push({ type: 'string', raw, name, attributes, value: decodeAndroidValue(inner) });
+        } else {
+            const items = [...(inner || '').matchAll(ITEM_PATTERN)].map(([, itemAttributes, itemInner]) => ({
+                quantity: getAttribute(itemAttributes, 'quantity'),
+                value: decodeAndroidValue(itemInner)
+            }));
+            nodes.push({ type: tag, raw, name, attributes, items });
+        }
+    }
+
+    if (lastIndex < body.length) {
+        nodes.push({ type: 'text', raw: body.slice(lastIndex) });
+    }
+
+    const indent = body.match(/\n([ \t]+)</)?.[1] ?? '    ';
+
+    return {
+        head: content.slice(0, bodyStart),
+        tail: content.slice(closeIndex),
+        nodes,
+        indent
+    };
+}
+
+/**
+ * Create an empty strings.xml document
+ * @returns {Object} Parsed document
+ */
+function createAndroidStrings() {
+    return parseAndroidStrings('<?xml version="1.0" encoding="utf-8"?>\n<resources>\n</resources>\n');
+}
+
+/**
+ * Get the flat [key, value] pairs of a node
+ * @param {Object} node Parsed resource node
+ * @returns {Array<[string, string]>} Flat pairs
+ */
+function getNodeValues(node) {
+    switch (node.type) {
+        case 'string':
+            return [[node.name, node.value]];
+        case 'plurals':
+            return node.items
+                .filter(item => PLURAL_CATEGORIES.includes(item.quantity))
+                .map(item => [`${node.name}_${item.quantity}`, item.value]);
+        case 'string-array':
+            return node.items.map((item, index) => [`${node.name}[${index}]`, item.value]);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Flatten a strings.xml document
+ * @param {Object} document Parsed document
+ * @returns {{flatData: Array<[string, string]>, plurals: string[], arrays: string[]}} Flat pairs and the names of plural/array resources
+ */
+function androidStringsToFlatData(document) {
+    const flatData = [];
+    const plurals = [];
+    const arrays = [];
+
+    for (const node of document.nodes) {
+        flatData.push(...getNodeValues(node));
+        if (node.type === 'plurals') {
+            plurals.push(node.name);
+        } else if (node.type === 'string-array') {
+            arrays.push(node.name);
+        }
+    }
+
+    return { flatData, plurals, arrays };
+}
+
+/**
+ * Render a resource node
+ * @param {Object} node Resource node
+ * @param {string} indent Indentation unit
+ * @returns {string} XML
+ */
+function renderNode(node, indent) {
+    const attributes = node.attributes ?? ` name="${escapeXml(node.name)}"`;
+
+    if (node.type === 'string') {
+        return `<string${attributes}>${encodeAndroidValue(node.value)}</string>`;
+    }
+
+    const items = node.items.map(item => {
+        const quantity = item.quantity ? ` quantity="${item.quantity}"` : '';
+        return `${indent}${indent}<item${quantity}>${encodeAndroidValue(item.value)}</item>`;
+    });
+
+    return `<${node.type}${attributes}>\n${items.join('\n')}\n${indent}</${node.type}>`;
+}
+
+/**
+ * Apply flat translations to a strings.xml document in place
+ * Unchanged resources keep their original markup.
+ * @param {Object} document Parsed document
+ * @param {Array<[string, string]>} flatData Flat pairs to write
+ * @param {{plurals?: Iterable<string>, arrays?: Iterable<string>}} kinds Names of plural/array resources in other locales
+ */
+function updateAndroidStrings(document, flatData, kinds = {}) {
+    const existing = androidStringsToFlatData(document);
+    const plurals = new Set([...(kinds.plurals || []), ...existing.plurals]);
+    const arrays = new Set([...(kinds.arrays || []), ...existing.arrays]);
+    const values = new Map(flatData);
+    const written = new Set();
+    const nodes = [];
+
+    // Group new keys into plural and array resources
+    const groupKey = key => {
+        const arrayMatch = key.match(/^(.+)\[(\d+)\]$/);
+        if (arrayMatch && arrays.has(arrayMatch[1])) {
+            return { type: 'string-array', name: arrayMatch[1], index: Number(arrayMatch[2]) };
+        }
+        const pluralMatch = key.match(new RegExp(`^(.+)_(${PLURAL_CATEGORIES.join('|')})$`));
+        if (pluralMatch && plurals.has(pluralMatch[1])) {
+            return { type: 'plurals', name: pluralMatch[1], quantity: pluralMatch[2] };
+        }
+        return { type: 'string', name: key };
+    };
+
+    for (let i = 0; i < document.nodes.length; i++) {
+        const node = document.nodes[i];
+        if (!['string', 'plurals', 'string-array'].includes(node.type)) {
+            nodes.push(node);
+            continue;
+        }
+
+        const pairs = getNodeValues(node);
+        pairs.forEach(([key]) => written.add(key));
+
+        let updated;
+        if (node.type === 'string') {
+            updated = values.has(node.name) ? { ...node, value: values.get(node.name) } : null;
+        } else {
+            // Keep existing items, then add categories/indices that are new for this resource
+            const items = [];
+            for (const [key, value] of flatData) {
+                const group = groupKey(key);
+                if (group.type === node.type && group.name === node.name) {
+                    written.add(key);
+                    items.push({ quantity: group.quantity, index: group.index, value });
+                }
+            }
+            if (node.type === 'string-array') {
+                items.sort((a, b) => a.index - b.index);
+            } else {
+                items.sort((a, b) => PLURAL_CATEGORIES.indexOf(a.quantity) - PLURAL_CATEGORIES.indexOf(b.quantity));
+            }
+            updated = items.length > 0 ? { ...node, items } : null;
+        }
+
+        if (!updated) {
+            // Drop the removed resource together with the whitespace before it
+            if (nodes.length > 0 && nodes[nodes.length - 1].type === 'text' && /^\s*$/.test(nodes[nodes.length - 1].raw)) {
+                nodes.pop();
+            }
+            continue;
+        }
+
+        const unchanged = JSON.stringify(getNodeValues(updated)) === JSON.stringify(pairs);
+        nodes.push(unchanged ? node : { ...updated, raw: renderNode(updated, document.indent) });
+    }
+
+    // Append new resources before the closing tag
+    const added = new Map();
+    for (const [key, value] of flatData) {
+        if (written.has(key)) {
+            continue;
+        }
+
+        const group = groupKey(key);
+        if (group.type === 'string') {
+            added.set(key, { type: 'string', name: key, value });
+            continue;
+        }
+
+        if (!added.has(group.name)) {
+            added.set(group.name, { type: group.type, name: group.name, items: [] });
+        }
+        added.get(group.name).items.push({ quantity: group.quantity, index: group.index, value });
+    }
+
+    let trailing = nodes.length > 0 && nodes[nodes.length - 1].type === 'text' ? nodes.pop() : { type: 'text', raw: '\n' };
+    for (const node of added.values()) {
+        if (node.type === 'string-array') {
+            node.items.sort((a, b) => a.index - b.index);
+        }
+        nodes.push({ type: 'text', raw: `\n${document.indent}` });
+        nodes.push({ ...node, raw: renderNode(node, document.indent) });
+    }
+    if (added.size > 0 && !trailing.raw.startsWith('\n')) {
+        trailing = { type: 'text', raw: `\n${trailing.raw}` };
+    }
+    nodes.push(trailing);
+
+    document.nodes = nodes;
+}
+
+/**
+ * Serialize a strings.xml document
+ * @param {Object} document Parsed document
+ * @returns {string} XML content
+ */
+function stringifyAndroidStrings(document) {
+    return document.head + document.nodes.map(node => node.raw).join('') + document.tail;
+}
+
+/**
+ * Get the locale of a values directory
+ * @param {string} dirname Directory name (e.g., 'values', 'values-pl', 'values-pt-rBR', 'values-b+sr+Latn')
+ * @returns {string|null|undefined} Locale code (e.g., 'pt-br'), null for the default 'values' directory,
+ * undefined for directories with non-locale qualifiers ('values-night', 'values-v21')
+ */
+function getAndroidValuesLocale(dirname) {
+    if (dirname === 'values') {
+        return null;
+    }
+
+    const bcp47 = dirname.match(/^values-b\+([a-zA-Z]{2,3}(?:\+[a-zA-Z0-9]+)*)$/);
+    if (bcp47) {
+        return bcp47[1].replace(/\+/g, '-').toLowerCase();
+    }
+
+    const legacy = dirname.match(/^values-([a-z]{2,3})(?:-r([A-Z]{2}))?$/);
+    if (legacy) {
+        return legacy[2] ? `${legacy[1]}-${legacy[2].toLowerCase()}` : legacy[1];
+    }
+
+    return undefined;
+}
+
+/**
+ * Get the values directory name for a locale
+ * @param {string} locale Locale code (e.g., 'pl', 'pt-br')
+ * @returns {string} Directory name (e.g., 'values-pl', 'values-pt-rBR')
+ */
+function getAndroidValuesDir(locale) {
+    const [language, region, ...rest] = locale.split('-');
+    if (rest.length > 0 || (region && region.length !== 2)) {
+        return `values-b+${locale.split('-').join('+')}`;
+    }
+    return region ? `values-${language}-r${region.toUpperCase()}` : `values-${language}`;
+}
+
+export {
+    parseAndroidStrings,
+    createAndroidStrings,
+    androidStringsToFlatData,
+    updateAndroidStrings,
+    stringifyAndroidStrings,
+    getAndroidValuesLocale,
+    getAndroidValuesDir,
+    PLURAL_CATEGORIES
+};
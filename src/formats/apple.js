@@ -0,0 +1,328 @@
+/**
+ * Apple localization formats
+ *
+ * Localizable.strings (<lang>.lproj/Localizable.strings):
+ *   /* Button title *\/
+ *   "checkout.pay" = "Pay now";
+ *
+ * String Catalogs (Localizable.xcstrings): one JSON file holding every language.
+ * Plural variations map to suffixed keys ('items_one', 'items_other', ...).
+ */
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const STRINGS_TOKEN_PATTERN = /\/\*[\s\S]*?\*\/|\/\/[^\n]*|("(?:[^"\\]|\\.)*"|[\w.-]+)\s*=\s*"((?:[^"\\]|\\.)*)"\s*;/g;
+
+const STRINGS_UNESCAPES = {
+    'n': '\n',
+    't': '\t',
+    'r': '\r',
+    '"': '"',
+    "'": "'",
+    '\\': '\\',
+    '0': '\0'
+};
+
+/**
+ * Unescape a .strings literal
+ * @param {string} text Text between the quotes
+ * @returns {string} Unescaped text
+ */
+function unescapeStringsLiteral(text) {
+    return text.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+        if (escape.length === 5) {
+            return String.fromCharCode(parseInt(escape.slice(1), 16));
+        }
+        return STRINGS_UNESCAPES[escape] ?? escape;
+    });
+}
+
+/**
+ * Escape text for a .strings literal
+ * @param {string} text Text
+ * @returns {string} Escaped text (without quotes)
+ */
+function escapeStringsLiteral(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * Decode a .strings file buffer (UTF-8 or UTF-16 with BOM, as older Xcode versions write)
+ * @param {Buffer} buffer File content
+ * @returns {{content: string, encoding: string}} Text and the encoding to write it back with
+ */
+function decodeStringsBuffer(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return { content: buffer.subarray(2).toString('utf16le'), encoding: 'utf16le' };
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        const swapped = Buffer.from(buffer.subarray(2));
+        swapped.swap16();
+        return { content: swapped.toString('utf16le'), encoding: 'utf16le' };
+    }
+    return { content: buffer.toString('utf8').replace(/^\uFEFF/, ''), encoding: 'utf8' };
+}
+
+/**
+ * Encode a .strings file
+ * @param {string} content Text
+ * @param {string} encoding 'utf8' or 'utf16le'
+ * @returns {Buffer} File content
+ */
+function encodeStringsBuffer(content, encoding) {
+    if (encoding === 'utf16le') {
+        return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(content, 'utf16le')]);
+    }
+    return Buffer.from(content, 'utf8');
+}
+
+/**
+ * Parse a .strings file into nodes; unchanged entries and comments are written back verbatim
+ * @param {string} content File content
+ * @returns {{nodes: Object[]}} Parsed document
+ */
+function parseAppleStrings(content) {
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(STRINGS_TOKEN_PATTERN)) {
+        if (match.index > lastIndex) {
+            const text = content.slice(lastIndex, match.index);
+            if (text.trim() !== '') {
+                throw new Error(`Invalid .strings syntax near: ${text.trim().slice(0, 40)}`);
+            }
+            nodes.push({ type: 'text', raw: text });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [raw, key, value] = match;
+        if (key === undefined) {
+            nodes.push({ type: 'comment', raw });
+            continue;
+        }
+
+        const name = key.startsWith('"') ? unescapeStringsLiteral(key.slice(1, -1)) : key;
+        nodes.push({ type: 'entry', raw, key: name, value: unescapeStringsLiteral(value) });
+    }
+
+    const rest = content.slice(lastIndex);
+    if (rest.trim() !== '') {
+        throw new Error(`Invalid .strings syntax near: ${rest.trim().slice(0, 40)}`);
+    }
+    if (rest) {
+        nodes.push({ type: 'text', raw: rest });
+    }
+
+    return { nodes };
+}
+
+/**
+ * Flatten a .strings document
+ * @param {{nodes: Object[]}} document Parsed document
+ * @returns {Array<[string, string]>} Flat pairs
+ */
+function appleStringsToFlatData(document) {
+    return document.nodes.filter(node => node.type === 'entry').map(node => [node.key, node.value]);
+}
+
+/**
+ * Apply flat translations to a .strings document in place
+ * @param {{nodes: Object[]}} document Parsed document
+ * @param {Array<[string, string]>} flatData Flat pairs to write
+ */
+function updateAppleStrings(document, flatData) {
+    const values = new Map(flatData);
+    const written = new Set();
+    const nodes = [];
+    const render = (key, value) => `"${escapeStringsLiteral(key)}" = "${escapeStringsLiteral(value)}";`;
+
+    for (const node of document.nodes) {
+        if (node.type !== 'entry') {
+            nodes.push(node);
+            continue;
+        }
+
+        written.add(node.key);
+        if (!values.has(node.key)) {
+            // Drop the removed entry with the comment and whitespace directly above it
+            while (nodes.length > 0 && nodes[nodes.length - 1].type !== 'entry') {
+                const previous = nodes[nodes.length - 1];
+                if (previous.type === 'text' && /\n\s*\n/.test(previous.raw)) {
+                    break;
+                }
+                nodes.pop();
+            }
+            continue;
+        }
+
+        const value = values.get(node.key);
+        nodes.push(value === node.value ? node : { ...node, value, raw: render(node.key, value) });
+    }
+
+    for (const [key, value] of flatData) {
+        if (written.has(key)) {
+            continue;
+        }
+        if (nodes.length > 0 && !nodes[nodes.length - 1].raw.endsWith('\n')) {
+            nodes.push({ type: 'text', raw: '\n' });
+        }
+        nodes.push({ type: 'text', raw: '\n' });
+        nodes.push({ type: 'entry', key, value, raw: render(key, value) });
+        nodes.push({ type: 'text', raw: '\n' });
+    }
+
+    document.nodes = nodes;
+}
+
+/**
+ * Serialize a .strings document
+ * @param {{nodes: Object[]}} document Parsed document
+ * @returns {string} File content
+ */
+function stringifyAppleStrings(document) {
+    return document.nodes.map(node => node.raw).join('');
+}
+
+/**
+ * Get the locale of an .lproj directory
+ * @param {string} dirname Directory name (e.g., 'pl.lproj', 'pt-BR.lproj', 'Base.lproj')
+ * @returns {string|null|undefined} Locale code, null for Base.lproj, undefined for other directories
+ */
+function getLprojLocale(dirname) {
+    if (!dirname.endsWith('.lproj')) {
+        return undefined;
+    }
+    const name = dirname.slice(0, -'.lproj'.length);
+    return name === 'Base' ? null : name.replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Flatten a String Catalog for every language it contains
+ * @param {Object} catalog Parsed .xcstrings JSON
+ * @returns {{languages: Object<string, Array<[string, string]>>, plurals: string[]}} Flat pairs per language and plural keys
+ */
+function xcstringsToFlatData(catalog) {
+    const languages = {};
+    const plurals = new Set();
+    const add = (language, key, value) => {
+        languages[language] = languages[language] || [];
+        languages[language].push([key, value]);
+    };
+
+    for (const [key, entry] of Object.entries(catalog.strings || {})) {
+        if (entry.shouldTranslate === false) {
+            continue;
+        }
+
+        // Source strings without an explicit localization use the key as their text
+        if (catalog.sourceLanguage && !entry.localizations?.[catalog.sourceLanguage]) {
+            add(catalog.sourceLanguage, key, key);
+        }
+
+        for (const [language, localization] of Object.entries(entry.localizations || {})) {
+            const pluralVariations = localization.variations?.plural;
+            if (pluralVariations) {
+                plurals.add(key);
+                for (const category of PLURAL_CATEGORIES) {
+                    const value = pluralVariations[category]?.stringUnit?.value;
+                    if (value !== undefined) {
+                        add(language, `${key}_${category}`, value);
+                    }
+                }
+            } else if (localization.stringUnit) {
+                add(language, key, localization.stringUnit.value);
+            }
+        }
+    }
+
+    return { languages, plurals: Array.from(plurals) };
+}
+
+/**
+ * Apply one language's flat translations to a String Catalog in place
+ * @param {Object} catalog Parsed .xcstrings JSON
+ * @param {string} language Catalog language code (e.g., 'pl', 'pt-BR')
+ * @param {Array<[string, string]>} flatData Flat pairs to write
+ * @param {Iterable<string>} plurals Keys known to use plural variations
+ */
+function updateXcstrings(catalog, language, flatData, plurals = []) {
+    const pluralKeys = new Set(plurals);
+    const values = new Map();
+
+    // Group suffixed plural keys under their catalog key
+    for (const [key, value] of flatData) {
+        const pluralMatch = key.match(new RegExp(`^(.+)_(${PLURAL_CATEGORIES.join('|')})$`));
+        if (pluralMatch && pluralKeys.has(pluralMatch[1])) {
+            const forms = values.get(pluralMatch[1]) || {};
+            forms[pluralMatch[2]] = value;
+            values.set(pluralMatch[1], forms);
+        } else {
+            values.set(key, value);
+        }
+    }
+
+    catalog.strings = catalog.strings || {};
+
+    for (const [key, entry] of Object.entries(catalog.strings)) {
+        if (entry.shouldTranslate === false || values.has(key) || !entry.localizations?.[language]) {
+            continue;
+        }
+        delete entry.localizations[language];
+    }
+
+    for (const [key, value] of values.entries()) {
+        const entry = catalog.strings[key] || (catalog.strings[key] = {});
+        const current = entry.localizations?.[language];
+        const setLocalization = localization => {
+            entry.localizations = entry.localizations || {};
+            entry.localizations[language] = localization;
+        };
+
+        if (typeof value === 'object') {
+            const plural = {};
+            for (const category of PLURAL_CATEGORIES) {
+                if (value[category] === undefined) {
+                    continue;
+                }
+                const previous = current?.variations?.plural?.[category]?.stringUnit;
+                plural[category] = {
+                    stringUnit: previous?.value === value[category]
+                        ? previous
+                        : { state: 'translated', value: value[category] }
+                };
+            }
+            setLocalization({ variations: { plural } });
+        } else if (!current && language === catalog.sourceLanguage && value === key) {
+            continue;
+        } else if (current?.stringUnit?.value !== value) {
+            setLocalization({ stringUnit: { state: 'translated', value } });
+        }
+    }
+}
+
+/**
+ * Serialize a String Catalog the way Xcode formats it
+ * @param {Object} catalog Parsed .xcstrings JSON
+ * @returns {string} File content
+ */
+function stringifyXcstrings(catalog) {
+    return JSON.stringify(catalog, null, 2).replace(/^(\s*"(?:[^"\\]|\\.)*"): /gm, '$1 : ') + '\n';
+}
+
+export {
+    decodeStringsBuffer,
+    encodeStringsBuffer,
+    parseAppleStrings,
+    appleStringsToFlatData,
+    updateAppleStrings,
+    stringifyAppleStrings,
+    getLprojLocale,
+    xcstringsToFlatData,
+    updateXcstrings,
+    stringifyXcstrings
+};
@@ -0,0 +1,88 @@
+/**
+ * CSV export/import for translator handoff
+ * Translations are laid out as a key × locale spreadsheet:
+ *
+ *   key,en-us,pl-pl
+ *   common.button.save,Save,Zapisz
+ */
+
+import { parse } from 'csv-parse/sync';
+import { stringify } from 'csv-stringify/sync';
+
+const KEY_COLUMN = 'key';
+
+/**
+ * Build a CSV document from a list of translation rows
+ * @param {Array<{key: string, translations: Object<string, *>}>} rows Rows to export
+ * @param {string[]} locales Locale columns, in output order
+ * @returns {string} CSV content (UTF-8 with BOM, so spreadsheets detect the encoding)
+ */
+function translationsToCsv(rows, locales) {
+    const records = rows.map(({ key, translations }) => [
+        key,
+        // Typed leaves are written as JSON text (3, true, null) and converted back on import
+        ...locales.map(locale => {
+            const value = translations[locale];
+            if (value === undefined) {
+                return '';
+            }
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        })
+    ]);
+
+    return stringify(records, {
+        header: true,
+        columns: [KEY_COLUMN, ...locales],
+        bom: true
+    });
+}
+
+/**
+ * Parse a CSV document produced by translationsToCsv (or edited in a spreadsheet)
+ * @param {string} content CSV content
+ * @returns {{locales: string[], rows: Array<{key: string, translations: Object<string, string>}>}}
+ * Empty cells are left out of the row, so a blank cell never clears a translation
+ */
+function csvToTranslations(content) {
+    const records = parse(content, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true
+    });
+
+    if (records.length === 0) {
+        return { locales: [], rows: [] };
+    }
+
+    const [header, ...body] = records;
+    if (header[0]?.trim() !== KEY_COLUMN) {
+        throw new Error(`First CSV column must be "${KEY_COLUMN}"`);
+    }
+
+    const locales = header.slice(1).map(locale => locale.trim());
+    const rows = [];
+
+    for (const record of body) {
+        const key = record[0]?.trim();
+        if (!key) {
+            continue;
+        }
+
+        const translations = {};
+        locales.forEach((locale, index) => {
+            const value = record[index + 1];
+            if (locale && value !== undefined && value !== '') {
+                translations[locale] = value;
+            }
+        });
+
+        rows.push({ key, translations });
+    }
+
+    return { locales: locales.filter(Boolean), rows };
+}
+
+export {
+    translationsToCsv,
+    csvToTranslations
+};
@@ -0,0 +1,158 @@
+/**
+ * JSON locale file layout
+ *
+ * Each loaded file records its key order, indentation, line endings and trailing
+ * newline, so saving a single changed value produces a one-line diff. Keys added
+ * later are placed right after their closest sibling instead of at the end.
+ *
+ * Array items are addressed by index ('faq.items[2]', 'faq.items[2].title'), and
+ * numbers, booleans and null are kept as typed leaves.
+ */
+
+const DEFAULT_JSON_LAYOUT = {
+    indent: '    ',
+    eol: '\n',
+    finalNewline: false
+};
+
+/**
+ * Detect the formatting of a JSON file
+ * @param {string} content File content
+ * @returns {{indent: string, eol: string, finalNewline: boolean}} Layout
+ */
+function detectJsonLayout(content) {
+    const indentMatch = content.match(/^[{[][ \t]*\r?\n([ \t]+)\S/);
+    return {
+        indent: indentMatch ? indentMatch[1] : DEFAULT_JSON_LAYOUT.indent,
+        eol: content.includes('\r\n') ? '\r\n' : '\n',
+        finalNewline: /\n$/.test(content)
+    };
+}
+
+/**
+ * Split a flat key into object keys and array indices
+ * @param {string} key Flat key (e.g., 'faq.items[2].title')
+ * @returns {Array<string|number>} Path segments (e.g., ['faq', 'items', 2, 'title'])
+ */
+function parseKeyPath(key) {
+    const segments = [];
+
+    for (const part of key.split('.')) {
+        const indexMatches = part.match(/(\[\d+\])+$/);
+        if (!indexMatches) {
+            segments.push(part);
+            continue;
+        }
+
+        const base = part.slice(0, part.length - indexMatches[0].length);
+        if (base) {
+            segments.push(base);
+        }
+        for (const index of indexMatches[0].matchAll(/\[(\d+)\]/g)) {
+            segments.push(Number(index[1]));
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Convert edited text back to the type of the value it replaces
+ * Text from CSV cells and XLIFF targets is always a string, so '3' replacing 3 stays a number.
+ * @param {string} text Edited text
+ * @param {*} previous Current value
+ * @returns {*} Typed value, or the text when it does not fit the previous type
+ */
+function coerceLeafValue(text, previous) {
+    if (previous === undefined || typeof previous === 'string') {
+        return text;
+    }
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch {
+        return text;
+    }
+
+    const typeOf = item => item === null ? 'null' : Array.isArray(item) ? 'array' : typeof item;
+    if (typeOf(value) !== typeOf(previous)) {
+        return text;
+    }
+    // Unchanged values keep their identity, so an empty array is not reported as edited
+    return JSON.stringify(value) === JSON.stringify(previous) ? previous : value;
+}
+
+/**
+ * Count the leading path segments two flat keys share
+ * @param {string} a Flat key
+ * @param {string} b Flat key
+ * @returns {number} Number of shared segments
+ */
+function getSharedDepth(a, b) {
+    const segmentsA = parseKeyPath(a);
+    const segmentsB = parseKeyPath(b);
+    let depth = 0;
+    while (depth < segmentsA.length - 1 && depth < segmentsB.length - 1 && segmentsA[depth] === segmentsB[depth]) {
+        depth++;
+    }
+    return depth;
+}
+
+/**
+ * Order flat pairs by a file's original key order
+ * Keys that were not in the file go after the last key sharing the most parent segments,
+ * or at the end when they share none.
+ * @param {Array<[string, *]>} flatData Flat pairs to write
+ * @param {string[]} keyOrder Flat keys in the order the file listed them
+ * @returns {Array<[string, *]>} Ordered flat pairs
+ */
+function orderFlatData(flatData, keyOrder) {
+    const values = new Map(flatData);
+    const ordered = keyOrder.filter(key => values.has(key));
+    const known = new Set(ordered);
+
+    for (const [key] of flatData) {
+        if (known.has(key)) {
+            continue;
+        }
+
+        let insertAt = ordered.length;
+        let bestDepth = 0;
+        ordered.forEach((existingKey, index) => {
+            const depth = getSharedDepth(key, existingKey);
+            if (depth > 0 && depth >= bestDepth) {
+                bestDepth = depth;
+                insertAt = index + 1;
+            }
+        });
+
+        ordered.splice(insertAt, 0, key);
+        known.add(key);
+    }
+
+    return ordered.map(key => [key, values.get(key)]);
+}
+
+/**
+ * Serialize locale data with a file's layout
+ * @param {Object} data Nested translations
+ * @param {{indent: string, eol: string, finalNewline: boolean}} layout Layout from detectJsonLayout
+ * @returns {string} File content
+ */
+function stringifyJson(data, layout = DEFAULT_JSON_LAYOUT) {
+    let content = JSON.stringify(data, null, layout.indent);
+    if (layout.eol !== '\n') {
+        content = content.replace(/\n/g, layout.eol);
+    }
+    return layout.finalNewline ? content + layout.eol : content;
+}
+
+export {
+    detectJsonLayout,
+    parseKeyPath,
+    coerceLeafValue,
+    orderFlatData,
+    stringifyJson,
+    DEFAULT_JSON_LAYOUT
+};
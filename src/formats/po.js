@@ -0,0 +1,307 @@
+/**
+ * Gettext PO/POT parsing and serialization
+ *
+ * Dotted translation keys map to msgctxt/msgid: the part before the last dot is the
+ * context and the last segment is the msgid ('checkout.button.pay' ->
+ * msgctxt "checkout.button", msgid "pay"). Plural forms are exposed as numbered keys
+ * ('cart.items#0', 'cart.items#1', ...), one per msgstr[n]; '#' keeps them apart from
+ * the 'key[n]' array items of JSON catalogs.
+ */
+
+const PO_PLURAL_SEPARATOR = '#';
+
+const PO_ESCAPES = {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\n': '\\n',
+    '\t': '\\t',
+    '\r': '\\r'
+};
+
+const PO_UNESCAPES = {
+    'n': '\n',
+    't': '\t',
+    'r': '\r',
+    '"': '"',
+    '\\': '\\'
+};
+
+/**
+ * Unescape the content of a quoted PO string
+ * @param {string} text Text between the quotes
+ * @returns {string} Unescaped text
+ */
+function unescapePoString(text) {
+    return text.replace(/\\(.)/g, (match, char) => PO_UNESCAPES[char] ?? char);
+}
+
+/**
+ * Format a PO keyword with its value, splitting multi-line values the way msgcat does
+ * @param {string} keyword Keyword (e.g., 'msgid', 'msgstr[0]')
+ * @param {string} value Unescaped value
+ * @param {string} prefix Line prefix ('' or '#~ ' for obsolete entries)
+ * @returns {string[]} Output lines
+ */
+function formatPoString(keyword, value, prefix = '') {
+    const escape = text => text.replace(/[\\"\n\t\r]/g, char => PO_ESCAPES[char]);
+    const parts = value.split(/(?<=\n)/).filter(part => part !== '');
+
+    if (!value.includes('\n')) {
+        return [`${prefix}${keyword} "${escape(value)}"`];
+    }
+
+    return [`${prefix}${keyword} ""`, ...parts.map(part => `${prefix}"${escape(part)}"`)];
+}
+
+/**
+ * Create an empty PO entry
+ * @returns {Object} Entry
+ */
+function createEntry() {
+    return {
+        msgctxt: undefined,
+        msgid: undefined,
+        msgidPlural: undefined,
+        msgstr: [],
+        translatorComments: [],
+        extractedComments: [],
+        references: [],
+        flags: [],
+        previous: [],
+        obsolete: false
+    };
+}
+
+/**
+ * Parse a PO or POT document
+ * @param {string} content PO content
+ * @returns {{header: Object|null, entries: Object[]}} Header entry (msgid "") and message entries
+ */
+function parsePo(content) {
+    const entries = [];
+    let entry = createEntry();
+    let hasContent = false;
+    let lastField = null;
+
+    const flush = () => {
+        if (hasContent && entry.msgid !== undefined) {
+            entries.push(entry);
+        }
+        entry = createEntry();
+        hasContent = false;
+        lastField = null;
+    };
+
+    const appendToField = (field, value) => {
+        if (field === 'msgctxt' || field === 'msgid' || field === 'msgidPlural') {
+            entry[field] = (entry[field] ?? '') + value;
+        } else if (field.startsWith('msgstr')) {
+            const index = Number(field.slice('msgstr'.length)) || 0;
+            entry.msgstr[index] = (entry.msgstr[index] ?? '') + value;
+        }
+    };
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim();
+
+        if (line === '') {
+            // A blank line only ends an entry once its msgid has been read
+            if (entry.msgid !== undefined) {
+                flush();
+            }
+            continue;
+        }
+
+        if (line.startsWith('#~')) {
+            entry.obsolete = true;
+            line = line.slice(2).trim();
+            if (line === '') {
+                continue;
+            }
+        } else if (line.startsWith('#')) {
+            if (entry.msgid !== undefined) {
+                flush();
+            }
+            hasContent = true;
+
+            if (line.startsWith('#.')) {
+                entry.extractedComments.push(line.slice(2).trim());
+            } else if (line.startsWith('#:')) {
+                entry.references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean));
+            } else if (line.startsWith('#,')) {
+                entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+            } else if (line.startsWith('#|')) {
+                entry.previous.push(line.slice(2).trim());
+            } else {
+                entry.translatorComments.push(line.replace(/^# ?/, ''));
+            }
+            continue;
+        }
+
+        const keywordMatch = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+        if (keywordMatch) {
+            const [, keyword, pluralIndex, value] = keywordMatch;
+
+            // A new msgctxt, or a msgid after a complete message, starts the next entry
+            if ((keyword === 'msgctxt' || keyword === 'msgid') && entry.msgstr.length > 0) {
+                const obsolete = entry.obsolete;
+                flush();
+                entry.obsolete = obsolete;
+            }
+            hasContent = true;
+
+            if (keyword === 'msgid_plural') {
+                lastField = 'msgidPlural';
+            } else if (keyword.startsWith('msgstr')) {
+                lastField = `msgstr${pluralIndex ?? ''}`;
+            } else {
+                lastField = keyword;
+            }
+            appendToField(lastField, unescapePoString(value));
+            continue;
+        }
+
+        const continuationMatch = line.match(/^"(.*)"$/);
+        if (continuationMatch && lastField) {
+            appendToField(lastField, unescapePoString(continuationMatch[1]));
+            continue;
+        }
+
+        throw new Error(`Invalid PO syntax: ${rawLine}`);
+    }
+    flush();
+
+    const headerIndex = entries.findIndex(item => item.msgid === '' && item.msgctxt === undefined && !item.obsolete);
+    const header = headerIndex >= 0 ? entries.splice(headerIndex, 1)[0] : null;
+
+    return { header, entries };
+}
+
+/**
+ * Serialize a single entry
+ * @param {Object} entry PO entry
+ * @returns {string} Entry block
+ */
+function formatEntry(entry) {
+    const lines = [];
+    const prefix = entry.obsolete ? '#~ ' : '';
+
+    for (const comment of entry.translatorComments) {
+        lines.push(comment === '' ? '#' : `# ${comment}`);
+    }
+    for (const comment of entry.extractedComments) {
+        lines.push(`#. ${comment}`);
+    }
+    if (entry.references.length > 0) {
+        lines.push(`#: ${entry.references.join(' ')}`);
+    }
+    if (entry.flags.length > 0) {
+        lines.push(`#, ${entry.flags.join(', ')}`);
+    }
+    for (const previous of entry.previous) {
+        lines.push(`#| ${previous}`);
+    }
+
+    if (entry.msgctxt !== undefined) {
+        lines.push(...formatPoString('msgctxt', entry.msgctxt, prefix));
+    }
+    lines.push(...formatPoString('msgid', entry.msgid, prefix));
+
+    if (entry.msgidPlural !== undefined) {
+        lines.push(...formatPoString('msgid_plural', entry.msgidPlural, prefix));
+        const pluralCount = Math.max(entry.msgstr.length, 2);
+        for (let i = 0; i < pluralCount; i++) {
+            lines.push(...formatPoString(`msgstr[${i}]`, entry.msgstr[i] ?? '', prefix));
+        }
+    } else {
+        lines.push(...formatPoString('msgstr', entry.msgstr[0] ?? '', prefix));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Serialize a PO or POT document
+ * @param {{header: Object|null, entries: Object[]}} catalog Header and entries
+ * @returns {string} PO content
+ */
+function stringifyPo({ header, entries }) {
+    const blocks = [];
+
+    if (header) {
+        blocks.push(formatEntry(header));
+    }
+
+    // Obsolete entries conventionally go last
+    const active = entries.filter(entry => !entry.obsolete);
+    const obsolete = entries.filter(entry => entry.obsolete);
+    for (const entry of [...active, ...obsolete]) {
+        blocks.push(formatEntry(entry));
+    }
+
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Get the translation key for a PO entry
+ * @param {Object} entry PO entry
+ * @returns {string} Dotted key
+ */
+function getPoEntryKey(entry) {
+    return entry.msgctxt ? `${entry.msgctxt}.${entry.msgid}` : entry.msgid;
+}
+
+/**
+ * Create a PO entry for a translation key that has no entry yet
+ * @param {string} key Dotted key
+ * @returns {Object} PO entry with msgctxt/msgid derived from the key
+ */
+function createPoEntryForKey(key) {
+    const entry = createEntry();
+    const lastDot = key.lastIndexOf('.');
+
+    if (lastDot > 0 && lastDot < key.length - 1) {
+        entry.msgctxt = key.slice(0, lastDot);
+        entry.msgid = key.slice(lastDot + 1);
+    } else {
+        entry.msgid = key;
+    }
+
+    return entry;
+}
+
+/**
+ * Build the key of one plural form of an entry
+ * @param {string} key Entry key from getPoEntryKey
+ * @param {number} index msgstr index
+ * @returns {string} Plural form key (e.g., 'cart.items#1')
+ */
+function getPoPluralKey(key, index) {
+    return `${key}${PO_PLURAL_SEPARATOR}${index}`;
+}
+
+/**
+ * Create a default header entry for a new PO file
+ * @param {string} locale Locale code, or null for a POT template
+ * @returns {Object} Header entry
+ */
+function createPoHeader(locale) {
+    const header = createEntry();
+    header.msgid = '';
+    header.msgstr = [
+        'MIME-Version: 1.0\n' +
+        'Content-Type: text/plain; charset=UTF-8\n' +
+        'Content-Transfer-Encoding: 8bit\n' +
+        (locale ? `Language: ${locale}\n` : '')
+    ];
+    return header;
+}
+
+export {
+    parsePo,
+    stringifyPo,
+    getPoEntryKey,
+    createPoEntryForKey,
+    getPoPluralKey,
+    createPoHeader
+};
@@ -0,0 +1,188 @@
+/**
+ * XLIFF 1.2 / 2.0 export and import for translation agencies
+ * One document holds one source locale and one target locale.
+ * Review state is mapped from isChecked:
+ *   XLIFF 1.2: state="translated" / state="final" (state="new" when the target is missing)
+ *   XLIFF 2.0: state="translated" / state="final" (state="initial" when the target is missing)
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { escapeXml, decodeXmlEntities } from './xml.js';
+
+const SUPPORTED_VERSIONS = ['1.2', '2.0'];
+
+const XLIFF_NAMESPACES = {
+    '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+    '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+/**
+ * Map the review status of a unit to an XLIFF state attribute value
+ * @param {string} version XLIFF version
+ * @param {string|undefined} target Target text
+ * @param {boolean} isChecked Whether the key has been reviewed
+ * @returns {string} XLIFF state
+ */
+function getUnitState(version, target, isChecked) {
+    if (target === undefined || target === '') {
+        return version === '1.2' ? 'new' : 'initial';
+    }
+    return isChecked ? 'final' : 'translated';
+}
+
+/**
+ * Build an XLIFF document for one source/target locale pair
+ * @param {Object} options
+ * @param {Array<{key: string, source: string, target?: string, note?: string, isChecked: boolean}>} options.units Units to export
+ * @param {string} options.sourceLocale Source locale (e.g., 'en-gb')
+ * @param {string} options.targetLocale Target locale (e.g., 'pl-pl')
+ * @param {string} [options.version='1.2'] XLIFF version, '1.2' or '2.0'
+ * @param {string} [options.original='messages'] Name of the original document
+ * @returns {string} XLIFF document
+ */
+function translationsToXliff({ units, sourceLocale, targetLocale, version = '1.2', original = 'messages' }) {
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported XLIFF version: ${version}`);
+    }
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+    if (version === '1.2') {
+        lines.push(`<xliff version="1.2" xmlns="${XLIFF_NAMESPACES['1.2']}">`);
+        lines.push(`  <file original="${escapeXml(original)}" source-language="${escapeXml(sourceLocale)}" target-language="${escapeXml(targetLocale)}" datatype="plaintext">`);
+        lines.push('    <body>');
+        for (const { key, source, target, note, isChecked } of units) {
+            const state = getUnitState(version, target, isChecked);
+            lines.push(`      <trans-unit id="${escapeXml(key)}" resname="${escapeXml(key)}">`);
+            lines.push(`        <source>${escapeXml(source ?? '')}</source>`);
+            lines.push(`        <target state="${state}">${escapeXml(target ?? '')}</target>`);
+            if (note) {
+                lines.push(`        <note>${escapeXml(note)}</note>`);
+            }
+            lines.push('      </trans-unit>');
+        }
+        lines.push('    </body>');
+        lines.push('  </file>');
+    } else {
+        lines.push(`<xliff version="2.0" xmlns="${XLIFF_NAMESPACES['2.0']}" srcLang="${escapeXml(sourceLocale)}" trgLang="${escapeXml(targetLocale)}">`);
+        lines.push(`  <file id="${escapeXml(original)}">`);
+        for (const { key, source, target, note, isChecked } of units) {
+            const state = getUnitState(version, target, isChecked);
+            lines.push(`    <unit id="${escapeXml(key)}" name="${escapeXml(key)}">`);
+            if (note) {
+                lines.push(`      <notes><note>${escapeXml(note)}</note></notes>`);
+            }
+            lines.push(`      <segment state="${state}">`);
+            lines.push(`        <source>${escapeXml(source ?? '')}</source>`);
+            lines.push(`        <target>${escapeXml(target ?? '')}</target>`);
+            lines.push('      </segment>');
+            lines.push('    </unit>');
+        }
+        lines.push('  </file>');
+    }
+
+    lines.push('</xliff>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Read the text of a stop node (source/target), keeping inline markup as-is
+ * @param {*} node Parsed node
+ * @returns {string|undefined} Decoded text
+ */
+function getNodeText(node) {
+    if (node === undefined || node === null) {
+        return undefined;
+    }
+    if (typeof node === 'object') {
+        return decodeXmlEntities(node['#text'] ?? '');
+    }
+    return decodeXmlEntities(node);
+}
+
+/**
+ * Collect units from a file or group, descending into nested groups
+ * @param {Object} container Parsed <file> or <group> element
+ * @param {string} unitTag 'trans-unit' (1.2) or 'unit' (2.0)
+ * @returns {Object[]} Parsed unit elements
+ */
+function collectUnits(container, unitTag) {
+    const units = [...(container[unitTag] || [])];
+    for (const group of container.group || []) {
+        units.push(...collectUnits(group, unitTag));
+    }
+    return units;
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document
+ * @param {string} content XLIFF document
+ * @returns {{version: string, files: Array<{sourceLocale: string, targetLocale: string, units: Array<{key: string, source?: string, target?: string, state?: string}>}>}}
+ */
+function xliffToTranslations(content) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '',
+        parseTagValue: false,
+        parseAttributeValue: false,
+        trimValues: false,
+        stopNodes: ['*.source', '*.target'],
+        isArray: name => ['file', 'group', 'trans-unit', 'unit', 'segment'].includes(name)
+    });
+
+    const document = parser.parse(content);
+    const xliff = document.xliff;
+    if (!xliff) {
+        throw new Error('Not an XLIFF document: missing <xliff> root element');
+    }
+
+    const version = String(xliff.version || '');
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported XLIFF version: ${version || 'unknown'}`);
+    }
+
+    const files = [];
+
+    for (const file of xliff.file || []) {
+        if (version === '1.2') {
+            const units = collectUnits(file.body || {}, 'trans-unit').map(unit => ({
+                key: unit.resname || unit.id,
+                source: getNodeText(unit.source),
+                target: getNodeText(unit.target),
+                state: typeof unit.target === 'object' ? unit.target.state : undefined
+            }));
+
+            files.push({
+                sourceLocale: file['source-language'],
+                targetLocale: file['target-language'],
+                units
+            });
+        } else {
+            const units = collectUnits(file, 'unit').map(unit => {
+                // Multi-segment units are joined back into one message
+                const segments = unit.segment || [];
+                const targets = segments.map(segment => getNodeText(segment.target));
+                return {
+                    key: unit.name || unit.id,
+                    source: segments.map(segment => getNodeText(segment.source) ?? '').join(''),
+                    target: targets.every(target => target === undefined) ? undefined : targets.map(target => target ?? '').join(''),
+                    state: segments[0]?.state
+                };
+            });
+
+            files.push({
+                sourceLocale: xliff.srcLang,
+                targetLocale: xliff.trgLang,
+                units
+            });
+        }
+    }
+
+    return { version, files };
+}
+
+export {
+    translationsToXliff,
+    xliffToTranslations,
+    SUPPORTED_VERSIONS as XLIFF_VERSIONS
+};
@@ -0,0 +1,50 @@
+/**
+ * Small XML helpers shared by the XML-based exchange formats
+ */
+
+const XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+/**
+ * Escape text for use in XML element content or attribute values
+ * @param {string} text Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} text Escaped text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        }
+        return NAMED_ENTITIES[entity] ?? match;
+    });
+}
+
+export {
+    escapeXml,
+    decodeXmlEntities
+};
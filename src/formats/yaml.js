@@ -0,0 +1,122 @@
+/**
+ * YAML locale files (e.g., Rails config/locales/*.yml)
+ *
+ * Files may use the locale as the root key (Rails style):
+ *
+ *   pl:
+ *     admin:
+ *       save: Zapisz
+ *
+ * The parsed Document is kept between load and save, so only changed values are
+ * rewritten and comments, anchors and key order elsewhere in the file are preserved.
+ */
+
+import { Document, parseDocument, isMap, isSeq } from 'yaml';
+import { parseKeyPath } from './json.js';
+
+/**
+ * Detect a Rails-style locale root key
+ * @param {*} data Parsed YAML data
+ * @param {string} locale Locale code from the filename (e.g., 'pl-pl' or 'pl')
+ * @returns {string|null} The root key, or null if keys start at the top level
+ */
+function getLocaleRootKey(data, locale) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return null;
+    }
+
+    const keys = Object.keys(data);
+    if (keys.length !== 1 || typeof data[keys[0]] !== 'object' || data[keys[0]] === null) {
+        return null;
+    }
+
+    const normalize = code => String(code).toLowerCase().replace('_', '-');
+    const rootKey = normalize(keys[0]);
+    const normalizedLocale = normalize(locale);
+
+    if (rootKey === normalizedLocale || rootKey === normalizedLocale.split('-')[0]) {
+        return keys[0];
+    }
+    return null;
+}
+
+/**
+ * Parse a YAML locale file
+ * @param {string} content YAML content
+ * @param {string} locale Locale code from the filename
+ * @returns {{document: import('yaml').Document, rootKey: string|null, data: Object}} Parsed document and its translations tree
+ */
+function parseYamlCatalog(content, locale) {
+    // Merge keys (<<: *defaults) are resolved, so inherited values show up under each key
+    const document = parseDocument(content, { merge: true });
+    if (document.errors.length > 0) {
+        throw document.errors[0];
+    }
+
+    const data = document.toJS() || {};
+    const rootKey = getLocaleRootKey(data, locale);
+
+    return {
+        document,
+        rootKey,
+        data: rootKey ? data[rootKey] : data
+    };
+}
+
+/**
+ * Create an empty YAML document for a new locale file
+ * @param {string} locale Locale code, used as the root key
+ * @returns {{document: import('yaml').Document, rootKey: string, data: Object}}
+ */
+function createYamlCatalog(locale) {
+    return {
+        document: new Document({ [locale]: {} }),
+        rootKey: locale,
+        data: {}
+    };
+}
+
+/**
+ * Apply flattened translations to a YAML document in place
+ * Unchanged values are left alone, so aliases and comments on them survive.
+ * @param {{document: import('yaml').Document, rootKey: string|null}} catalog Parsed catalog
+ * @param {Array<[string, *]>} previousFlatData Flattened translations the document currently holds
+ * @param {Array<[string, *]>} flatData Flattened translations to write
+ */
+function updateYamlCatalog({ document, rootKey }, previousFlatData, flatData) {
+    const prefix = rootKey ? [rootKey] : [];
+    const toPath = key => [...prefix, ...parseKeyPath(key)];
+    const previous = new Map(previousFlatData);
+    const current = new Map(flatData);
+
+    for (const key of previous.keys()) {
+        if (current.has(key)) {
+            continue;
+        }
+
+        const keyPath = toPath(key);
+        document.deleteIn(keyPath);
+
+        // Remove parent mappings that became empty
+        for (let depth = keyPath.length - 1; depth > prefix.length; depth--) {
+            const parentPath = keyPath.slice(0, depth);
+            const parent = document.getIn(parentPath, true);
+            if (!(isMap(parent) || isSeq(parent)) || parent.items.length > 0) {
+                break;
+            }
+            document.deleteIn(parentPath);
+        }
+    }
+
+    for (const [key, value] of current.entries()) {
+        if (previous.get(key) !== value) {
+            document.setIn(toPath(key), value);
+        }
+    }
+}
+
+export {
+    parseYamlCatalog,
+    createYamlCatalog,
+    updateYamlCatalog
+};
@@ -0,0 +1,75 @@
+/**
+ * Audit journal of changes to translations and review states
+ *
+ * Every change is appended as one JSON line and never rewritten:
+ *
+ *   {"time":"2025-03-04T10:12:00.000Z","actor":"anna","operation":"update","key":"home.title","locale":"pl-pl","oldValue":"Strona","newValue":"Strona główna"}
+ *
+ * Operations: add, update and delete change a value; review changes a review
+ * state (oldValue and newValue hold the states). oldValue is left out when the
+ * value did not exist, newValue when it was deleted. Rejections add the reason
+ * the reviewer gave:
+ *
+ *   {"time":"2025-03-04T10:20:00.000Z","actor":"anna","operation":"review","key":"home.title","locale":"pl-pl","oldValue":"translated","newValue":"rejected","reason":"Too formal"}
+ */
+
+const AUDIT_OPERATIONS = ['add', 'update', 'delete', 'review'];
+
+/**
+ * Build a journal entry
+ * @param {{operation: string, key: string, locale?: string, oldValue?: *, newValue?: *, reason?: string}} change Change
+ * @param {string|null} actor Who made the change
+ * @param {string} time ISO timestamp
+ * @returns {Object} Entry with its fields in journal order
+ */
+function createAuditEntry({ operation, key, locale, oldValue, newValue, reason }, actor, time) {
+    return {
+        time,
+        actor,
+        operation,
+        key,
+        ...(locale !== undefined && { locale }),
+        ...(oldValue !== undefined && { oldValue }),
+        ...(newValue !== undefined && { newValue }),
+        ...(reason !== undefined && { reason })
+    };
+}
+
+/**
+ * Format entries as JSON lines
+ * @param {Array<Object>} entries Journal entries
+ * @returns {string} One line per entry, each ending in a newline
+ */
+function formatAuditLines(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+/**
+ * Parse the journal
+ * @param {string} content JSONL content
+ * @returns {{entries: Array<Object>, invalidLines: number[]}} Entries in file order, and 1-based numbers of lines that are not JSON
+ */
+function parseAuditLog(content) {
+    const entries = [];
+    const invalidLines = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            invalidLines.push(index + 1);
+        }
+    });
+
+    return { entries, invalidLines };
+}
+
+export {
+    createAuditEntry,
+    formatAuditLines,
+    parseAuditLog,
+    AUDIT_OPERATIONS
+};
@@ -0,0 +1,88 @@
+/**
+ * Reviewer comment threads
+ *
+ * A thread is attached to a key, or to a key in one locale, and holds the
+ * discussion about that translation until someone resolves it:
+ *
+ *   { "version": 1, "threads": [{ "id": 3, "key": "home.title", "locale": "pl-pl", "status": "open",
+ *       "createdAt": "...", "comments": [{ "author": "anna", "text": "Too formal?", "createdAt": "..." }] }] }
+ *
+ * Replying to a resolved thread reopens it.
+ */
+
+const COMMENT_FILE_VERSION = 1;
+
+const THREAD_STATUSES = ['open', 'resolved'];
+
+/**
+ * Parse the content of the comments file
+ * @param {Object} data Parsed JSON ({ version, threads })
+ * @returns {Array<Object>} Threads with at least one comment, in file order
+ */
+function parseCommentFile(data) {
+    return (Array.isArray(data?.threads) ? data.threads : [])
+        .filter(thread => Number.isInteger(thread?.id) && typeof thread.key === 'string'
+            && Array.isArray(thread.comments) && thread.comments.length > 0)
+        .map(thread => ({ ...thread, status: THREAD_STATUSES.includes(thread.status) ? thread.status : 'open' }));
+}
+
+/**
+ * Build the content of the comments file
+ * @param {Array<Object>} threads Threads
+ * @returns {{version: number, threads: Array<Object>}} File content
+ */
+function serializeCommentFile(threads) {
+    return { version: COMMENT_FILE_VERSION, threads };
+}
+
+/**
+ * Build a comment
+ * @param {string} text Comment text
+ * @param {string} [author] Author name
+ * @param {string} createdAt ISO timestamp
+ * @returns {{author?: string, text: string, createdAt: string}} Comment
+ */
+function createComment(text, author, createdAt) {
+    return { ...(author && { author }), text, createdAt };
+}
+
+/**
+ * Start a thread
+ * @param {Array<Object>} threads Existing threads, used to number the new one
+ * @param {{key: string, locale?: string, text: string, author?: string, createdAt: string}} options
+ * @returns {Object} New thread (not added to threads)
+ */
+function createThread(threads, { key, locale, text, author, createdAt }) {
+    const id = threads.reduce((max, thread) => Math.max(max, thread.id), 0) + 1;
+    return {
+        id,
+        key,
+        ...(locale && { locale }),
+        status: 'open',
+        createdAt,
+        comments: [createComment(text, author, createdAt)]
+    };
+}
+
+/**
+ * Select threads
+ * @param {Array<Object>} threads Threads
+ * @param {{key?: string, keyPrefix?: string, locale?: string, status?: string}} [filter={}] Exact key, key prefix,
+ *   locale (threads on the whole key match every locale) and status ('open', 'resolved' or 'all')
+ * @returns {Array<Object>} Matching threads
+ */
+function filterThreads(threads, { key = null, keyPrefix = '', locale = null, status = 'open' } = {}) {
+    return threads.filter(thread => (!key || thread.key === key)
+        && thread.key.startsWith(keyPrefix)
+        && (!locale || !thread.locale || thread.locale === locale)
+        && (status === 'all' || thread.status === status));
+}
+
+export {
+    parseCommentFile,
+    serializeCommentFile,
+    createComment,
+    createThread,
+    filterThreads,
+    THREAD_STATUSES
+};
@@ -0,0 +1,94 @@
+/**
+ * Review batch leases
+ *
+ * A reviewer claims a batch of keys for a while, so concurrent reviewers do not review
+ * the same translations. A lease covers a key in some locales (or all target locales
+ * when locales is left out) until it expires or the key is reviewed:
+ *
+ *   { "version": 1, "leases": [{ "key": "home.title", "reviewer": "agent-1", "locales": ["pl-pl"],
+ *       "claimedAt": "2025-03-04T10:00:00.000Z", "expiresAt": "2025-03-04T10:30:00.000Z" }] }
+ */
+
+const LEASE_FILE_VERSION = 1;
+
+const DEFAULT_LEASE_MINUTES = 30;
+
+/**
+ * Parse the content of the leases file, dropping expired and broken leases
+ * @param {Object} data Parsed JSON ({ version, leases })
+ * @param {Date} now Current time
+ * @returns {Array<Object>} Active leases in file order
+ */
+function parseLeaseFile(data, now) {
+    return (Array.isArray(data?.leases) ? data.leases : [])
+        .filter(lease => typeof lease?.key === 'string' && typeof lease.reviewer === 'string'
+            && typeof lease.expiresAt === 'string' && isLeaseActive(lease, now));
+}
+
+/**
+ * Build the content of the leases file
+ * @param {Array<Object>} leases Leases
+ * @returns {{version: number, leases: Array<Object>}} File content
+ */
+function serializeLeaseFile(leases) {
+    return { version: LEASE_FILE_VERSION, leases };
+}
+
+/**
+ * Build a lease
+ * @param {{key: string, reviewer: string, locales?: string[]|null, now: Date, minutes?: number}} options
+ * @returns {Object} Lease
+ */
+function createLease({ key, reviewer, locales = null, now, minutes = DEFAULT_LEASE_MINUTES }) {
+    return {
+        key,
+        reviewer,
+        ...(locales && locales.length > 0 && { locales }),
+        claimedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Check whether a lease has not expired yet
+ * @param {{expiresAt: string}} lease Lease
+ * @param {Date} now Current time
+ * @returns {boolean} Whether the lease is active
+ */
+function isLeaseActive(lease, now) {
+    return Date.parse(lease.expiresAt) > now.getTime();
+}
+
+/**
+ * Check whether a lease covers a key in any of the given locales
+ * @param {Object} lease Lease
+ * @param {string} key Translation key
+ * @param {string[]|null} locales Locales, or null for all
+ * @returns {boolean} Whether the lease and the locales overlap
+ */
+function leaseCovers(lease, key, locales) {
+    if (lease.key !== key) {
+        return false;
+    }
+    return !lease.locales || !locales || locales.length === 0 || lease.locales.some(locale => locales.includes(locale));
+}
+
+/**
+ * Find the active lease another reviewer holds on a key
+ * @param {Array<Object>} leases Leases
+ * @param {{key: string, locales?: string[]|null, reviewer?: string|null, now: Date}} options
+ * @returns {Object|undefined} Blocking lease
+ */
+function findBlockingLease(leases, { key, locales = null, reviewer = null, now }) {
+    return leases.find(lease => lease.reviewer !== reviewer && isLeaseActive(lease, now) && leaseCovers(lease, key, locales));
+}
+
+export {
+    parseLeaseFile,
+    serializeLeaseFile,
+    createLease,
+    isLeaseActive,
+    leaseCovers,
+    findBlockingLease,
+    DEFAULT_LEASE_MINUTES
+};
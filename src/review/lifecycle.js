@@ -0,0 +1,165 @@
+/**
+ * Review lifecycle of translations
+ *
+ * Every translation (key × target locale) is in one review state:
+ *   - new: the locale has no value yet
+ *   - translated: translated or changed since the last review
+ *   - needs_review: flagged for another look (fuzzy PO entries, second opinions)
+ *   - approved: reviewed and accepted
+ *   - rejected: reviewed and sent back to the translator
+ *   - stale: the source text changed after the locale was translated
+ *
+ * Writing a translation moves it to translated and records a hash of the source text
+ * it was made against. When the source text no longer matches that hash, the translation
+ * becomes stale, whatever its state was. Reviewers move translations along
+ * REVIEW_TRANSITIONS; a reviewer sending a translation back gives a reason, which is kept
+ * until the translation is approved. translation-check.json stores the states, the hashes,
+ * the source texts they were taken from and the reasons:
+ *
+ *   { "version": 5, "states": { "common.save": { "pl-pl": "approved", "hu-hu": "rejected" } },
+ *     "sourceHashes": { "common.save": { "pl-pl": "1509f561f2416598", "hu-hu": "1509f561f2416598" } },
+ *     "sourceTexts": { "1509f561f2416598": "Save" },
+ *     "rejections": { "common.save": { "hu-hu": { "reason": "Too long", "reviewer": "anna", "rejectedAt": "..." } } } }
+ *
+ * Older versions are migrated on load, one version at a time:
+ *   1: { key: true/false } checked flags
+ *   2: { "version": 2, "states": { key: state } } one state for all locales of a key
+ *   3: per-locale states without source hashes
+ *   4: no rejection reasons
+ */
+
+import { createHash } from 'crypto';
+
+const REVIEW_STATES = ['new', 'translated', 'needs_review', 'approved', 'rejected', 'stale'];
+
+// States whose translations wait for a reviewer
+const REVIEWABLE_STATES = ['translated', 'needs_review', 'stale'];
+
+// Only writing a value moves a translation out of new, and nothing moves it back
+const REVIEW_TRANSITIONS = {
+    new: [],
+    translated: ['needs_review', 'approved', 'rejected'],
+    needs_review: ['translated', 'approved', 'rejected'],
+    approved: ['needs_review', 'rejected', 'stale'],
+    rejected: ['translated', 'needs_review', 'approved'],
+    stale: ['translated', 'needs_review', 'approved', 'rejected']
+};
+
+const CHECK_FILE_VERSION = 5;
+
+// Each migration turns a file of its version into the next version
+const CHECK_FILE_MIGRATIONS = {
+    1: data => ({
+        version: 2,
+        states: Object.fromEntries(Object.entries(data).map(([key, isChecked]) => [key,
+            isChecked === true ? 'approved' : isChecked === false ? 'translated' : isChecked]))
+    }),
+    2: (data, locales) => ({
+        version: 3,
+        states: Object.fromEntries(Object.entries(data.states || {}).map(([key, state]) => [key,
+            Object.fromEntries(locales.map(locale => [locale, state]))]))
+    }),
+    // Translations without a hash are taken to match the current source text
+    3: data => ({ version: 4, states: data.states || {}, sourceHashes: {}, sourceTexts: {} }),
+    4: data => ({ ...data, version: 5, rejections: {} })
+};
+
+/**
+ * Check whether reviewers may move a translation from one state to another
+ * @param {string} from Current state
+ * @param {string} to Requested state
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+    return Boolean(REVIEW_TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Hash a source text to record which version of it a translation was made against
+ * @param {*} value Source value (strings, or plural and array values)
+ * @returns {string|null} Short hex hash, or null when there is no source value
+ */
+function hashSourceText(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse the content of translation-check.json, migrating older versions
+ * @param {Object} data Parsed JSON of any version
+ * @param {string[]} locales Target locales, which older versions apply a key's state to
+ * @returns {{states: Map<string, Object>, sourceHashes: Map<string, Object>, sourceTexts: Map<string, *>,
+ *   rejections: Map<string, Object>, migratedFrom: number|null, invalid: string[]}} States, source hashes and
+ *   rejection reasons by key and locale, source texts by hash, the version migrated from (null when current),
+ *   and 'key (locale)' entries with an unknown state. The stored state of a locale without a value is
+ *   meaningless: callers treat such locales as new.
+ */
+function parseCheckFile(data, locales) {
+    const fromVersion = typeof data?.version === 'number' ? data.version : 1;
+    let current = data || {};
+    for (let version = fromVersion; version < CHECK_FILE_VERSION; version++) {
+        current = CHECK_FILE_MIGRATIONS[version](current, locales);
+    }
+
+    const states = new Map();
+    const invalid = [];
+    for (const [key, localeStates] of Object.entries(current.states || {})) {
+        const valid = {};
+        for (const [locale, state] of Object.entries(localeStates || {})) {
+            if (REVIEW_STATES.includes(state)) {
+                valid[locale] = state;
+            } else {
+                invalid.push(`${key} (${locale})`);
+            }
+        }
+        states.set(key, valid);
+    }
+
+    const sourceHashes = new Map(Object.entries(current.sourceHashes || {})
+        .map(([key, localeHashes]) => [key, Object.fromEntries(Object.entries(localeHashes || {})
+            .filter(([, hash]) => typeof hash === 'string'))]));
+
+    const rejections = new Map(Object.entries(current.rejections || {})
+        .map(([key, localeRejections]) => [key, Object.fromEntries(Object.entries(localeRejections || {})
+            .filter(([, rejection]) => typeof rejection?.reason === 'string'))]));
+
+    return {
+        states,
+        sourceHashes,
+        sourceTexts: new Map(Object.entries(current.sourceTexts || {})),
+        rejections,
+        migratedFrom: fromVersion < CHECK_FILE_VERSION ? fromVersion : null,
+        invalid
+    };
+}
+
+/**
+ * Build the content of translation-check.json
+ * @param {Iterable<[string, Object]>} states [key, { locale: state }] pairs
+ * @param {Iterable<[string, Object]>} [sourceHashes=[]] [key, { locale: hash }] pairs
+ * @param {Iterable<[string, *]>} [sourceTexts=[]] [hash, source text] pairs
+ * @param {Iterable<[string, Object]>} [rejections=[]] [key, { locale: { reason, reviewer?, rejectedAt } }] pairs
+ * @returns {{version: number, states: Object, sourceHashes: Object, sourceTexts: Object, rejections: Object}} File content
+ */
+function serializeCheckFile(states, sourceHashes = [], sourceTexts = [], rejections = []) {
+    return {
+        version: CHECK_FILE_VERSION,
+        states: Object.fromEntries(states),
+        sourceHashes: Object.fromEntries(sourceHashes),
+        sourceTexts: Object.fromEntries(sourceTexts),
+        rejections: Object.fromEntries(rejections)
+    };
+}
+
+export {
+    canTransition,
+    hashSourceText,
+    parseCheckFile,
+    serializeCheckFile,
+    REVIEW_STATES,
+    REVIEWABLE_STATES,
+    REVIEW_TRANSITIONS
+};
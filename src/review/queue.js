@@ -0,0 +1,65 @@
+/**
+ * Review queue order and cursors
+ *
+ * Messages waiting for review are walked in one of REVIEW_ORDERS:
+ *   - catalog: the order the keys were loaded in
+ *   - key: alphabetical by key
+ *   - recent: most recently changed first (by the audit journal), then by key
+ *
+ * A cursor marks the last message of a page, so the next page starts after it even when
+ * messages were reviewed in between. Callers treat it as opaque; it is base64url JSON:
+ *
+ *   { "order": "recent", "key": "home.title", "index": 12, "changedAt": "2025-03-04T10:12:00.000Z" }
+ */
+
+const REVIEW_ORDERS = ['catalog', 'key', 'recent'];
+
+/**
+ * Compare two queue items
+ * @param {{key: string, index: number, changedAt: string}} a Item (changedAt is '' when unknown)
+ * @param {{key: string, index: number, changedAt: string}} b Item
+ * @param {string} order One of REVIEW_ORDERS
+ * @returns {number} Negative when a comes first
+ */
+function compareQueueItems(a, b, order) {
+    if (order === 'catalog') {
+        return a.index - b.index;
+    }
+    if (order === 'recent' && a.changedAt !== b.changedAt) {
+        return a.changedAt < b.changedAt ? 1 : -1;
+    }
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Build the cursor of the last item of a page
+ * @param {{key: string, index: number, changedAt: string}} item Last item
+ * @param {string} order Order of the page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor({ key, index, changedAt }, order) {
+    return Buffer.from(JSON.stringify({ order, key, index, changedAt }), 'utf8').toString('base64url');
+}
+
+/**
+ * Read a cursor
+ * @param {string} cursor Cursor from encodeCursor
+ * @returns {{order: string, key: string, index: number, changedAt: string}|null} Position, or null if it is not a cursor
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const isValid = REVIEW_ORDERS.includes(position?.order) && typeof position.key === 'string'
+            && Number.isInteger(position.index) && typeof position.changedAt === 'string';
+        return isValid ? position : null;
+    } catch {
+        return null;
+    }
+}
+
+export {
+    compareQueueItems,
+    encodeCursor,
+    decodeCursor,
+    REVIEW_ORDERS
+};
@@ -0,0 +1,57 @@
+/**
+ * Lock files for sidecar files shared by several server processes
+ *
+ * Agents often run one server each on the same messages directory. A change that
+ * reads a sidecar file, merges it and writes it back holds <file>.lock, created
+ * exclusively (O_EXCL), so no other process writes the file in between. A lock older
+ * than STALE_LOCK_MS was left behind by a process that died and is taken over.
+ */
+
+import fs from 'fs/promises';
+
+const STALE_LOCK_MS = 10 * 1000;
+
+const LOCK_TIMEOUT_MS = 5 * 1000;
+
+const RETRY_DELAY_MS = 20;
+
+/**
+ * Run a task while holding the lock of a file
+ * @param {string} filepath File the lock guards
+ * @param {Function} task Async function run while the lock is held
+ * @returns {Promise<*>} Result of the task
+ */
+async function withFileLock(filepath, task) {
+    const lockPath = `${filepath}.lock`;
+    const startedAt = Date.now();
+
+    for (;;) {
+        try {
+            await (await fs.open(lockPath, 'wx')).close();
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            const stats = await fs.stat(lockPath).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+                await fs.rm(lockPath, { force: true });
+                continue;
+            }
+            if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+                throw new Error(`Timed out waiting for ${lockPath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        }
+    }
+
+    try {
+        return await task();
+    } finally {
+        await fs.rm(lockPath, { force: true });
+    }
+}
+
+export {
+    withFileLock
+};
@@ -85,20 +85,48 @@ const COMMON_UNITS = [
     'B', 'kB', 'MB', 'GB', 'TB', 'bit', 'bps', 'Mbps'
 ];
 
+// Marks a protected token swapped out while the rules run; the next character holds its index
+const PROTECTED_TOKEN_MARK = '\uE000';
+const PROTECTED_TOKEN_INDEX_BASE = 0xE001;
+
+/**
+ * Swap protected tokens for placeholders the rules cannot match
+ * @param {string} content Text
+ * @param {RegExp[]} protectedPatterns Global expressions matching protected tokens
+ * @param {string[]} tokens Receives the swapped tokens
+ * @returns {string} Text with placeholders
+ */
+function maskProtectedTokens(content, protectedPatterns, tokens) {
+    let maskedContent = content;
+    for (const pattern of protectedPatterns) {
+        maskedContent = maskedContent.replace(pattern, match => {
+            if (!match) {
+                return match;
+            }
+            tokens.push(match);
+            return PROTECTED_TOKEN_MARK + String.fromCharCode(PROTECTED_TOKEN_INDEX_BASE + tokens.length - 1);
+        });
+    }
+    return maskedContent;
+}
+
 /**
  * Insert non-breaking spaces in text based on language rules
- * @param {string} content The text content to process
+ * @param {string} content The text content to process (numbers, booleans and null are returned unchanged)
  * @param {string} language Language code (e.g., 'pl', 'fr', 'de')
+ * @param {RegExp[]} [protectedPatterns=[]] Global expressions matching do-not-translate tokens, left untouched
  * @returns {string} Text with non-breaking spaces inserted according to language rules
  */
-function insertNonBreakingSpaces(content, language) {
+function insertNonBreakingSpaces(content, language, protectedPatterns = []) {
     const languageRules = NON_BREAKING_SPACE_RULES[language];
-    if (!languageRules) {
+    if (!languageRules || typeof content !== 'string') {
         // If we don't have rules for this language, return unchanged
         return content;
     }
 
-    let processedContent = content;
+    // Brand names, SKUs and URLs keep their exact spacing
+    const protectedTokens = [];
+    let processedContent = maskProtectedTokens(content, protectedPatterns, protectedTokens);
 
     // 1. Non-breaking spaces after single letters/short words
     const allShortWords = [...languageRules.singleLetterWords, ...languageRules.shortWords];
@@ -147,7 +175,10 @@ function insertNonBreakingSpaces(content, language) {
         });
     }
 
-    return processedContent;
+    return processedContent.replace(
+        new RegExp(`${PROTECTED_TOKEN_MARK}([\\s\\S])`, 'g'),
+        (match, index) => protectedTokens[index.charCodeAt(0) - PROTECTED_TOKEN_INDEX_BASE]
+    );
 }
 
 /**
@@ -0,0 +1,124 @@
+/**
+ * Detection of untranslated copies of the source locale
+ *
+ * A value pasted from the source locale is not empty, so it does not show up as
+ * missing. Values are compared after removing placeholders and markup:
+ *   - identical: the exact source text
+ *   - near_identical: the same text apart from case, spacing and punctuation,
+ *     or close enough by edit distance ('Add to cart' -> 'Add to Cart!')
+ * Brand names and other strings that are legitimately the same in every language
+ * are allowlisted by key glob or by value.
+ */
+
+import { compileKeyGlob } from './length.js';
+
+const DEFAULT_MIN_SIMILARITY = 0.9;
+
+// ICU/i18next/printf placeholders and HTML-like tags carry no translatable text
+const NON_TEXT_PATTERN = /\{\{[^{}]*\}\}|\{[\w.-]+(?:,\s*\w+(?:,\s*[^{}]*)?)?\}|%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?(?:ll|l|h)?[@dfsiuxXeEgGc%]|<\/?[a-zA-Z][^<>]*>/g;
+
+/**
+ * Reduce a value to the words a translator would change
+ * @param {string} value Message text
+ * @returns {string} Lowercased letters and digits separated by single spaces
+ */
+function normalizeCopyText(value) {
+    return value
+        .normalize('NFKC')
+        .replace(NON_TEXT_PATTERN, ' ')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Measure how similar two normalized texts are
+ * @param {string} a Text
+ * @param {string} b Text
+ * @param {number} [minSimilarity=0] Results below this are not computed exactly
+ * @returns {number} 1 - edit distance / longer length, between 0 and 1
+ */
+function getSimilarity(a, b, minSimilarity = 0) {
+    const longer = Math.max(a.length, b.length);
+    if (longer === 0) {
+        return 1;
+    }
+    // The length difference alone bounds the similarity, which skips most real translations
+    if (Math.min(a.length, b.length) / longer < minSimilarity) {
+        return 0;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / longer;
+}
+
+/**
+ * Check whether a translation is a copy of its source value
+ * @param {string} source Source locale value
+ * @param {string} target Translated value
+ * @param {number} [minSimilarity=0.9] Similarity from which a value counts as near-identical
+ * @returns {{match: string, similarity: number}|null} Match, or null if the value was translated
+ *   or has no text to translate ('{price} €')
+ */
+function detectSourceCopy(source, target, minSimilarity = DEFAULT_MIN_SIMILARITY) {
+    const normalizedTarget = normalizeCopyText(target);
+    if (!/\p{L}/u.test(normalizedTarget)) {
+        return null;
+    }
+
+    if (source === target) {
+        return { match: 'identical', similarity: 1 };
+    }
+
+    const similarity = getSimilarity(normalizeCopyText(source), normalizedTarget, minSimilarity);
+    if (similarity < minSimilarity) {
+        return null;
+    }
+    return { match: 'near_identical', similarity: Math.round(similarity * 100) / 100 };
+}
+
+/**
+ * Parse the allowlist sidecar file content
+ * @param {Object} data Parsed JSON ({ keys?: string[], values?: string[], localeValues?: { locale: string[] } })
+ * @returns {{keys: RegExp[], values: Set<string>, localeValues: Map<string, Set<string>>}} Allowlist with normalized values
+ */
+function parseCopyAllowlist(data) {
+    const normalizeAll = values => new Set((Array.isArray(values) ? values : []).map(value => normalizeCopyText(String(value))));
+    return {
+        keys: (Array.isArray(data?.keys) ? data.keys : []).map(compileKeyGlob),
+        values: normalizeAll(data?.values),
+        localeValues: new Map(Object.entries(data?.localeValues || {}).map(([locale, values]) => [locale, normalizeAll(values)]))
+    };
+}
+
+/**
+ * Check whether a value may legitimately equal the source
+ * @param {{keys: RegExp[], values: Set<string>, localeValues: Map<string, Set<string>>}} allowlist Result of parseCopyAllowlist
+ * @param {string} key Flat key
+ * @param {string} locale Locale of the value
+ * @param {string} value Translated value
+ * @returns {boolean} Whether the copy is allowed
+ */
+function isAllowedCopy(allowlist, key, locale, value) {
+    if (allowlist.keys.some(regex => regex.test(key))) {
+        return true;
+    }
+    const normalized = normalizeCopyText(value);
+    return allowlist.values.has(normalized) || Boolean(allowlist.localeValues.get(locale)?.has(normalized));
+}
+
+export {
+    normalizeCopyText,
+    getSimilarity,
+    detectSourceCopy,
+    parseCopyAllowlist,
+    isAllowedCopy,
+    DEFAULT_MIN_SIMILARITY
+};
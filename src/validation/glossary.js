@@ -0,0 +1,148 @@
+/**
+ * Glossary and terminology checks
+ *
+ * The project glossary lists source terms with the translations each locale
+ * must use (preferred) and must not use (forbidden):
+ *
+ *   { "terms": [{ "term": "frame", "note": "Product category",
+ *                 "translations": { "pl": { "preferred": ["ram*"], "forbidden": ["ramk*"] } } }] }
+ *
+ * Terms match whole words, case-insensitively unless "caseSensitive" is set.
+ * A trailing '*' matches any word ending, which covers inflected forms
+ * ('ram*' matches rama, ramy, ramę). Locale rules are looked up by locale,
+ * then by language.
+ */
+
+import { getLanguageFromLocale } from '../utils/non-breaking-spaces.js';
+
+/**
+ * Compile a glossary term into a regular expression
+ * @param {string} term Term, optionally ending in '*' (e.g., 'ram*', 'picture frame')
+ * @param {boolean} caseSensitive Whether case must match
+ * @returns {RegExp} Expression matching the term as whole words
+ */
+function compileTermPattern(term, caseSensitive) {
+    const wildcard = term.endsWith('*');
+    const body = (wildcard ? term.slice(0, -1) : term)
+        .trim()
+        .replace(/[.+?^${}()|[\]\\*]/g, '\\$&')
+        .replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${wildcard ? '[\\p{L}\\p{N}]*' : ''}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Parse the glossary file content
+ * @param {Object} data Parsed glossary JSON ({ terms: [...] })
+ * @returns {Array<{term: string, note?: string, caseSensitive: boolean, pattern: RegExp, translations: Object}>} Entries
+ */
+function parseGlossary(data) {
+    const toList = value => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+
+    return (Array.isArray(data?.terms) ? data.terms : [])
+        .filter(entry => typeof entry?.term === 'string' && entry.term.trim())
+        .map(entry => {
+            const caseSensitive = entry.caseSensitive === true;
+            const translations = {};
+            for (const [locale, rules] of Object.entries(entry.translations || {})) {
+                translations[locale] = {
+                    preferred: toList(rules?.preferred),
+                    forbidden: toList(rules?.forbidden)
+                };
+            }
+            return {
+                term: entry.term,
+                ...(entry.note && { note: entry.note }),
+                caseSensitive,
+                pattern: compileTermPattern(entry.term, caseSensitive),
+                translations
+            };
+        });
+}
+
+/**
+ * Find the glossary entries whose term appears in a source text
+ * @param {Array<Object>} glossary Result of parseGlossary
+ * @param {string} text Source text
+ * @returns {Array<Object>} Matching entries
+ */
+function findGlossaryTerms(glossary, text) {
+    return glossary.filter(entry => {
+        entry.pattern.lastIndex = 0;
+        return entry.pattern.test(text);
+    });
+}
+
+/**
+ * Get the rules of a glossary entry for a locale
+ * @param {Object} entry Glossary entry
+ * @param {string} locale Locale (e.g., 'pl-pl')
+ * @returns {{preferred: string[], forbidden: string[]}|null} Rules for the locale or its language
+ */
+function getTermRules(entry, locale) {
+    return entry.translations[locale] || entry.translations[getLanguageFromLocale(locale)] || null;
+}
+
+/**
+ * Describe a glossary entry for the given locales, without internal fields
+ * @param {Object} entry Glossary entry
+ * @param {string[]} locales Locales to include
+ * @returns {{term: string, note?: string, translations: Object}} Entry with the rules of each locale that has any
+ */
+function describeGlossaryEntry(entry, locales) {
+    const translations = {};
+    for (const locale of locales) {
+        const rules = getTermRules(entry, locale);
+        if (rules) {
+            translations[locale] = rules;
+        }
+    }
+    return { term: entry.term, ...(entry.note && { note: entry.note }), translations };
+}
+
+/**
+ * Check a translation against the glossary terms of its source text
+ * @param {Array<Object>} glossary Result of parseGlossary
+ * @param {string} source Source text
+ * @param {string} target Translated text
+ * @param {string} locale Locale of the translation
+ * @returns {Array<{type: string, term: string, detail: string}>} Problems, empty when the terminology is followed
+ */
+function checkTerms(glossary, source, target, locale) {
+    const problems = [];
+
+    for (const entry of findGlossaryTerms(glossary, source)) {
+        const rules = getTermRules(entry, locale);
+        if (!rules) {
+            continue;
+        }
+
+        const findAll = term => Array.from(target.matchAll(compileTermPattern(term, entry.caseSensitive)), match => match[0]);
+
+        for (const forbidden of rules.forbidden) {
+            const found = findAll(forbidden);
+            if (found.length > 0) {
+                problems.push({ type: 'forbidden_term', term: entry.term, detail: `"${found[0]}" is forbidden for "${entry.term}"` });
+            }
+        }
+
+        // A forbidden form is already reported, and usually replaces the preferred one
+        if (rules.preferred.length > 0 && !rules.preferred.some(preferred => findAll(preferred).length > 0)
+            && !problems.some(problem => problem.term === entry.term)) {
+            problems.push({
+                type: 'missing_preferred_term',
+                term: entry.term,
+                detail: `"${entry.term}" should be translated as ${rules.preferred.map(preferred => `"${preferred}"`).join(' or ')}`
+            });
+        }
+    }
+
+    return problems;
+}
+
+export {
+    compileTermPattern,
+    parseGlossary,
+    findGlossaryTerms,
+    describeGlossaryEntry,
+    checkTerms
+};
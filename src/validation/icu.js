@@ -0,0 +1,160 @@
+/**
+ * ICU MessageFormat consistency checks
+ *
+ * Each translation is parsed as an ICU message and compared with the source
+ * locale's message for the same key:
+ *   - every source variable is used, and no unknown variable is introduced ({count} -> {liczba})
+ *   - variables keep their type (plain, number, date, time, select, plural, selectordinal)
+ *   - select options match the source, and plural branches the target language uses are present
+ *   - select/plural arguments are nested inside the same arguments as in the source
+ *
+ * HTML-like tags are treated as text here; tag parity is checked separately.
+ */
+
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+
+const ELEMENT_TYPES = {
+    [TYPE.argument]: 'argument',
+    [TYPE.number]: 'number',
+    [TYPE.date]: 'date',
+    [TYPE.time]: 'time',
+    [TYPE.select]: 'select',
+    [TYPE.plural]: 'plural'
+};
+
+/**
+ * Parse a message
+ * @param {string} message Message text
+ * @returns {{ast: Object[]|null, error: string|null}} Parsed elements, or the syntax error
+ */
+function parseMessage(message) {
+    try {
+        return { ast: parse(message, { ignoreTag: true }), error: null };
+    } catch (error) {
+        const offset = error.location?.start?.offset;
+        return { ast: null, error: offset === undefined ? error.message : `${error.message} at offset ${offset}` };
+    }
+}
+
+/**
+ * Collect the arguments of a parsed message
+ * @param {Object[]} elements Parsed elements
+ * @param {string[]} [parents=[]] Names of the enclosing select/plural arguments
+ * @param {Map<string, Object>} [variables=new Map()] Accumulator
+ * @returns {Map<string, {type: string, options: Set<string>, parents: string}>} Arguments by name
+ */
+function collectVariables(elements, parents = [], variables = new Map()) {
+    for (const element of elements) {
+        const typeName = ELEMENT_TYPES[element.type];
+        if (!typeName) {
+            continue;
+        }
+
+        const type = element.type === TYPE.plural && element.pluralType === 'ordinal' ? 'selectordinal' : typeName;
+        const variable = variables.get(element.value) || { type, options: new Set(), parents: parents.join('>') };
+        variables.set(element.value, variable);
+
+        if (element.options) {
+            for (const [option, { value }] of Object.entries(element.options)) {
+                variable.options.add(option);
+                collectVariables(value, [...parents, element.value], variables);
+            }
+        }
+    }
+    return variables;
+}
+
+/**
+ * Get the plural categories a language uses
+ * @param {string} language Language code (e.g., 'pl')
+ * @param {string} type 'plural' or 'selectordinal'
+ * @returns {Set<string>|null} Categories, or null if the language is unknown
+ */
+function getPluralCategories(language, type) {
+    try {
+        const rules = new Intl.PluralRules(language, { type: type === 'selectordinal' ? 'ordinal' : 'cardinal' });
+        return new Set(rules.resolvedOptions().pluralCategories);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compare a translation with its source message
+ * @param {string} source Source message
+ * @param {string} target Translated message
+ * @param {string} targetLanguage Language of the translation (e.g., 'pl')
+ * @returns {Array<{type: string, variable?: string, detail: string}>} Problems, empty when the translation is consistent
+ */
+function compareMessages(source, target, targetLanguage) {
+    const parsedTarget = parseMessage(target);
+    if (parsedTarget.error) {
+        return [{ type: 'syntax_error', detail: parsedTarget.error }];
+    }
+
+    // A broken source is reported on the source locale, not on every translation
+    const parsedSource = parseMessage(source);
+    if (parsedSource.error) {
+        return [];
+    }
+
+    const sourceVariables = collectVariables(parsedSource.ast);
+    const targetVariables = collectVariables(parsedTarget.ast);
+    const problems = [];
+
+    for (const [name, sourceVariable] of sourceVariables.entries()) {
+        const targetVariable = targetVariables.get(name);
+        if (!targetVariable) {
+            problems.push({ type: 'missing_variable', variable: name, detail: `{${name}} is missing` });
+            continue;
+        }
+
+        if (targetVariable.type !== sourceVariable.type) {
+            problems.push({ type: 'type_mismatch', variable: name, detail: `{${name}} is ${targetVariable.type}, expected ${sourceVariable.type}` });
+            continue;
+        }
+
+        if (targetVariable.parents !== sourceVariable.parents) {
+            problems.push({
+                type: 'nesting_mismatch',
+                variable: name,
+                detail: `{${name}} is nested in [${targetVariable.parents || 'top level'}], expected [${sourceVariable.parents || 'top level'}]`
+            });
+        }
+
+        if (sourceVariable.type === 'select') {
+            const missing = [...sourceVariable.options].filter(option => !targetVariable.options.has(option));
+            const extra = [...targetVariable.options].filter(option => !sourceVariable.options.has(option));
+            if (missing.length > 0) {
+                problems.push({ type: 'missing_option', variable: name, detail: `{${name}} is missing options: ${missing.join(', ')}` });
+            }
+            if (extra.length > 0) {
+                problems.push({ type: 'extra_option', variable: name, detail: `{${name}} has options not in the source: ${extra.join(', ')}` });
+            }
+        } else if (sourceVariable.type === 'plural' || sourceVariable.type === 'selectordinal') {
+            // Languages use different plural categories, so only those the target language has are expected
+            const categories = getPluralCategories(targetLanguage, sourceVariable.type);
+            const missing = [...sourceVariable.options].filter(option =>
+                !targetVariable.options.has(option) && (option.startsWith('=') || !categories || categories.has(option))
+            );
+            if (missing.length > 0) {
+                problems.push({ type: 'missing_option', variable: name, detail: `{${name}} is missing branches: ${missing.join(', ')}` });
+            }
+        }
+    }
+
+    for (const name of targetVariables.keys()) {
+        if (!sourceVariables.has(name)) {
+            problems.push({ type: 'extra_variable', variable: name, detail: `{${name}} is not in the source` });
+        }
+    }
+
+    return problems;
+}
+
+export {
+    parseMessage,
+    collectVariables,
+    getPluralCategories,
+    compareMessages
+};
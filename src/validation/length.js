@@ -0,0 +1,136 @@
+/**
+ * Length limits for UI strings
+ *
+ * Limits live in a sidecar file next to the locale catalogs and apply to a key,
+ * or to every key matching a glob ('buttons.*' for one level, 'checkout.**' for
+ * any depth). When several entries match, the more specific one wins per field:
+ *   - maxChars: characters as the user sees them (grapheme clusters)
+ *   - maxLines: lines, split on newlines and <br> tags
+ *   - maxSourceRatio: how many times longer than the source value a translation may be
+ *   - minSourceLength: sources shorter than this are not ratio-checked ('OK' -> 'Okay' is fine)
+ */
+
+const DEFAULT_MIN_SOURCE_LENGTH = 10;
+
+const CONSTRAINT_FIELDS = ['maxChars', 'maxLines', 'maxSourceRatio', 'minSourceLength'];
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Compile a key glob into a regular expression
+ * @param {string} pattern Key or glob (e.g., 'buttons.*', 'checkout.**')
+ * @returns {RegExp} Expression matching whole flat keys
+ */
+function compileKeyGlob(pattern) {
+    const source = pattern
+        .split(/(\*\*|\*)/)
+        .map(part => part === '**' ? '.*' : part === '*' ? '[^.]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse the sidecar file content
+ * @param {Object} data Parsed sidecar JSON ({ maxSourceRatio?, minSourceLength?, keys: { pattern: limits } })
+ * @returns {{defaults: Object, rules: Array<{pattern: string, regex: RegExp, specificity: number, limits: Object}>}}
+ *   Top-level defaults and key rules, least specific first
+ */
+function parseLengthConstraints(data) {
+    const pickLimits = object => Object.fromEntries(
+        CONSTRAINT_FIELDS.filter(field => typeof object?.[field] === 'number').map(field => [field, object[field]])
+    );
+
+    // Exact keys beat globs; among globs, more literal characters means more specific
+    const rules = Object.entries(data?.keys || {}).map(([pattern, limits]) => ({
+        pattern,
+        regex: compileKeyGlob(pattern),
+        specificity: pattern.includes('*') ? pattern.replace(/\*/g, '').length : Infinity,
+        limits: pickLimits(limits)
+    }));
+    rules.sort((a, b) => a.specificity - b.specificity);
+
+    return { defaults: pickLimits(data), rules };
+}
+
+/**
+ * Resolve the limits that apply to a key
+ * @param {string} key Flat key
+ * @param {{defaults: Object, rules: Array}} constraints Result of parseLengthConstraints
+ * @returns {{maxChars?: number, maxLines?: number, maxSourceRatio?: number, minSourceLength?: number}} Merged limits
+ */
+function resolveLengthLimits(key, constraints) {
+    const limits = { ...constraints.defaults };
+    for (const rule of constraints.rules) {
+        if (rule.regex.test(key)) {
+            Object.assign(limits, rule.limits);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Count the characters of a value as displayed
+ * @param {string} value Text
+ * @returns {number} Grapheme clusters
+ */
+function countCharacters(value) {
+    let count = 0;
+    for (const _ of segmenter.segment(value)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Count the lines of a value
+ * @param {string} value Text
+ * @returns {number} Lines separated by newlines or <br> tags
+ */
+function countLines(value) {
+    return value.split(/\r?\n|<br\s*\/?>/i).length;
+}
+
+/**
+ * Check a value against its limits
+ * @param {string} value Translated text
+ * @param {string|null} source Source text, or null to skip the ratio check
+ * @param {Object} limits Result of resolveLengthLimits
+ * @returns {Array<{type: string, limit: number, actual: number, detail: string}>} Problems, empty when within limits
+ */
+function checkLength(value, source, limits) {
+    const problems = [];
+    const characters = countCharacters(value);
+
+    if (limits.maxChars !== undefined && characters > limits.maxChars) {
+        problems.push({ type: 'max_chars', limit: limits.maxChars, actual: characters, detail: `${characters} characters, limit is ${limits.maxChars}` });
+    }
+
+    const lines = countLines(value);
+    if (limits.maxLines !== undefined && lines > limits.maxLines) {
+        problems.push({ type: 'max_lines', limit: limits.maxLines, actual: lines, detail: `${lines} lines, limit is ${limits.maxLines}` });
+    }
+
+    if (limits.maxSourceRatio !== undefined && typeof source === 'string') {
+        const sourceCharacters = countCharacters(source);
+        const ratio = sourceCharacters > 0 ? characters / sourceCharacters : 0;
+        if (sourceCharacters >= (limits.minSourceLength ?? DEFAULT_MIN_SOURCE_LENGTH) && ratio > limits.maxSourceRatio) {
+            const actual = Math.round(ratio * 100) / 100;
+            problems.push({
+                type: 'source_ratio',
+                limit: limits.maxSourceRatio,
+                actual,
+                detail: `${actual}x the source length (${characters} vs ${sourceCharacters} characters), limit is ${limits.maxSourceRatio}x`
+            });
+        }
+    }
+
+    return problems;
+}
+
+export {
+    compileKeyGlob,
+    parseLengthConstraints,
+    resolveLengthLimits,
+    countCharacters,
+    checkLength
+};
@@ -0,0 +1,241 @@
+/**
+ * Built-in lint rules
+ *
+ * Checks reviewers otherwise do by eye. Rules that compare with the source skip
+ * problems the source value has as well, so intentional formatting is not reported.
+ *   - whitespace: leading or trailing whitespace
+ *   - double-spaces: two or more spaces in a row
+ *   - trailing-punctuation: a different final punctuation mark than the source (。 and . are the same)
+ *   - brackets-quotes: unbalanced brackets or quotation marks
+ *   - script: letters in a script the locale's language does not use
+ *   - disallowed-characters: zero-width spaces, byte order marks, control characters, ...
+ */
+
+// Placeholders, tags and URLs are not text in the locale's language
+const NON_TEXT_PATTERN = /\{\{[^{}]*\}\}|\{[\w.-]+\}|%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?(?:ll|l|h)?[@dfsiuxXeEgGc]|<\/?[a-zA-Z][^<>]*>|https?:\/\/\S+/g;
+
+// Full-width and other local punctuation marks, by the mark they correspond to
+const PUNCTUATION_EQUIVALENTS = {
+    '。': '.', '．': '.', '।': '.',
+    '！': '!',
+    '？': '?', '؟': '?',
+    '：': ':',
+    '；': ';', '؛': ';',
+    '，': ',', '、': ',', '،': ',',
+    '…': '...'
+};
+
+const TRAILING_PUNCTUATION_PATTERN = /(\.\.\.|[.!?:;,…。．।！？؟：；؛，、،])$/u;
+
+// Brackets that always open and close with different characters
+const BRACKET_PAIRS = { ')': '(', ']': '[', '）': '（', '】': '【', '」': '「', '』': '『', '》': '《', '〉': '〈' };
+
+// Quotation marks whose direction depends on the language (»German« vs «French»), checked by count
+const QUOTE_GROUPS = [
+    { name: 'straight double quotes', pattern: /"/g },
+    { name: 'curly double quotes', pattern: /[“”„‟]/g },
+    { name: 'guillemets', pattern: /[«»]/g },
+    { name: 'single guillemets', pattern: /[‹›]/g }
+];
+
+const KNOWN_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Thai',
+    'Devanagari', 'Bengali', 'Tamil', 'Armenian', 'Georgian'];
+
+const SCRIPT_PATTERNS = KNOWN_SCRIPTS.map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+// Languages written in another script than Latin; all others are expected to use Latin letters
+const LANGUAGE_SCRIPTS = {
+    ru: ['Cyrillic'], uk: ['Cyrillic'], be: ['Cyrillic'], bg: ['Cyrillic'], mk: ['Cyrillic'], kk: ['Cyrillic'],
+    ky: ['Cyrillic'], mn: ['Cyrillic'], sr: ['Cyrillic', 'Latin'],
+    el: ['Greek'],
+    ar: ['Arabic'], fa: ['Arabic'], ur: ['Arabic'], ps: ['Arabic'],
+    he: ['Hebrew'], yi: ['Hebrew'],
+    zh: ['Han'], ja: ['Han', 'Hiragana', 'Katakana'], ko: ['Hangul', 'Han'],
+    th: ['Thai'],
+    hi: ['Devanagari'], mr: ['Devanagari'], ne: ['Devanagari'],
+    bn: ['Bengali'], ta: ['Tamil'], hy: ['Armenian'], ka: ['Georgian']
+};
+
+// Invisible or broken characters that never belong in UI text
+const DEFAULT_DISALLOWED_CHARACTERS = ['\u200B', '\uFEFF', '\uFFFD', ...Array.from({ length: 32 }, (_, code) => String.fromCharCode(code))
+    .filter(character => !['\t', '\n', '\r'].includes(character)), '\u007F'];
+
+/**
+ * Get the final punctuation mark of a text, ignoring closing quotes, brackets and tags
+ * @param {string} text Message text
+ * @param {string} [language] Language code
+ * @returns {string} Normalized punctuation mark, or '' if there is none
+ */
+function getTrailingPunctuation(text, language) {
+    const stripped = text.replace(/(?:\s|<\/[^<>]+>|["'”’»›)\]」』）*_])+$/u, '');
+    const match = stripped.match(TRAILING_PUNCTUATION_PATTERN);
+    if (!match) {
+        return '';
+    }
+    // Greek uses ; as its question mark
+    if (language === 'el' && match[1] === ';') {
+        return '?';
+    }
+    return PUNCTUATION_EQUIVALENTS[match[1]] || match[1];
+}
+
+/**
+ * Find unbalanced brackets and quotation marks
+ * @param {string} text Message text
+ * @returns {string[]} Descriptions of the unbalanced pairs
+ */
+function findUnbalancedPairs(text) {
+    const problems = [];
+    const stack = [];
+    const openers = new Set(Object.values(BRACKET_PAIRS));
+
+    for (const character of text) {
+        if (openers.has(character)) {
+            stack.push(character);
+        } else if (BRACKET_PAIRS[character]) {
+            if (stack[stack.length - 1] === BRACKET_PAIRS[character]) {
+                stack.pop();
+            } else {
+                problems.push(`"${character}" has no opening "${BRACKET_PAIRS[character]}"`);
+            }
+        }
+    }
+    stack.forEach(opener => problems.push(`"${opener}" is not closed`));
+
+    for (const { name, pattern } of QUOTE_GROUPS) {
+        if ((text.match(pattern) || []).length % 2 === 1) {
+            problems.push(`Odd number of ${name}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Count the letters of a text by script
+ * @param {string} text Text without placeholders
+ * @returns {Map<string, number>} Letter counts, 'Other' for scripts not in KNOWN_SCRIPTS
+ */
+function countScripts(text) {
+    const counts = new Map();
+    for (const [letter] of text.matchAll(/\p{L}/gu)) {
+        const script = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(letter))?.[0] || 'Other';
+        counts.set(script, (counts.get(script) || 0) + 1);
+    }
+    return counts;
+}
+
+const whitespaceRule = {
+    id: 'whitespace',
+    description: 'Leading or trailing whitespace',
+    defaultSeverity: 'warning',
+    check({ value, source }) {
+        const problems = [];
+        if (/^\s/.test(value) && !(typeof source === 'string' && /^\s/.test(source))) {
+            problems.push({ type: 'leading_whitespace', detail: 'Starts with whitespace' });
+        }
+        if (/\s$/.test(value) && !(typeof source === 'string' && /\s$/.test(source))) {
+            problems.push({ type: 'trailing_whitespace', detail: 'Ends with whitespace' });
+        }
+        return problems;
+    }
+};
+
+const doubleSpacesRule = {
+    id: 'double-spaces',
+    description: 'Two or more spaces in a row',
+    defaultSeverity: 'warning',
+    check({ value, source }) {
+        const pattern = /[^\S\r\n]{2,}/;
+        if (!pattern.test(value.trim()) || (typeof source === 'string' && pattern.test(source.trim()))) {
+            return [];
+        }
+        return [{ type: 'double_space', detail: 'Contains two or more spaces in a row' }];
+    }
+};
+
+const trailingPunctuationRule = {
+    id: 'trailing-punctuation',
+    description: 'Final punctuation mark differs from the source',
+    defaultSeverity: 'warning',
+    check({ value, source, language }) {
+        if (typeof source !== 'string') {
+            return [];
+        }
+        const expected = getTrailingPunctuation(source);
+        const actual = getTrailingPunctuation(value, language);
+        if (expected === actual) {
+            return [];
+        }
+        const describe = mark => mark ? `"${mark}"` : 'no punctuation';
+        return [{ type: 'trailing_punctuation', detail: `Ends with ${describe(actual)}, source ends with ${describe(expected)}` }];
+    }
+};
+
+const bracketsQuotesRule = {
+    id: 'brackets-quotes',
+    description: 'Unbalanced brackets or quotation marks',
+    defaultSeverity: 'error',
+    check({ value, source }) {
+        // "1)" list items or ":)" are fine when the source has them too
+        const sourceProblems = new Set(typeof source === 'string' ? findUnbalancedPairs(source) : []);
+        return findUnbalancedPairs(value)
+            .filter(detail => !sourceProblems.has(detail))
+            .map(detail => ({ type: 'unbalanced_pair', detail }));
+    }
+};
+
+const scriptRule = {
+    id: 'script',
+    description: 'Letters in a script the locale\'s language is not written in',
+    defaultSeverity: 'error',
+    check({ value, language }, options) {
+        const expected = options.scripts?.[language] || LANGUAGE_SCRIPTS[language] || ['Latin'];
+        // Brand names and technical terms are written in Latin letters everywhere
+        const allowed = new Set([...expected, 'Latin']);
+        const counts = countScripts(value.replace(NON_TEXT_PATTERN, ' '));
+        const problems = [];
+
+        const unexpected = Array.from(counts.keys()).filter(script => !allowed.has(script));
+        if (unexpected.length > 0) {
+            problems.push({ type: 'unexpected_script', detail: `Contains ${unexpected.join(', ')} letters, expected ${expected.join(', ')}` });
+        }
+
+        const letters = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        if (letters >= 3 && !expected.some(script => counts.has(script))) {
+            problems.push({ type: 'missing_script', detail: `No ${expected.join(', ')} letters` });
+        }
+
+        return problems;
+    }
+};
+
+const disallowedCharactersRule = {
+    id: 'disallowed-characters',
+    description: 'Invisible, control or replacement characters',
+    defaultSeverity: 'error',
+    check({ value }, options) {
+        const disallowed = new Set(Array.isArray(options.characters) ? options.characters : DEFAULT_DISALLOWED_CHARACTERS);
+        const found = new Set([...value].filter(character => disallowed.has(character)));
+        return Array.from(found, character => ({
+            type: 'disallowed_character',
+            detail: `Contains U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+        }));
+    }
+};
+
+const BUILT_IN_LINT_RULES = [
+    whitespaceRule,
+    doubleSpacesRule,
+    trailingPunctuationRule,
+    bracketsQuotesRule,
+    scriptRule,
+    disallowedCharactersRule
+];
+
+export {
+    getTrailingPunctuation,
+    findUnbalancedPairs,
+    countScripts,
+    BUILT_IN_LINT_RULES
+};
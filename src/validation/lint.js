@@ -0,0 +1,76 @@
+/**
+ * Lint rule engine
+ *
+ * A rule checks one value of one locale and returns its problems:
+ *
+ *   { id: 'double-spaces', description: '...', defaultSeverity: 'warning',
+ *     check(context, options) { return [{ type: 'double_space', detail: '...' }]; } }
+ *
+ * The context holds { key, locale, language, value, source, isSourceLocale }; rules
+ * that compare with the source get source === null when there is nothing to compare.
+ * Projects turn rules off or change their severity and options ESLint-style:
+ *
+ *   { "rules": { "double-spaces": "off", "disallowed-characters": ["error", { "characters": ["\u00AD"] }] } }
+ */
+
+const SEVERITIES = ['info', 'warning', 'error'];
+
+/**
+ * Resolve the project configuration against the registered rules
+ * @param {Array<Object>} rules Registered rules
+ * @param {Object} data Parsed config JSON ({ rules?: { id: severity | [severity, options] } })
+ * @returns {{enabled: Map<string, {rule: Object, severity: string, options: Object}>, unknownRules: string[], invalidSeverities: string[]}}
+ *   Enabled rules by id, and config entries that were ignored
+ */
+function resolveLintConfig(rules, data) {
+    const settings = data?.rules || {};
+    const enabled = new Map();
+    const invalidSeverities = [];
+
+    for (const rule of rules) {
+        const setting = settings[rule.id];
+        const [severity, options] = Array.isArray(setting) ? setting : [setting ?? rule.defaultSeverity, {}];
+
+        if (severity === 'off') {
+            continue;
+        }
+        if (!SEVERITIES.includes(severity)) {
+            invalidSeverities.push(rule.id);
+            enabled.set(rule.id, { rule, severity: rule.defaultSeverity, options: options || {} });
+            continue;
+        }
+        enabled.set(rule.id, { rule, severity, options: options || {} });
+    }
+
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    return { enabled, unknownRules: Object.keys(settings).filter(id => !ruleIds.has(id)), invalidSeverities };
+}
+
+/**
+ * Run the enabled rules on one value
+ * @param {Map<string, {rule: Object, severity: string, options: Object}>} enabled Enabled rules from resolveLintConfig
+ * @param {Object} context { key, locale, language, value, source, isSourceLocale }
+ * @param {{ruleIds?: string[]|null, minSeverity?: string}} [filter={}] Rules to run, and the lowest severity to report
+ * @returns {Array<{rule: string, severity: string, type?: string, detail: string}>} Problems, most severe first
+ */
+function lintValue(enabled, context, { ruleIds = null, minSeverity = 'info' } = {}) {
+    const minLevel = SEVERITIES.indexOf(minSeverity);
+    const problems = [];
+
+    for (const [id, { rule, severity, options }] of enabled.entries()) {
+        if ((ruleIds && !ruleIds.includes(id)) || SEVERITIES.indexOf(severity) < minLevel) {
+            continue;
+        }
+        for (const problem of rule.check(context, options)) {
+            problems.push({ rule: id, severity, ...problem });
+        }
+    }
+
+    return problems.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+export {
+    resolveLintConfig,
+    lintValue,
+    SEVERITIES
+};
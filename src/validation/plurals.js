@@ -0,0 +1,128 @@
+/**
+ * CLDR plural category completeness
+ *
+ * Languages need different plural forms: English uses one/other, Polish
+ * one/few/many/other, Japanese only other. The categories a locale needs come
+ * from Intl.PluralRules and are checked in both plural styles:
+ *   - ICU plural blocks: {count, plural, one {...} few {...} other {...}}
+ *   - i18next suffix keys: 'cart.items_one', 'cart.items_few', 'cart.items_ordinal_two', ...
+ */
+
+import { TYPE } from '@formatjs/icu-messageformat-parser';
+import { parseMessage, getPluralCategories } from './icu.js';
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const SUFFIX_PATTERN = new RegExp(`^(.+?)(_ordinal)?_(${PLURAL_CATEGORIES.join('|')})$`);
+
+/**
+ * Sort categories in CLDR order
+ * @param {Iterable<string>} categories Plural categories
+ * @returns {string[]} Sorted categories
+ */
+function sortCategories(categories) {
+    return [...categories].sort((a, b) => PLURAL_CATEGORIES.indexOf(a) - PLURAL_CATEGORIES.indexOf(b));
+}
+
+/**
+ * Find plural blocks of an ICU message that lack categories the language needs
+ * @param {string} message Message text
+ * @param {string} language Language code (e.g., 'pl')
+ * @returns {Array<{variable: string, type: string, requiredCategories: string[], missingCategories: string[]}>}
+ *   One entry per plural argument with gaps; messages that do not parse have none
+ */
+function findIcuPluralGaps(message, language) {
+    const { ast } = parseMessage(message);
+    const gaps = new Map();
+
+    const visit = elements => {
+        for (const element of elements || []) {
+            if (!element.options) {
+                continue;
+            }
+
+            if (element.type === TYPE.plural) {
+                const type = element.pluralType === 'ordinal' ? 'selectordinal' : 'plural';
+                const required = getPluralCategories(language, type);
+                const missing = required ? [...required].filter(category => !element.options[category]) : [];
+
+                // The same argument can appear in several branches; its gaps are merged
+                if (missing.length > 0) {
+                    const gap = gaps.get(element.value) || { variable: element.value, type, requiredCategories: sortCategories(required), missingCategories: [] };
+                    gap.missingCategories = sortCategories(new Set([...gap.missingCategories, ...missing]));
+                    gaps.set(element.value, gap);
+                }
+            }
+
+            Object.values(element.options).forEach(option => visit(option.value));
+        }
+    };
+
+    visit(ast);
+    return Array.from(gaps.values());
+}
+
+/**
+ * Group i18next plural suffix keys by their base key
+ * Only groups with an '_other' key are treated as plurals, so 'step_one' alone is an ordinary key.
+ * @param {Iterable<string>} keys Flat keys
+ * @returns {Map<string, {base: string, type: string, keys: Map<string, string>}>} Groups by base key and type
+ */
+function groupPluralSuffixKeys(keys) {
+    const groups = new Map();
+
+    for (const key of keys) {
+        const match = key.match(SUFFIX_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const [, base, ordinal, category] = match;
+        const type = ordinal ? 'selectordinal' : 'plural';
+        const groupId = `${base}${ordinal || ''}`;
+        if (!groups.has(groupId)) {
+            groups.set(groupId, { base, type, keys: new Map() });
+        }
+        groups.get(groupId).keys.set(category, key);
+    }
+
+    for (const [groupId, group] of groups.entries()) {
+        if (!group.keys.has('other')) {
+            groups.delete(groupId);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Find the suffix keys a locale lacks for one plural group
+ * @param {{base: string, type: string}} group Group from groupPluralSuffixKeys
+ * @param {function(string): boolean} hasKey Whether the locale has a translation for a key
+ * @param {string} language Language code
+ * @returns {{requiredCategories: string[], missingCategories: string[], missingKeys: string[]}|null} Gaps, or null if complete
+ */
+function findSuffixPluralGaps(group, hasKey, language) {
+    const required = getPluralCategories(language, group.type);
+    if (!required) {
+        return null;
+    }
+
+    const suffix = group.type === 'selectordinal' ? '_ordinal' : '';
+    const missingCategories = sortCategories(required).filter(category => !hasKey(`${group.base}${suffix}_${category}`));
+    if (missingCategories.length === 0) {
+        return null;
+    }
+
+    return {
+        requiredCategories: sortCategories(required),
+        missingCategories,
+        missingKeys: missingCategories.map(category => `${group.base}${suffix}_${category}`)
+    };
+}
+
+export {
+    findIcuPluralGaps,
+    groupPluralSuffixKeys,
+    findSuffixPluralGaps
+};
@@ -0,0 +1,72 @@
+/**
+ * Do-not-translate tokens
+ *
+ * Brand and product names, SKUs and URLs must appear in every translation
+ * exactly as in the source. The list is given as literals and regular expressions:
+ *
+ *   { "literals": ["Framky", "Framky Pro"], "patterns": ["\\bFR-\\d{4,}\\b", "https?://[^\\s<>\"]+"] }
+ *
+ * Literals are case-sensitive. The same expressions keep non-breaking space rules
+ * from changing the inside of a token.
+ */
+
+/**
+ * Compile the do-not-translate list
+ * @param {Object} data Parsed JSON ({ literals?: string[], patterns?: string[] })
+ * @returns {{patterns: RegExp[], invalid: string[]}} Global expressions, longest literals first, and patterns that do not compile
+ */
+function parseProtectedTokens(data) {
+    const literals = (Array.isArray(data?.literals) ? data.literals : [])
+        .map(String)
+        .filter(literal => literal.length > 0)
+        .sort((a, b) => b.length - a.length);
+    const patterns = literals.map(literal => new RegExp(literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'));
+    const invalid = [];
+
+    for (const source of Array.isArray(data?.patterns) ? data.patterns : []) {
+        try {
+            patterns.push(new RegExp(source, 'gu'));
+        } catch {
+            invalid.push(String(source));
+        }
+    }
+
+    return { patterns, invalid };
+}
+
+/**
+ * Find the protected tokens in a text
+ * @param {string} text Message text
+ * @param {RegExp[]} patterns Expressions from parseProtectedTokens
+ * @returns {string[]} Distinct tokens in order of first occurrence
+ */
+function findProtectedTokens(text, patterns) {
+    const tokens = new Set();
+    for (const pattern of patterns) {
+        for (const [token] of text.matchAll(pattern)) {
+            if (token) {
+                tokens.add(token);
+            }
+        }
+    }
+    return Array.from(tokens);
+}
+
+/**
+ * Check that a translation keeps the protected tokens of its source
+ * @param {string} source Source text
+ * @param {string} target Translated text
+ * @param {RegExp[]} patterns Expressions from parseProtectedTokens
+ * @returns {Array<{type: string, token: string, detail: string}>} Problems, empty when every token is kept
+ */
+function checkProtectedTokens(source, target, patterns) {
+    return findProtectedTokens(source, patterns)
+        .filter(token => !target.includes(token))
+        .map(token => ({ type: 'missing_protected_token', token, detail: `"${token}" must appear unchanged` }));
+}
+
+export {
+    parseProtectedTokens,
+    findProtectedTokens,
+    checkProtectedTokens
+};
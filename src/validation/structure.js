@@ -0,0 +1,167 @@
+/**
+ * Structural validation of locale files
+ *
+ * Flat keys only map back to one nested file when no key is both a value and a
+ * parent of other keys. Three kinds of problems are reported:
+ *   - leaf/object conflicts: 'title' is a string in one place and 'title.short' exists elsewhere
+ *   - dotted keys: a literal "a.b" key, which is saved back as nested {"a": {"b": ...}}
+ *   - duplicate keys: the same key twice in one object, or a dotted key that collides
+ *     with a nested one; JSON.parse keeps only the last value
+ */
+
+/**
+ * Get the parent keys of a flat key
+ * @param {string} key Flat key (e.g., 'faq.items[2].title')
+ * @returns {string[]} Parent keys, outermost first (e.g., ['faq', 'faq.items', 'faq.items[2]'])
+ */
+function getParentKeys(key) {
+    const parents = [];
+    for (let i = 1; i < key.length; i++) {
+        if (key[i] === '.' || (key[i] === '[' && /^\[\d+\]/.test(key.slice(i)))) {
+            parents.push(key.slice(0, i));
+        }
+    }
+    return parents;
+}
+
+/**
+ * Map every parent key to the keys nested under it
+ * @param {Iterable<string>} keys Flat keys
+ * @returns {Map<string, string[]>} Parent key -> nested keys
+ */
+function getNestedKeysByParent(keys) {
+    const nested = new Map();
+    for (const key of keys) {
+        for (const parent of getParentKeys(key)) {
+            if (!nested.has(parent)) {
+                nested.set(parent, []);
+            }
+            nested.get(parent).push(key);
+        }
+    }
+    return nested;
+}
+
+/**
+ * Find keys that are a value in some locales and a parent of other keys
+ * @param {Map<string, {translations: Object<string, *>}>} translations Translations by flat key
+ * @returns {Array<{key: string, leafLocales: string[], nestedKeys: string[], nestedLocales: string[]}>} Conflicts
+ */
+function findLeafObjectConflicts(translations) {
+    const nestedByParent = getNestedKeysByParent(translations.keys());
+    const conflicts = [];
+
+    for (const [key, data] of translations.entries()) {
+        const nestedKeys = nestedByParent.get(key);
+        if (!nestedKeys) {
+            continue;
+        }
+
+        const nestedLocales = new Set();
+        for (const nestedKey of nestedKeys) {
+            Object.keys(translations.get(nestedKey).translations).forEach(locale => nestedLocales.add(locale));
+        }
+
+        conflicts.push({
+            key,
+            leafLocales: Object.keys(data.translations),
+            nestedKeys,
+            nestedLocales: Array.from(nestedLocales)
+        });
+    }
+
+    return conflicts;
+}
+
+/**
+ * Check keys about to be written to one locale against the keys it already has
+ * @param {Iterable<string>} localeKeys Keys the locale has
+ * @param {string[]} keys Keys being added to the locale
+ * @returns {Array<{key: string, conflictsWith: string}>} Keys that would be both a value and a parent
+ */
+function findLocaleConflicts(localeKeys, keys) {
+    const allKeys = new Set([...localeKeys, ...keys]);
+    const nestedByParent = getNestedKeysByParent(allKeys);
+    const conflicts = [];
+
+    for (const key of keys) {
+        const parent = getParentKeys(key).find(parentKey => allKeys.has(parentKey));
+        if (parent) {
+            conflicts.push({ key, conflictsWith: parent });
+        } else if (nestedByParent.has(key)) {
+            conflicts.push({ key, conflictsWith: nestedByParent.get(key)[0] });
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Scan raw JSON for keys that JSON.parse or flattening would silently merge
+ * @param {string} content JSON file content
+ * @param {string} [parentKey=''] Prefix for reported keys (namespace in the namespaced layout)
+ * @returns {{duplicateKeys: string[], dottedKeys: string[]}} Flat keys of duplicated and dotted keys
+ */
+function scanJsonKeys(content, parentKey = '') {
+    const duplicateKeys = new Set();
+    const dottedKeys = [];
+    const seenKeys = new Set();
+    const stack = [];
+    const join = (parent, key) => parent ? `${parent}.${key}` : key;
+
+    // Flat key of the value that starts at the current position
+    const getValueKey = () => {
+        const frame = stack[stack.length - 1];
+        if (!frame) {
+            return parentKey;
+        }
+        return frame.type === 'array' ? `${frame.key}[${frame.index}]` : join(frame.key, frame.member);
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        const frame = stack[stack.length - 1];
+
+        if (char === '"') {
+            let end = i + 1;
+            while (end < content.length && content[end] !== '"') {
+                end += content[end] === '\\' ? 2 : 1;
+            }
+            const text = JSON.parse(content.slice(i, end + 1));
+            i = end;
+
+            if (frame && frame.type === 'object' && frame.expectKey) {
+                frame.member = text;
+                frame.expectKey = false;
+
+                const flatKey = join(frame.key, text);
+                if (seenKeys.has(flatKey)) {
+                    duplicateKeys.add(flatKey);
+                }
+                seenKeys.add(flatKey);
+                if (text.includes('.')) {
+                    dottedKeys.push(flatKey);
+                }
+            }
+        } else if (char === '{' || char === '[') {
+            stack.push({ type: char === '{' ? 'object' : 'array', key: getValueKey(), index: 0, expectKey: char === '{' });
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',' && frame) {
+            if (frame.type === 'array') {
+                frame.index++;
+            } else {
+                frame.expectKey = true;
+            }
+        }
+    }
+
+    return { duplicateKeys: Array.from(duplicateKeys), dottedKeys };
+}
+
+export {
+    getParentKeys,
+    findLeafObjectConflicts,
+    findLocaleConflicts,
+    scanJsonKeys
+};
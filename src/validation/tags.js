@@ -0,0 +1,143 @@
+/**
+ * HTML / rich-text tag parity checks
+ *
+ * Values may contain HTML (<b>, <br/>) or rich-text tags rendered by the app
+ * (next-intl's <link>...</link>). The markup of each translation is parsed into a
+ * tree and compared with the source locale's value for the same key:
+ *   - unbalanced_tag: a tag is never closed, closed twice, or closed in the wrong order
+ *   - missing_tag / extra_tag: a tag occurs fewer / more times than in the source
+ *   - nesting_mismatch: a tag sits inside different parent tags than in the source
+ *   - reordered_tags: the same tags appear in a different order (sometimes needed by the grammar)
+ */
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w.:-]*)((?:\s+[^<>]*?)?)\s*(\/?)>/g;
+
+// HTML elements that never have a closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'wbr', 'meta', 'link', 'source', 'area', 'col', 'embed', 'track']);
+
+/**
+ * Parse the markup of a message into a tag tree
+ * @param {string} message Message text
+ * @returns {{tags: Array<{name: string, path: string}>, errors: string[]}} Tags in document order with their
+ *   ancestor path (e.g., 'p>b'), and balance errors
+ */
+function parseTags(message) {
+    const tags = [];
+    const errors = [];
+    const stack = [];
+
+    for (const match of message.matchAll(TAG_PATTERN)) {
+        const [, closing, name, , selfClosing] = match;
+
+        if (closing) {
+            if (stack.length === 0 || !stack.includes(name)) {
+                errors.push(`</${name}> has no opening tag`);
+                continue;
+            }
+            // Closing an outer tag first leaves the inner ones unclosed
+            while (stack[stack.length - 1] !== name) {
+                errors.push(`<${stack.pop()}> is not closed before </${name}>`);
+            }
+            stack.pop();
+            continue;
+        }
+
+        tags.push({ name, path: [...stack, name].join('>') });
+
+        // <link> is a void element in HTML but a paired rich-text tag in next-intl, so the next closing tag decides
+        const isVoid = VOID_ELEMENTS.has(name.toLowerCase()) && !message.slice(match.index).includes(`</${name}>`);
+        if (!selfClosing && !isVoid) {
+            stack.push(name);
+        }
+    }
+
+    for (const name of stack) {
+        errors.push(`<${name}> is not closed`);
+    }
+
+    return { tags, errors };
+}
+
+/**
+ * Count tags by name
+ * @param {Array<{name: string}>} tags Parsed tags
+ * @returns {Map<string, number>} Occurrences by tag name
+ */
+function countTags(tags) {
+    const counts = new Map();
+    for (const { name } of tags) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Compare the markup of a translation with its source message
+ * @param {string|null} source Source message, or null to only check that the markup is balanced
+ * @param {string} target Translated message
+ * @returns {Array<{type: string, tag?: string, detail: string}>} Problems, empty when the markup matches
+ */
+function compareTags(source, target) {
+    const parsedTarget = parseTags(target);
+    const problems = parsedTarget.errors.map(detail => ({ type: 'unbalanced_tag', detail }));
+
+    if (typeof source !== 'string') {
+        return problems;
+    }
+
+    const parsedSource = parseTags(source);
+    const sourceCounts = countTags(parsedSource.tags);
+    const targetCounts = countTags(parsedTarget.tags);
+
+    for (const [name, count] of sourceCounts.entries()) {
+        const targetCount = targetCounts.get(name) || 0;
+        if (targetCount < count) {
+            problems.push({ type: 'missing_tag', tag: name, detail: `<${name}> occurs ${targetCount} times, expected ${count}` });
+        }
+    }
+    for (const [name, count] of targetCounts.entries()) {
+        const sourceCount = sourceCounts.get(name) || 0;
+        if (count > sourceCount) {
+            problems.push({ type: 'extra_tag', tag: name, detail: `<${name}> occurs ${count} times, expected ${sourceCount}` });
+        }
+    }
+
+    // Structure is only compared once both sides use the same tags
+    if (problems.length > 0) {
+        return problems;
+    }
+
+    // Pair up tags with the same path; whatever is left over sits in a different place
+    const unmatchedSource = [...parsedSource.tags];
+    const unmatchedTarget = parsedTarget.tags.filter(tag => {
+        const index = unmatchedSource.findIndex(sourceTag => sourceTag.path === tag.path);
+        if (index === -1) {
+            return true;
+        }
+        unmatchedSource.splice(index, 1);
+        return false;
+    });
+
+    if (unmatchedTarget.length > 0) {
+        const moved = unmatchedTarget[0];
+        const expected = unmatchedSource.find(tag => tag.name === moved.name);
+        const describeParents = tag => tag && tag.path.includes('>') ? `inside ${tag.path.slice(0, tag.path.lastIndexOf('>'))}` : 'at the top level';
+        problems.push({
+            type: 'nesting_mismatch',
+            tag: moved.name,
+            detail: `<${moved.name}> is ${describeParents(moved)}, source has it ${describeParents(expected)}`
+        });
+    } else if (parsedSource.tags.map(tag => tag.path).join(',') !== parsedTarget.tags.map(tag => tag.path).join(',')) {
+        problems.push({
+            type: 'reordered_tags',
+            detail: `Tag order is ${parsedTarget.tags.map(tag => tag.name).join(', ')}, source has ${parsedSource.tags.map(tag => tag.name).join(', ')}`
+        });
+    }
+
+    return problems;
+}
+
+export {
+    parseTags,
+    compareTags
+};
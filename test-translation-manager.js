@@ -6,497 +6,54 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { watch } from 'fs';
+import { TranslationManager } from './index.js';
 import { insertNonBreakingSpaces, getLanguageFromLocale } from './src/utils/non-breaking-spaces.js';
+import { translationsToCsv, csvToTranslations } from './src/formats/csv.js';
+import { translationsToXliff, xliffToTranslations } from './src/formats/xliff.js';
+import { parsePo, stringifyPo, getPoEntryKey, createPoEntryForKey, getPoPluralKey } from './src/formats/po.js';
+import { parseYamlCatalog, updateYamlCatalog } from './src/formats/yaml.js';
+import { findLeafObjectConflicts, findLocaleConflicts, scanJsonKeys } from './src/validation/structure.js';
+import { parseMessage, compareMessages } from './src/validation/icu.js';
+import { parseTags, compareTags } from './src/validation/tags.js';
+import { findIcuPluralGaps, groupPluralSuffixKeys, findSuffixPluralGaps } from './src/validation/plurals.js';
+import { compileKeyGlob, parseLengthConstraints, resolveLengthLimits, countCharacters, checkLength } from './src/validation/length.js';
+import { normalizeCopyText, detectSourceCopy, parseCopyAllowlist, isAllowedCopy } from './src/validation/copies.js';
+import { compileTermPattern, parseGlossary, findGlossaryTerms, describeGlossaryEntry, checkTerms } from './src/validation/glossary.js';
+import { parseProtectedTokens, findProtectedTokens, checkProtectedTokens } from './src/validation/protected.js';
+import { resolveLintConfig, lintValue } from './src/validation/lint.js';
+import { getTrailingPunctuation, findUnbalancedPairs, BUILT_IN_LINT_RULES } from './src/validation/lint-rules.js';
+import { canTransition, hashSourceText, parseCheckFile, serializeCheckFile, REVIEW_STATES } from './src/review/lifecycle.js';
+import { parseCommentFile, serializeCommentFile, createThread, filterThreads } from './src/review/comments.js';
+import { createAuditEntry, formatAuditLines, parseAuditLog } from './src/review/audit.js';
+import { compareQueueItems, encodeCursor, decodeCursor } from './src/review/queue.js';
+import { parseLeaseFile, serializeLeaseFile, createLease, findBlockingLease } from './src/review/leases.js';
+import { detectJsonLayout, parseKeyPath, coerceLeafValue, orderFlatData, stringifyJson } from './src/formats/json.js';
+import {
+  parseAndroidStrings,
+  androidStringsToFlatData,
+  updateAndroidStrings,
+  stringifyAndroidStrings,
+  getAndroidValuesLocale,
+  getAndroidValuesDir
+} from './src/formats/android.js';
+import {
+  decodeStringsBuffer,
+  encodeStringsBuffer,
+  parseAppleStrings,
+  appleStringsToFlatData,
+  updateAppleStrings,
+  stringifyAppleStrings,
+  getLprojLocale,
+  xcstringsToFlatData,
+  updateXcstrings
+} from './src/formats/apple.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Copy TranslationManager class here to avoid starting the server
-class TranslationManager {
-  constructor() {
-    this.translations = new Map();
-    this.locales = [];
-    this.messagesDir = null;
-    this.tempStateFile = null;
-    this.previousState = null;
-    this.hasLoadedInitialCheck = false;
-    this.fileWatcher = null;
-    this.reloadTimer = null;
-  }
-
-  async initialize(messagesDir = null) {
-    if (!messagesDir) {
-      messagesDir = path.join(process.cwd(), 'messages');
-    }
-    this.messagesDir = messagesDir;
-    this.tempStateFile = path.join(__dirname, '.translation-state.json');
-
-    await this.loadPreviousState();
-    await this.loadTranslationsFromJson();
-
-    if (!this.hasLoadedInitialCheck) {
-      await this.loadCheckedStatus();
-      this.hasLoadedInitialCheck = true;
-    }
-  }
-
-  flattenJson(data, parentKey = '') {
-    const items = [];
-
-    for (const [key, value] of Object.entries(data)) {
-      const newKey = parentKey ? `${parentKey}.${key}` : key;
-
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        items.push(...this.flattenJson(value, newKey));
-      } else {
-        items.push([newKey, value]);
-      }
-    }
-
-    return items;
-  }
-
-  unflattenJson(flatData) {
-    const sortedData = [...flatData].sort((a, b) => {
-      const depthA = a[0].split('.').length;
-      const depthB = b[0].split('.').length;
-
-      if (depthA !== depthB) {
-        return depthA - depthB;
-      }
-
-      return a[0].localeCompare(b[0]);
-    });
-
-    const result = {};
-
-    for (const [flatKey, value] of sortedData) {
-      const keys = flatKey.split('.');
-      let current = result;
-
-      for (let i = 0; i < keys.length - 1; i++) {
-        const key = keys[i];
-        if (!current[key]) {
-          current[key] = {};
-        }
-        current = current[key];
-      }
-
-      current[keys[keys.length - 1]] = value;
-    }
-
-    return result;
-  }
-
-  async loadTranslationsFromJson() {
-    try {
-      const files = await fs.readdir(this.messagesDir);
-      this.locales = [];
-
-      const currentState = new Map();
-      for (const [key, data] of this.translations.entries()) {
-        currentState.set(key, { ...data.translations });
-      }
-
-      for (const filename of files) {
-        if (filename.endsWith('.json') && !filename.endsWith('.bak') && filename !== 'translation-check.json') {
-          const locale = filename.replace('.json', '');
-          this.locales.push(locale);
-        }
-      }
-
-      for (const filename of files) {
-        if (filename.endsWith('.json') && !filename.endsWith('.bak') && filename !== 'translation-check.json') {
-          const locale = filename.replace('.json', '');
-          const filepath = path.join(this.messagesDir, filename);
-
-          try {
-            const content = await fs.readFile(filepath, 'utf8');
-            const data = JSON.parse(content);
-            const flatData = this.flattenJson(data);
-
-            for (const [key, value] of flatData) {
-              if (!this.translations.has(key)) {
-                this.translations.set(key, {
-                  isChecked: false,
-                  translations: {}
-                });
-              }
-
-              const entry = this.translations.get(key);
-              entry.translations[locale] = value;
-
-              if (this.previousState && this.previousState[key]) {
-                if (this.previousState[key][locale] !== value) {
-                  entry.isChecked = false;
-                }
-              } else if (this.previousState && !this.previousState[key]) {
-                entry.isChecked = false;
-              }
-            }
-          } catch (error) {
-            console.error(`Error processing ${filename}:`, error);
-          }
-        }
-      }
-
-      await this.saveCurrentState();
-    } catch (error) {
-      console.error('Error loading translations:', error);
-      throw error;
-    }
-  }
-
-  async saveTranslationsToJson() {
-    return this.saveTranslationsToJsonForLocales(this.locales);
-  }
-
-  async saveTranslationsToJsonForLocales(localesToSave) {
-    try {
-      for (const locale of localesToSave) {
-        if (!this.locales.includes(locale)) {
-          continue;
-        }
-
-        const filename = `${locale}.json`;
-        const filepath = path.join(this.messagesDir, filename);
-
-        const flatData = [];
-        const language = getLanguageFromLocale(locale);
-
-        for (const [key, data] of this.translations.entries()) {
-          if (data.translations[locale] !== undefined) {
-            const processedTranslation = insertNonBreakingSpaces(data.translations[locale], language);
-            flatData.push([key, processedTranslation]);
-          }
-        }
-
-        const nestedData = this.unflattenJson(flatData);
-
-        const jsonContent = JSON.stringify(nestedData, null, 4);
-        await fs.writeFile(filepath, jsonContent, 'utf8');
-      }
-
-      await this.saveCheckedStatus();
-
-      return {
-        success: true,
-        savedLocales: [...localesToSave, 'translation-check'],
-        keyCount: this.translations.size
-      };
-    } catch (error) {
-      console.error('Error saving translations:', error);
-      throw error;
-    }
-  }
-
-  async loadCheckedStatus() {
-    try {
-      const filepath = path.join(this.messagesDir, 'translation-check.json');
-      const content = await fs.readFile(filepath, 'utf8');
-      const checkedData = JSON.parse(content);
-
-      for (const [key, isChecked] of Object.entries(checkedData)) {
-        if (this.translations.has(key)) {
-          const entry = this.translations.get(key);
-          entry.isChecked = isChecked;
-        }
-      }
-    } catch (error) {
-      // OK if file doesn't exist
-    }
-  }
-
-  async saveCheckedStatus() {
-    try {
-      const filepath = path.join(this.messagesDir, 'translation-check.json');
-      const checkedData = {};
-
-      for (const [key, data] of this.translations.entries()) {
-        checkedData[key] = data.isChecked;
-      }
-
-      const jsonContent = JSON.stringify(checkedData, null, 2);
-      await fs.writeFile(filepath, jsonContent, 'utf8');
-    } catch (error) {
-      console.error('Error saving translation-check.json:', error);
-      throw error;
-    }
-  }
-
-  getMessagesToCheck(n = 10) {
-    const uncheckedMessages = {};
-    let count = 0;
-
-    for (const [key, data] of this.translations.entries()) {
-      if (!data.isChecked) {
-        uncheckedMessages[key] = data.translations;
-        count++;
-
-        if (count >= n) {
-          break;
-        }
-      }
-    }
-
-    return uncheckedMessages;
-  }
-
-  async updateTranslations(updates) {
-    let updatedCount = 0;
-    const modifiedLocales = new Set();
-
-    for (const [key, localeTranslations] of Object.entries(updates)) {
-      if (!this.translations.has(key)) {
-        continue;
-      }
-
-      const entry = this.translations.get(key);
-
-      for (const [locale, translation] of Object.entries(localeTranslations)) {
-        if (!this.locales.includes(locale)) {
-          continue;
-        }
-
-        const language = getLanguageFromLocale(locale);
-        const processedTranslation = insertNonBreakingSpaces(translation, language);
-
-        entry.translations[locale] = processedTranslation;
-        modifiedLocales.add(locale);
-        updatedCount++;
-      }
-    }
-
-    if (modifiedLocales.size > 0) {
-      try {
-        await this.saveTranslationsToJsonForLocales(Array.from(modifiedLocales));
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-
-    return { success: true, updatedKeys: updatedCount };
-  }
-
-  async markChecked(keys) {
-    const keyList = Array.isArray(keys) ? keys : [keys];
-    let markedCount = 0;
-
-    for (const key of keyList) {
-      if (!this.translations.has(key)) {
-        continue;
-      }
-
-      const entry = this.translations.get(key);
-      entry.isChecked = true;
-      markedCount++;
-    }
-
-    await this.saveCheckedStatus();
-
-    return { success: true, markedCount };
-  }
-
-  getCheckedKeys() {
-    const checkedKeys = [];
-
-    for (const [key, data] of this.translations.entries()) {
-      if (data.isChecked) {
-        checkedKeys.push(key);
-      }
-    }
-
-    return checkedKeys;
-  }
-
-  getMissingTranslationKeys(page = 1, pageSize = 50) {
-    const allMissingKeys = [];
-
-    for (const [key, data] of this.translations.entries()) {
-      const missingLocales = [];
-
-      for (const locale of this.locales) {
-        if (!data.translations[locale] || data.translations[locale] === '') {
-          missingLocales.push(locale);
-        }
-      }
-
-      if (missingLocales.length > 0) {
-        allMissingKeys.push({
-          key,
-          missingLocales,
-          existingTranslations: data.translations
-        });
-      }
-    }
-
-    const totalCount = allMissingKeys.length;
-    const totalPages = Math.ceil(totalCount / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedKeys = allMissingKeys.slice(startIndex, endIndex);
-
-    return {
-      count: totalCount,
-      totalPages,
-      currentPage: page,
-      pageSize,
-      keys: paginatedKeys
-    };
-  }
-
-  getTranslationByKeyPrefix(keyPrefix, page = 1, pageSize = 50) {
-    const allResults = [];
-
-    for (const [key, data] of this.translations.entries()) {
-      if (key.startsWith(keyPrefix)) {
-        allResults.push({ key, translations: data.translations });
-      }
-    }
-
-    const totalCount = allResults.length;
-    const totalPages = Math.ceil(totalCount / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedResults = allResults.slice(startIndex, endIndex);
-
-    const keys = {};
-    for (const item of paginatedResults) {
-      keys[item.key] = item.translations;
-    }
-
-    return {
-      count: totalCount,
-      totalPages,
-      currentPage: page,
-      pageSize,
-      keys
-    };
-  }
-
-  async addTranslations(newTranslations) {
-    let addedKeys = 0;
-    const addedLocales = new Set();
-
-    for (const [key, localeTranslations] of Object.entries(newTranslations)) {
-      if (!this.translations.has(key)) {
-        this.translations.set(key, {
-          isChecked: false,
-          translations: {}
-        });
-        addedKeys++;
-      }
-
-      const entry = this.translations.get(key);
-
-      for (const [locale, translation] of Object.entries(localeTranslations)) {
-        if (!this.locales.includes(locale)) {
-          this.locales.push(locale);
-          this.locales.sort();
-        }
-
-        const language = getLanguageFromLocale(locale);
-        const processedTranslation = insertNonBreakingSpaces(translation, language);
-
-        entry.translations[locale] = processedTranslation;
-        addedLocales.add(locale);
-      }
-    }
-
-    if (addedLocales.size > 0) {
-      try {
-        await this.saveTranslationsToJson();
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
-    }
-
-    return {
-      success: true,
-      addedKeys,
-      addedLocales: Array.from(addedLocales)
-    };
-  }
-
-  async loadPreviousState() {
-    try {
-      const content = await fs.readFile(this.tempStateFile, 'utf8');
-      this.previousState = JSON.parse(content);
-    } catch (error) {
-      this.previousState = null;
-    }
-  }
-
-  async saveCurrentState() {
-    try {
-      const state = {};
-
-      for (const [key, data] of this.translations.entries()) {
-        state[key] = { ...data.translations };
-      }
-
-      await fs.writeFile(this.tempStateFile, JSON.stringify(state, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Error saving translation state:', error);
-    }
-  }
-
-  async deleteKeysByPrefix(prefix, locales = null) {
-    if (!prefix) {
-      throw new Error('Prefix is required');
-    }
-
-    let deletedCount = 0;
-    const affectedLocales = new Set();
-
-    if (locales && locales.length > 0) {
-      for (const [key, data] of this.translations.entries()) {
-        if (key.startsWith(prefix)) {
-          for (const locale of locales) {
-            if (data.translations[locale]) {
-              delete data.translations[locale];
-              affectedLocales.add(locale);
-              deletedCount++;
-            }
-          }
-          if (Object.keys(data.translations).length === 0) {
-            this.translations.delete(key);
-          }
-        }
-      }
-    } else {
-      const keysToDelete = [];
-      for (const key of this.translations.keys()) {
-        if (key.startsWith(prefix)) {
-          keysToDelete.push(key);
-        }
-      }
-
-      for (const key of keysToDelete) {
-        this.translations.delete(key);
-      }
-      deletedCount = keysToDelete.length;
-    }
-
-    if (deletedCount > 0) {
-      if (affectedLocales.size > 0) {
-        await this.saveTranslationsToJsonForLocales(Array.from(affectedLocales));
-      } else {
-        await this.saveTranslationsToJson();
-      }
-      await this.saveCheckedStatus();
-    }
-
-    return {
-      success: true,
-      deletedCount
-    };
-  }
-}
-
 // Test utilities
 const testDir = path.join(__dirname, 'test-messages');
 let testsPassed = 0;
@@ -564,6 +121,24 @@ async function cleanup() {
   console.log('\n✓ Test environment cleaned up');
 }
 
+// Load a manager on its own temporary messages directory with the given files (paths may include directories)
+async function loadCatalog(files, { layout = 'flat' } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translation-manager-test-'));
+  for (const [filename, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, filename)), { recursive: true });
+    await fs.writeFile(path.join(dir, filename), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  const catalogManager = new TranslationManager();
+  catalogManager.layout = layout;
+  await catalogManager.initialize(dir);
+  return catalogManager;
+}
+
+async function removeCatalog(catalogManager) {
+  catalogManager.cleanup();
+  await fs.rm(catalogManager.messagesDir, { recursive: true, force: true });
+}
+
 async function runTests() {
   console.log('='.repeat(60));
   console.log('Translation Manager MCP v2.0.0 - Automated Tests');
@@ -722,6 +297,777 @@ async function runTests() {
   }
   console.log();
 
+  // Test 11: CSV export/import round-trip
+  console.log('Test 11: CSV Export/Import Round-trip');
+  console.log('-'.repeat(60));
+  const csvRows = [
+    { key: 'common.button.save', translations: { 'en-us': 'Save', 'pl-pl': 'Zapisz' } },
+    { key: 'home.quote', translations: { 'en-us': 'Say "hi", then leave' } }
+  ];
+  const csvContent = translationsToCsv(csvRows, ['en-us', 'pl-pl']);
+  assert(csvContent.startsWith('\uFEFFkey,en-us,pl-pl'), 'CSV has BOM and key × locale header');
+  const parsedCsv = csvToTranslations(csvContent);
+  assert(parsedCsv.locales.join(',') === 'en-us,pl-pl', 'Locales parsed from header');
+  assert(parsedCsv.rows[1].translations['en-us'] === 'Say "hi", then leave', 'Quoted cells survive round-trip');
+  assert(!('pl-pl' in parsedCsv.rows[1].translations), 'Empty cells are skipped on import');
+  console.log();
+
+  // Test 12: XLIFF 1.2 / 2.0 export/import
+  console.log('Test 12: XLIFF 1.2 / 2.0 Export/Import');
+  console.log('-'.repeat(60));
+  const xliffUnits = [
+    { key: 'common.button.save', source: 'Save & <b>close</b>', target: 'Zapisz', isChecked: true },
+    { key: 'common.button.submit', source: 'Submit', target: undefined, isChecked: false }
+  ];
+  for (const version of ['1.2', '2.0']) {
+    const xliff = translationsToXliff({ units: xliffUnits, sourceLocale: 'en-us', targetLocale: 'pl-pl', version });
+    const parsedXliff = xliffToTranslations(xliff);
+    const [xliffFile] = parsedXliff.files;
+    assert(parsedXliff.version === version && xliffFile.targetLocale === 'pl-pl', `XLIFF ${version} locales round-trip`);
+    assert(xliffFile.units[0].source === 'Save & <b>close</b>', `XLIFF ${version} escapes markup in source`);
+    assert(xliffFile.units[0].state === 'final', `XLIFF ${version} maps checked keys to state="final"`);
+  }
+  const inlineXliff = xliffToTranslations(
+    '<xliff version="1.2"><file source-language="en-us" target-language="pl-pl"><body>' +
+    '<trans-unit id="a"><source>Hi</source><target state="translated">Cześć <g id="1">tam</g></target></trans-unit>' +
+    '</body></file></xliff>'
+  );
+  assert(inlineXliff.files[0].units[0].target === 'Cześć <g id="1">tam</g>', 'Inline markup in targets is kept as-is');
+  console.log();
+
+  // Test 13: Gettext PO round-trip
+  console.log('Test 13: Gettext PO Round-trip');
+  console.log('-'.repeat(60));
+  const poContent = [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: pl\\n"',
+    '',
+    '# Keep it short',
+    '#, fuzzy',
+    'msgctxt "checkout.button"',
+    'msgid "pay"',
+    'msgstr "Zapłać \\"teraz\\""',
+    '',
+    'msgctxt "cart"',
+    'msgid "item"',
+    'msgid_plural "items"',
+    'msgstr[0] "produkt"',
+    'msgstr[1] "produkty"',
+    'msgstr[2] "produktów"',
+    ''
+  ].join('\n');
+  const parsedPo = parsePo(poContent);
+  const [payEntry, pluralEntry] = parsedPo.entries;
+  assert(parsedPo.header?.msgstr[0] === 'Language: pl\n', 'PO header is parsed');
+  assert(getPoEntryKey(payEntry) === 'checkout.button.pay', 'msgctxt/msgid map to a dotted key');
+  assert(payEntry.msgstr[0] === 'Zapłać "teraz"', 'Escaped quotes are decoded');
+  assert(payEntry.flags.includes('fuzzy'), 'Fuzzy flag is parsed');
+  assert(pluralEntry.msgstr.length === 3, 'Plural forms are parsed');
+  assert(getPoPluralKey(getPoEntryKey(pluralEntry), 2) === 'cart.item#2', 'Plural forms get numbered keys that are not JSON array items');
+  assert(stringifyPo(parsedPo) === poContent, 'PO content survives round-trip with comments');
+  const newPoEntry = createPoEntryForKey('common.button.save');
+  assert(newPoEntry.msgctxt === 'common.button' && newPoEntry.msgid === 'save', 'New keys are split into msgctxt/msgid');
+  console.log();
+
+  // Test 14: YAML locale files
+  console.log('Test 14: YAML Locale Files');
+  console.log('-'.repeat(60));
+  const yamlCatalog = parseYamlCatalog([
+    '# Admin panel',
+    'pl:',
+    '  defaults: &defaults',
+    '    save: Zapisz # button label',
+    '  admin:',
+    '    <<: *defaults',
+    '    title: Panel',
+    '  old:',
+    '    key: Stary',
+    ''
+  ].join('\n'), 'pl-pl');
+  assert(yamlCatalog.rootKey === 'pl', 'Locale root key is detected');
+  const yamlFlatData = manager.flattenJson(yamlCatalog.data);
+  assert(yamlFlatData.some(([key, value]) => key === 'admin.save' && value === 'Zapisz'), 'Merge keys are resolved when flattening');
+  updateYamlCatalog(
+    yamlCatalog,
+    yamlFlatData,
+    yamlFlatData
+      .filter(([key]) => key !== 'old.key')
+      .map(([key, value]) => [key, key === 'admin.title' ? 'Panel administracyjny' : value])
+  );
+  const savedYaml = yamlCatalog.document.toString();
+  assert(savedYaml.includes('# Admin panel') && savedYaml.includes('# button label'), 'Comments are preserved on save');
+  assert(savedYaml.includes('<<: *defaults'), 'Anchors and aliases are preserved on save');
+  assert(savedYaml.includes('title: Panel administracyjny'), 'Changed values are written');
+  assert(!savedYaml.includes('old:'), 'Deleted keys and their empty parents are removed');
+  console.log();
+
+  // Test 15: Android and Apple platform catalogs
+  console.log('Test 15: Android and Apple Platform Catalogs');
+  console.log('-'.repeat(60));
+  const androidXml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    '    <!-- Checkout -->',
+    '    <string name="app_name" translatable="false">Shop</string>',
+    '    <string name="pay">Pay &amp; go</string>',
+    '    <plurals name="items">',
+    '        <item quantity="one">%d item</item>',
+    '        <item quantity="other">%d items</item>',
+    '    </plurals>',
+    '    <string-array name="days">',
+    '        <item>Mon</item>',
+    '    </string-array>',
+    '</resources>',
+    ''
+  ].join('\n');
+  const androidDocument = parseAndroidStrings(androidXml);
+  const androidData = androidStringsToFlatData(androidDocument);
+  const androidValues = Object.fromEntries(androidData.flatData);
+  assert(androidValues.pay === 'Pay & go', 'Android strings are decoded');
+  assert(androidValues.items_one === '%d item' && androidValues['days[0]'] === 'Mon', 'Plurals and string arrays map to suffixed keys');
+  assert(androidValues.app_name === undefined, 'Untranslatable Android strings are skipped');
+  assert(stringifyAndroidStrings(androidDocument) === androidXml, 'Unchanged strings.xml is written back verbatim');
+  updateAndroidStrings(androidDocument, [...androidData.flatData, ['items_few', '%d przedmioty'], ['days[1]', 'Tue']]);
+  const savedAndroid = stringifyAndroidStrings(androidDocument);
+  assert(savedAndroid.includes('<item quantity="few">%d przedmioty</item>') && savedAndroid.includes('<item>Tue</item>'), 'New plural forms and array items join their resources');
+  assert(savedAndroid.includes('<!-- Checkout -->') && savedAndroid.includes('translatable="false">Shop<'), 'Comments and untranslatable strings are preserved');
+  assert(getAndroidValuesLocale('values-pt-rBR') === 'pt-br' && getAndroidValuesLocale('values') === null, 'Android values directories map to locales');
+  assert(getAndroidValuesDir('pt-br') === 'values-pt-rBR', 'Locales map to Android values directories');
+
+  const stringsBuffer = encodeStringsBuffer('/* Pay button */\n"checkout.pay" = "Zap\\"łać\\"";\n', 'utf16le');
+  const decodedStrings = decodeStringsBuffer(stringsBuffer);
+  assert(decodedStrings.encoding === 'utf16le', 'UTF-16 .strings files are detected');
+  const stringsDocument = parseAppleStrings(decodedStrings.content);
+  assert(appleStringsToFlatData(stringsDocument)[0][1] === 'Zap"łać"', '.strings values are unescaped');
+  updateAppleStrings(stringsDocument, [['checkout.pay', 'Zapłać'], ['checkout.cancel', 'Anuluj']]);
+  const savedStrings = stringifyAppleStrings(stringsDocument);
+  assert(savedStrings.startsWith('/* Pay button */\n"checkout.pay" = "Zapłać";') && savedStrings.includes('"checkout.cancel" = "Anuluj";'), '.strings comments are kept and new keys appended');
+  assert(getLprojLocale('pt-BR.lproj') === 'pt-br' && getLprojLocale('Base.lproj') === null, '.lproj directories map to locales');
+
+  const xcstrings = {
+    sourceLanguage: 'en',
+    strings: {
+      Cancel: { localizations: { pl: { stringUnit: { state: 'translated', value: 'Anuluj' } } } },
+      '%lld items': {
+        localizations: {
+          en: { variations: { plural: { one: { stringUnit: { state: 'translated', value: '%lld item' } }, other: { stringUnit: { state: 'translated', value: '%lld items' } } } } }
+        }
+      }
+    }
+  };
+  const xcstringsData = xcstringsToFlatData(xcstrings);
+  assert(xcstringsData.languages.en.some(([key, value]) => key === 'Cancel' && value === 'Cancel'), 'Source strings without a localization use the key');
+  assert(xcstringsData.plurals.includes('%lld items'), 'String Catalog plural variations are detected');
+  updateXcstrings(xcstrings, 'pl', [['Cancel', 'Anuluj'], ['%lld items_few', '%lld elementy']], xcstringsData.plurals);
+  assert(xcstrings.strings['%lld items'].localizations.pl.variations.plural.few.stringUnit.value === '%lld elementy', 'Plural forms are written as String Catalog variations');
+  console.log();
+
+  // Test 16: JSON key order and formatting
+  console.log('Test 16: JSON Key Order and Formatting');
+  console.log('-'.repeat(60));
+  const originalJson = '{\r\n  "zeta": {\r\n    "b": "B",\r\n    "a": "A"\r\n  },\r\n  "alpha": "x"\r\n}\r\n';
+  const jsonLayout = detectJsonLayout(originalJson);
+  assert(jsonLayout.indent === '  ' && jsonLayout.eol === '\r\n' && jsonLayout.finalNewline, 'Indentation, line endings and trailing newline are detected');
+  assert(detectJsonLayout('{\n\t"a": 1\n}').indent === '\t', 'Tab indentation is detected');
+  const jsonKeyOrder = manager.flattenJson(JSON.parse(originalJson)).map(([key]) => key);
+  const orderedJson = orderFlatData([['alpha', 'x'], ['zeta.a', 'A'], ['zeta.b', 'B'], ['beta', 'N'], ['zeta.c', 'C']], jsonKeyOrder);
+  assert(orderedJson.map(([key]) => key).join(',') === 'zeta.b,zeta.a,zeta.c,alpha,beta', 'Original order is kept and new keys follow their siblings');
+  const nestedJson = {};
+  for (const [key, value] of orderedJson.filter(([key]) => key !== 'zeta.c' && key !== 'beta')) {
+    const [parent, child] = key.split('.');
+    if (child) {
+      nestedJson[parent] = { ...nestedJson[parent], [child]: value };
+    } else {
+      nestedJson[parent] = value;
+    }
+  }
+  assert(stringifyJson(nestedJson, jsonLayout) === originalJson, 'Unchanged file is written back byte for byte');
+  console.log();
+
+  // Test 17: Array items and typed leaves
+  console.log('Test 17: Array Items and Typed Leaves');
+  console.log('-'.repeat(60));
+  const typedJson = {
+    faq: {
+      items: ['One', { title: 'Two' }],
+      count: 3,
+      enabled: false,
+      extra: null,
+      tags: []
+    }
+  };
+  const typedFlatData = manager.flattenJson(typedJson);
+  const typedValues = Object.fromEntries(typedFlatData);
+  assert(typedValues['faq.items[0]'] === 'One' && typedValues['faq.items[1].title'] === 'Two', 'Array items are addressed by index');
+  assert(typedValues['faq.count'] === 3 && typedValues['faq.enabled'] === false && typedValues['faq.extra'] === null, 'Numbers, booleans and null stay typed');
+  const typedNested = manager.unflattenJson(typedFlatData);
+  assert(
+    Array.isArray(typedNested.faq.items) && typedNested.faq.items[1].title === 'Two' && typedNested.faq.enabled === false && Array.isArray(typedNested.faq.tags),
+    'Arrays and typed leaves survive the round-trip'
+  );
+  assert(JSON.stringify(parseKeyPath('faq.items[2].title')) === JSON.stringify(['faq', 'items', 2, 'title']), 'Key paths split into keys and indices');
+  assert(coerceLeafValue('4', 3) === 4 && coerceLeafValue('true', false) === true && coerceLeafValue('yes', false) === 'yes', 'Edited text is converted back to the previous type');
+  assert(insertNonBreakingSpaces(5, 'pl') === 5, 'Non-breaking spaces skip non-string values');
+  console.log();
+
+  // Test 18: Structure conflicts
+  console.log('Test 18: Structure Conflicts');
+  console.log('-'.repeat(60));
+  const conflictTranslations = new Map([
+    ['title', { translations: { 'en-gb': 'X' } }],
+    ['title.short', { translations: { 'pl-pl': 'T' } }],
+    ['menu.save', { translations: { 'en-gb': 'Save', 'pl-pl': 'Zapisz' } }]
+  ]);
+  const leafObjectConflicts = findLeafObjectConflicts(conflictTranslations);
+  assert(leafObjectConflicts.length === 1 && leafObjectConflicts[0].key === 'title', 'Leaf/object conflicts across locales are found');
+  assert(leafObjectConflicts[0].nestedLocales[0] === 'pl-pl', 'Conflicts report the locales on each side');
+  assert(findLocaleConflicts(['menu.save'], ['menu.save.icon'])[0]?.conflictsWith === 'menu.save', 'New keys under an existing value are refused');
+  assert(findLocaleConflicts(['faq.items[0]'], ['faq.items'])[0]?.conflictsWith === 'faq.items[0]', 'New values over existing keys are refused');
+  assert(findLocaleConflicts(['menu.save'], ['menu.open']).length === 0, 'Sibling keys do not conflict');
+  const scannedKeys = scanJsonKeys('{"a.b": "x", "a": {"b": "y", "c": ["1", {"d": "2", "d": "3"}]}}');
+  assert(scannedKeys.dottedKeys.includes('a.b'), 'Literal dotted keys are found');
+  assert(scannedKeys.duplicateKeys.includes('a.b') && scannedKeys.duplicateKeys.includes('a.c[1].d'), 'Duplicate and colliding keys are found in raw JSON');
+  let conflictSaveError = null;
+  try {
+    manager.unflattenJson([['title', 'X'], ['title.short', 'T']]);
+  } catch (error) {
+    conflictSaveError = error;
+  }
+  assert(conflictSaveError instanceof Error && conflictSaveError.message.includes('title.short'), 'Conflicting keys are never saved silently');
+  console.log();
+
+  // Test 19: ICU placeholder consistency
+  console.log('Test 19: ICU Placeholder Consistency');
+  console.log('-'.repeat(60));
+  const problemTypes = (source, target, language = 'pl') => compareMessages(source, target, language).map(problem => problem.type).sort().join(',');
+  assert(parseMessage('Oops {x').error !== null, 'Syntax errors are reported');
+  assert(problemTypes('Hi {name}', 'Cześć {name}') === '', 'Consistent translations pass');
+  assert(problemTypes('Hi {name}', 'Cześć {imie}') === 'extra_variable,missing_variable', 'Renamed variables are flagged');
+  assert(problemTypes('{n, number} km', '{n} km') === 'type_mismatch', 'Changed argument types are flagged');
+  assert(problemTypes('{g, select, male {He} female {She} other {They}}', '{g, select, male {On} other {Oni}}') === 'missing_option', 'Missing select options are flagged');
+  assert(
+    problemTypes('{count, plural, one {# item} other {# items}}', '{count, plural, one {# rzecz} few {# rzeczy} other {# rzeczy}}') === '',
+    'Extra plural branches the target language needs are allowed'
+  );
+  assert(problemTypes('{count, plural, one {# item} other {# items}}', '{count, plural, other {# rzeczy}}') === 'missing_option', 'Missing plural branches are flagged');
+  assert(problemTypes('{count, plural, one {# item} other {# items}}', '{count, plural, other {# 個}}', 'ja') === '', 'Plural categories the target language lacks are not expected');
+  assert(
+    problemTypes('{count, plural, other {{g, select, male {a} other {b}}}}', '{g, select, male {a} other {b}} {count, plural, other {x}}') === 'nesting_mismatch',
+    'Changed nesting is flagged'
+  );
+  console.log();
+
+  // Test 20: HTML/rich-text tag parity
+  console.log('Test 20: HTML/Rich-Text Tag Parity');
+  console.log('-'.repeat(60));
+  const tagProblemTypes = (source, target) => compareTags(source, target).map(problem => problem.type).sort().join(',');
+  assert(tagProblemTypes('Click <link>here</link>', 'Kliknij <link>tutaj</link>') === '', 'Matching tags pass');
+  assert(tagProblemTypes('Line<br>two', 'Linia<br/>dwa') === '', 'Void and self-closing tags need no closing tag');
+  assert(tagProblemTypes('Click <link>here</link> to <b>save</b>', 'Kliknij <link>tutaj</link>') === 'missing_tag', 'Dropped tags are flagged');
+  assert(tagProblemTypes('<b>Save</b>', '<strong>Zapisz</strong>') === 'extra_tag,missing_tag', 'Renamed tags are flagged');
+  assert(parseTags('<b><i>x</b></i>').errors.length === 2, 'Mis-closed tags are unbalanced');
+  assert(tagProblemTypes(null, '<b>Save') === 'unbalanced_tag', 'Unclosed tags are flagged without a source');
+  assert(tagProblemTypes('<p>Hi <b>you</b></p>', '<p>Cześć</p> <b>ty</b>') === 'nesting_mismatch', 'Tags moved out of their parent are flagged');
+  assert(tagProblemTypes('<b>x</b> and <i>y</i>', '<i>y</i> i <b>x</b>') === 'reordered_tags', 'Reordered tags are reported');
+  console.log();
+
+  // Test 21: CLDR plural category completeness
+  console.log('Test 21: CLDR Plural Category Completeness');
+  console.log('-'.repeat(60));
+  const pluralMessage = '{count, plural, one {# item} other {# items}}';
+  assert(findIcuPluralGaps(pluralMessage, 'en').length === 0, 'English needs only one/other');
+  const polishGaps = findIcuPluralGaps(pluralMessage, 'pl');
+  assert(polishGaps.length === 1 && polishGaps[0].missingCategories.join(',') === 'few,many', 'Polish ICU plural lacks few/many');
+  assert(findIcuPluralGaps('{place, selectordinal, one {#st} other {#th}}', 'en')[0].missingCategories.join(',') === 'two,few', 'Ordinal categories are checked separately');
+  const pluralGroups = groupPluralSuffixKeys(['cart.files_one', 'cart.files_other', 'step_one', 'rank_ordinal_other']);
+  assert(pluralGroups.size === 2 && !Array.from(pluralGroups.values()).some(group => group.base === 'step'), 'Suffix keys without _other are not plurals');
+  const polishKeys = new Set(['cart.files_one', 'cart.files_few', 'cart.files_other']);
+  const suffixGaps = findSuffixPluralGaps(pluralGroups.get('cart.files'), key => polishKeys.has(key), 'pl');
+  assert(suffixGaps && suffixGaps.missingKeys.join(',') === 'cart.files_many', 'Missing suffix keys are named');
+  assert(findSuffixPluralGaps(pluralGroups.get('cart.files'), key => key === 'cart.files_other', 'ja') === null, 'Japanese needs only _other');
+  console.log();
+
+  // Test 22: Length limits
+  console.log('Test 22: Length Limits');
+  console.log('-'.repeat(60));
+  assert(compileKeyGlob('buttons.*').test('buttons.save') && !compileKeyGlob('buttons.*').test('buttons.form.save'), '* matches one key segment');
+  assert(compileKeyGlob('checkout.**').test('checkout.form.submit'), '** matches nested keys');
+  const lengthConstraints = parseLengthConstraints({
+    maxSourceRatio: 2,
+    keys: { 'buttons.*': { maxChars: 10, maxLines: 1 }, 'buttons.save': { maxChars: 15 } }
+  });
+  const saveLimits = resolveLengthLimits('buttons.save', lengthConstraints);
+  assert(saveLimits.maxChars === 15 && saveLimits.maxLines === 1 && saveLimits.maxSourceRatio === 2, 'Exact keys override globs per field');
+  assert(countCharacters('Grüße 👍🏽') === 7, 'Characters are counted as displayed');
+  const lengthTypes = (value, source, key) => checkLength(value, source, resolveLengthLimits(key, lengthConstraints)).map(problem => problem.type).join(',');
+  assert(lengthTypes('Abbrechen', 'Cancel', 'buttons.cancel') === '', 'Values within limits pass');
+  assert(lengthTypes('Ja<br>los', 'Yes', 'buttons.confirm') === 'max_lines', 'Line breaks count against maxLines');
+  assert(lengthTypes('Einkaufswagen leeren', 'Empty cart', 'buttons.empty') === 'max_chars', 'Long values exceed maxChars');
+  assert(lengthTypes('Ihre Bestellung wurde erfolgreich an uns übermittelt', 'Order sent', 'checkout.done') === 'source_ratio', 'Values far longer than the source are flagged');
+  assert(lengthTypes('Okay, verstanden', 'OK', 'checkout.ok') === '', 'Short sources are not ratio-checked');
+  console.log();
+
+  // Test 23: Untranslated copies of the source locale
+  console.log('Test 23: Untranslated Copies');
+  console.log('-'.repeat(60));
+  assert(normalizeCopyText('Hello, {name}! <b>Welcome</b>') === 'hello welcome', 'Placeholders, tags and punctuation are ignored');
+  assert(detectSourceCopy('{count} items', '{count} items')?.match === 'identical', 'Exact copies are identical');
+  assert(detectSourceCopy('Add to cart', 'Add to Cart!')?.match === 'near_identical', 'Case and punctuation changes are near-identical');
+  assert(detectSourceCopy('Shopping cart overview', 'Shopping cart overveiw')?.match === 'near_identical', 'Small edits are near-identical');
+  assert(detectSourceCopy('Add to cart', 'Dodaj do koszyka') === null, 'Translations are not copies');
+  assert(detectSourceCopy('{price} €', '{price} €') === null, 'Values without text are not copies');
+  const copyAllowlist = parseCopyAllowlist({ keys: ['brand.**'], values: ['PayPal'], localeValues: { 'de-de': ['Name'] } });
+  assert(isAllowedCopy(copyAllowlist, 'brand.logo.alt', 'pl-pl', 'Acme'), 'Allowlisted keys may be copies');
+  assert(isAllowedCopy(copyAllowlist, 'pay', 'pl-pl', 'paypal'), 'Allowlisted values match ignoring case');
+  assert(isAllowedCopy(copyAllowlist, 'name', 'de-de', 'Name') && !isAllowedCopy(copyAllowlist, 'name', 'pl-pl', 'Name'), 'Locale values apply to their locale only');
+  console.log();
+
+  // Test 24: Glossary and terminology
+  console.log('Test 24: Glossary and Terminology');
+  console.log('-'.repeat(60));
+  assert(compileTermPattern('ram*', false).test('Wybierz ramę') && !compileTermPattern('ram*', false).test('program'), 'Wildcard terms match word endings only');
+  assert(!compileTermPattern('frame', false).test('framework'), 'Plain terms match whole words');
+  const glossary = parseGlossary({
+    terms: [
+      { term: 'frame*', note: 'Product category', translations: { pl: { preferred: ['ram*'], forbidden: ['ramk*'] }, 'de-de': { preferred: 'Rahmen' } } },
+      { term: 'Cart', caseSensitive: true, translations: { pl: { preferred: ['koszyk*'] } } }
+    ]
+  });
+  assert(findGlossaryTerms(glossary, 'Our Frames').length === 1 && findGlossaryTerms(glossary, 'Your cart').length === 0, 'Source terms are found, respecting case sensitivity');
+  const termTypes = (source, target, locale) => checkTerms(glossary, source, target, locale).map(problem => problem.type).join(',');
+  assert(termTypes('Choose a frame', 'Wybierz ramę', 'pl-pl') === '', 'Preferred terms pass (looked up by language)');
+  assert(termTypes('Choose a frame', 'Wybierz ramkę', 'pl-pl') === 'forbidden_term', 'Forbidden terms are flagged');
+  assert(termTypes('Our frames', 'Nasze produkty', 'pl-pl') === 'missing_preferred_term', 'Missing preferred terms are flagged');
+  assert(termTypes('Choose a frame', 'Wählen Sie eine Fassung', 'de-de') === 'missing_preferred_term', 'Rules are looked up by locale');
+  assert(termTypes('Choose a frame', 'Choisissez un cadre', 'fr-fr') === '', 'Locales without rules are not checked');
+  const describedEntry = describeGlossaryEntry(glossary[0], ['en-gb', 'pl-pl']);
+  assert(describedEntry.note === 'Product category' && Object.keys(describedEntry.translations).join(',') === 'pl-pl' && !describedEntry.pattern, 'Entries are described per locale without internals');
+  console.log();
+
+  // Test 25: Do-not-translate tokens
+  console.log('Test 25: Do-Not-Translate Tokens');
+  console.log('-'.repeat(60));
+  const { patterns: protectedPatterns, invalid: invalidPatterns } = parseProtectedTokens({
+    literals: ['Framky', 'Framky w domu'],
+    patterns: ['\\bFR-\\d{4,}\\b', 'https?://[^\\s<>"]+', '(']
+  });
+  assert(invalidPatterns.join(',') === '(', 'Invalid patterns are reported, not thrown');
+  const promoTokens = findProtectedTokens('Framky w domu: FR-12345 at https://framky.com/sale', protectedPatterns);
+  assert(['Framky w domu', 'Framky', 'FR-12345', 'https://framky.com/sale'].every(token => promoTokens.includes(token)), 'Literal and regex tokens are found');
+  assert(checkProtectedTokens('Order FR-12345', 'Zamów FR-12345', protectedPatterns).length === 0, 'Unchanged tokens pass');
+  const changedTokens = checkProtectedTokens('Buy Framky at https://framky.com', 'Kup Framki na https://framky.pl', protectedPatterns);
+  assert(changedTokens.map(problem => problem.token).join(',') === 'Framky,https://framky.com', 'Changed tokens are reported');
+  const protectedSpaces = insertNonBreakingSpaces('Kup Framky w domu i w sklepie', 'pl', protectedPatterns);
+  assert(protectedSpaces.includes('Framky w domu') && protectedSpaces.includes('w\u00A0sklepie'), 'Non-breaking spaces skip protected tokens only');
+  console.log();
+
+  // Test 26: Lint rules
+  console.log('Test 26: Lint Rules');
+  console.log('-'.repeat(60));
+  const lintConfig = resolveLintConfig(BUILT_IN_LINT_RULES, {
+    rules: { 'double-spaces': 'off', 'trailing-punctuation': 'info', 'disallowed-characters': ['error', { characters: ['\u00AD'] }], unknown: 'error' }
+  });
+  assert(!lintConfig.enabled.has('double-spaces') && lintConfig.enabled.get('trailing-punctuation').severity === 'info', 'Rules can be turned off or given another severity');
+  assert(lintConfig.unknownRules.join(',') === 'unknown', 'Unknown rules are reported');
+  const lintRules = (value, source, language = 'pl') => lintValue(lintConfig.enabled, { key: 'k', locale: language, language, value, source, isSourceLocale: source === null })
+    .map(problem => problem.rule).join(',');
+  assert(lintRules('Zapisz zmiany.', 'Save changes.') === '', 'Clean translations pass');
+  assert(lintRules('Zapisz zmiany. ', 'Save changes.') === 'whitespace', 'Trailing whitespace is reported');
+  assert(lintRules('Zapisz  zmiany.', 'Save changes.') === '', 'Disabled rules do not run');
+  assert(getTrailingPunctuation('変更を保存。') === '.' && getTrailingPunctuation('"Done!"') === '!', 'Full-width and quoted punctuation is normalized');
+  assert(lintRules('Zapisz zmiany', 'Save changes.') === 'trailing-punctuation', 'Missing final punctuation is reported');
+  assert(findUnbalancedPairs('„Cytat” (uwaga').length === 1 && findUnbalancedPairs('»Zitat« (Hinweis)').length === 0, 'Unclosed brackets are found; quotes of any direction balance');
+  assert(lintRules('1) Pierwszy', '1) First') === '', 'Unbalanced pairs the source has too are allowed');
+  assert(lintRules('Открыть настройки', 'Open settings').startsWith('script'), 'Letters in the wrong script are reported');
+  assert(lintRules('設定を開く iPhone', 'Open settings on iPhone', 'ja') === '', 'Latin brand names are allowed in other scripts');
+  assert(lintRules('Dzie\u00ADlenie', null) === 'disallowed-characters', 'Configured disallowed characters are reported');
+  const severities = lintValue(lintConfig.enabled, { key: 'k', locale: 'pl', language: 'pl', value: ' Test\u00AD', source: 'Test.', isSourceLocale: false });
+  assert(severities[0].severity === 'error' && severities[severities.length - 1].severity === 'info', 'Problems are sorted by severity');
+  console.log();
+
+  // Test 27: Review lifecycle
+  console.log('Test 27: Review Lifecycle');
+  console.log('-'.repeat(60));
+  const reviewLocales = ['cs-cz', 'pl-pl'];
+  const legacyCheck = parseCheckFile({ 'common.button.save': true, 'common.button.cancel': false, 'home.title': 'yes' }, reviewLocales);
+  assert(legacyCheck.migratedFrom === 1 && legacyCheck.states.get('common.button.save')['cs-cz'] === 'approved', 'Legacy checked keys migrate to approved in every locale');
+  assert(legacyCheck.states.get('common.button.cancel')['pl-pl'] === 'translated', 'Legacy unchecked keys migrate to translated');
+  assert(legacyCheck.invalid.join(',') === 'home.title (cs-cz),home.title (pl-pl)', 'Non-boolean legacy values are reported');
+  const keyStateCheck = parseCheckFile({ version: 2, states: { 'common.button.save': 'rejected' } }, reviewLocales);
+  assert(keyStateCheck.migratedFrom === 2 && keyStateCheck.states.get('common.button.save')['pl-pl'] === 'rejected', 'Per-key states migrate to every locale');
+  const storedCheck = parseCheckFile(serializeCheckFile([['common.button.save', { 'cs-cz': 'approved', 'pl-pl': 'stale' }]]), reviewLocales);
+  assert(storedCheck.migratedFrom === null && storedCheck.states.get('common.button.save')['pl-pl'] === 'stale', 'Per-locale states round-trip through translation-check.json');
+  assert(parseCheckFile({ version: 3, states: { a: { 'pl-pl': 'done' } } }, reviewLocales).invalid.join(',') === 'a (pl-pl)', 'Unknown states are reported');
+  assert(!canTransition('new', 'approved') && canTransition('translated', 'approved'), 'Translations without a value cannot be approved');
+  assert(canTransition('rejected', 'translated') && canTransition('approved', 'stale'), 'Rejected translations go back to translation and approved ones can go stale');
+  assert(REVIEW_STATES.every(state => !canTransition(state, 'new')), 'No translation returns to new');
+  console.log();
+
+  // Test 28: Comment threads
+  console.log('Test 28: Comment Threads');
+  console.log('-'.repeat(60));
+  const createdAt = '2025-01-01T00:00:00.000Z';
+  const threads = [createThread([], { key: 'common.button.save', locale: 'pl-pl', text: 'Too formal?', author: 'anna', createdAt })];
+  threads.push(createThread(threads, { key: 'common.button.save', text: 'Check the width', createdAt }));
+  threads.push({ ...createThread(threads, { key: 'home.title', text: 'Fixed', createdAt }), status: 'resolved' });
+  assert(threads.map(thread => thread.id).join(',') === '1,2,3', 'Threads are numbered in order');
+  assert(!('locale' in threads[1]) && !('author' in threads[1].comments[0]), 'Optional locale and author are left out');
+  assert(filterThreads(threads, { locale: 'cs-cz' }).map(thread => thread.id).join(',') === '2', 'Threads on the whole key match every locale');
+  assert(filterThreads(threads, { key: 'common.button.save', locale: 'pl-pl' }).length === 2, 'Locale threads match their own locale');
+  assert(filterThreads(threads, { status: 'all', keyPrefix: 'home.' }).length === 1 && filterThreads(threads).length === 2, 'Resolved threads are hidden unless asked for');
+  const parsedThreads = parseCommentFile(JSON.parse(JSON.stringify(serializeCommentFile([...threads, { id: 4, key: 'x', comments: [] }]))));
+  assert(parsedThreads.length === 3 && parsedThreads[2].status === 'resolved', 'Threads round-trip through the comments file, empty ones are dropped');
+  console.log();
+
+  // Test 29: Audit journal
+  console.log('Test 29: Audit Journal');
+  console.log('-'.repeat(60));
+  const auditTime = '2025-01-01T00:00:00.000Z';
+  const addEntry = createAuditEntry({ operation: 'add', key: 'home.title', locale: 'pl-pl', oldValue: undefined, newValue: 'Strona' }, 'anna', auditTime);
+  assert(Object.keys(addEntry).join(',') === 'time,actor,operation,key,locale,newValue', 'Entries leave out a missing old value');
+  const reviewEntry = createAuditEntry({ operation: 'review', key: 'home.title', locale: 'pl-pl', oldValue: 'translated', newValue: 'approved' }, null, auditTime);
+  const rejectEntry = createAuditEntry({ operation: 'review', key: 'home.title', locale: 'pl-pl', oldValue: 'translated', newValue: 'rejected', reason: 'Too formal' }, 'anna', auditTime);
+  assert(!('reason' in reviewEntry) && rejectEntry.reason === 'Too formal', 'Review entries keep the reason of a rejection');
+  const auditLines = formatAuditLines([addEntry, reviewEntry]);
+  assert(auditLines.split('\n').length === 3 && auditLines.endsWith('\n'), 'Each entry is one line');
+  const parsedAudit = parseAuditLog(`${auditLines}not json\n\n`);
+  assert(parsedAudit.entries.length === 2 && parsedAudit.entries[1].newValue === 'approved', 'Entries are parsed in file order');
+  assert(parsedAudit.invalidLines.join(',') === '3', 'Broken lines are reported by line number');
+  console.log();
+
+  // Test 30: Source hashes
+  console.log('Test 30: Source Hashes');
+  console.log('-'.repeat(60));
+  const saveHash = hashSourceText('Save');
+  assert(/^[0-9a-f]{16}$/.test(saveHash) && saveHash === hashSourceText('Save') && saveHash !== hashSourceText('Save file'), 'Source texts hash to short stable hashes');
+  assert(hashSourceText(undefined) === null && hashSourceText({ one: 'file' }) !== hashSourceText({ one: 'files' }), 'Missing sources have no hash; plural values are hashed');
+  const hashedCheck = parseCheckFile(JSON.parse(JSON.stringify(serializeCheckFile(
+    [['common.button.save', { 'pl-pl': 'stale' }]],
+    [['common.button.save', { 'pl-pl': saveHash }]],
+    [[saveHash, 'Save']]
+  ))), reviewLocales);
+  assert(hashedCheck.sourceHashes.get('common.button.save')['pl-pl'] === saveHash && hashedCheck.sourceTexts.get(saveHash) === 'Save', 'Source hashes and texts round-trip through translation-check.json');
+  const unhashedCheck = parseCheckFile({ version: 3, states: { 'common.button.save': { 'pl-pl': 'approved' } } }, reviewLocales);
+  assert(unhashedCheck.migratedFrom === 3 && unhashedCheck.sourceHashes.size === 0 && unhashedCheck.states.get('common.button.save')['pl-pl'] === 'approved', 'Version 3 files migrate without source hashes');
+  console.log();
+
+  // Test 31: Review queue order and cursors
+  console.log('Test 31: Review Queue');
+  console.log('-'.repeat(60));
+  const queueItems = [
+    { key: 'home.title', index: 0, changedAt: '' },
+    { key: 'common.button.save', index: 1, changedAt: '2025-01-02T00:00:00.000Z' },
+    { key: 'auth.login', index: 2, changedAt: '2025-01-01T00:00:00.000Z' },
+    { key: 'common.button.cancel', index: 3, changedAt: '2025-01-02T00:00:00.000Z' }
+  ];
+  const sortQueue = order => [...queueItems].sort((a, b) => compareQueueItems(a, b, order)).map(item => item.key).join(',');
+  assert(sortQueue('catalog') === 'home.title,common.button.save,auth.login,common.button.cancel', 'Catalog order keeps the file order');
+  assert(sortQueue('key') === 'auth.login,common.button.cancel,common.button.save,home.title', 'Key order is alphabetical');
+  assert(sortQueue('recent') === 'common.button.cancel,common.button.save,auth.login,home.title', 'Recent order puts the latest changes first and unknown times last');
+  const queueCursor = decodeCursor(encodeCursor(queueItems[1], 'recent'));
+  assert(queueCursor.order === 'recent' && queueItems.filter(item => compareQueueItems(item, queueCursor, 'recent') > 0).length === 2, 'Cursors round-trip and mark where the next page starts');
+  assert(decodeCursor('not a cursor') === null && decodeCursor(Buffer.from('{"order":"size"}').toString('base64url')) === null, 'Invalid cursors are rejected');
+  console.log();
+
+  // Test 32: Review batch leases
+  console.log('Test 32: Review Batch Leases');
+  console.log('-'.repeat(60));
+  const leaseTime = new Date('2025-01-01T10:00:00.000Z');
+  const leases = [
+    createLease({ key: 'home.title', reviewer: 'agent-1', now: leaseTime }),
+    createLease({ key: 'common.button.save', reviewer: 'agent-2', locales: ['pl-pl'], now: leaseTime, minutes: 5 })
+  ];
+  assert(leases[0].expiresAt === '2025-01-01T10:30:00.000Z' && !('locales' in leases[0]), 'Leases last 30 minutes by default and cover all locales unless limited');
+  assert(findBlockingLease(leases, { key: 'home.title', reviewer: 'agent-2', now: leaseTime }) === leases[0], 'A key claimed by another reviewer is blocked');
+  assert(!findBlockingLease(leases, { key: 'home.title', reviewer: 'agent-1', now: leaseTime }), 'Reviewers are not blocked by their own leases');
+  assert(!findBlockingLease(leases, { key: 'common.button.save', locales: ['cs-cz'], reviewer: 'agent-1', now: leaseTime }), 'Leases on other locales do not block');
+  const laterTime = new Date('2025-01-01T10:10:00.000Z');
+  assert(!findBlockingLease(leases, { key: 'common.button.save', reviewer: 'agent-1', now: laterTime }), 'Expired leases do not block');
+  const storedLeases = parseLeaseFile(JSON.parse(JSON.stringify(serializeLeaseFile([...leases, { key: 'x' }]))), laterTime);
+  assert(storedLeases.length === 1 && storedLeases[0].key === 'home.title', 'Active leases survive the leases file; expired and broken ones are dropped');
+  console.log();
+
+  // Test 33: Rejection reasons
+  console.log('Test 33: Rejection Reasons');
+  console.log('-'.repeat(60));
+  const rejection = { reason: 'Too formal', reviewer: 'anna', rejectedAt: '2025-01-01T00:00:00.000Z' };
+  const rejectedCheck = parseCheckFile(JSON.parse(JSON.stringify(serializeCheckFile(
+    [['common.button.save', { 'pl-pl': 'rejected' }]], [], [],
+    [['common.button.save', { 'pl-pl': rejection, 'cs-cz': { reviewer: 'anna' } }]]
+  ))), reviewLocales);
+  assert(rejectedCheck.rejections.get('common.button.save')['pl-pl'].reason === 'Too formal', 'Rejection reasons round-trip through translation-check.json');
+  assert(!('cs-cz' in rejectedCheck.rejections.get('common.button.save')), 'Rejections without a reason are dropped');
+  const unreasonedCheck = parseCheckFile({ version: 4, states: { 'common.button.save': { 'pl-pl': 'rejected' } }, sourceHashes: {}, sourceTexts: {} }, reviewLocales);
+  assert(unreasonedCheck.migratedFrom === 4 && unreasonedCheck.rejections.size === 0 && unreasonedCheck.states.get('common.button.save')['pl-pl'] === 'rejected', 'Version 4 files migrate without rejection reasons');
+  console.log();
+
+  // Test 34: get_messages_to_check on a catalog
+  console.log('Test 34: get_messages_to_check - Filters, Order and Cursors');
+  console.log('-'.repeat(60));
+  const queueManager = await loadCatalog({
+    'en-us.json': { shop: { a: 'Apple', b: 'Banana', c: 'Cherry', d: 'Date' }, home: { title: 'Home' } },
+    'pl-pl.json': { shop: { a: 'Jabłko', b: 'Banan', c: 'Wiśnia', d: 'Daktyl ' }, home: { title: 'Strona' } },
+    'translation-lint.json': { rules: { whitespace: 'error' } },
+    'translation-audit.jsonl': formatAuditLines([
+      createAuditEntry({ operation: 'update', key: 'shop.b', locale: 'pl-pl', oldValue: 'Banany', newValue: 'Banan' }, 'anna', '2025-01-01T00:00:00.000Z'),
+      createAuditEntry({ operation: 'update', key: 'shop.c', locale: 'pl-pl', oldValue: 'Wisnia', newValue: 'Wiśnia' }, 'anna', '2025-01-03T00:00:00.000Z')
+    ])
+  });
+  const queueKeys = result => Object.keys(result.messages).join(',');
+  const firstPage = await queueManager.getMessagesToCheck({ n: 2, keyPrefix: 'shop.', order: 'key' });
+  assert(firstPage.count === 4 && queueKeys(firstPage) === 'shop.a,shop.b' && firstPage.nextCursor, 'The first page has the first messages, the count of all and a cursor');
+  assert(firstPage.messages['shop.a'].translations['pl-pl'] === 'Jabłko' && firstPage.messages['shop.a'].reviewStates['pl-pl'] === 'translated', 'Values are nested under translations next to reviewStates');
+  await queueManager.markChecked(['shop.a', 'shop.c']);
+  const secondPage = await queueManager.getMessagesToCheck({ n: 2, keyPrefix: 'shop.', order: 'key', cursor: firstPage.nextCursor });
+  assert(queueKeys(secondPage) === 'shop.d' && !secondPage.nextCursor, 'The next page continues after the cursor although messages were approved in between');
+  assert(queueKeys(await queueManager.getMessagesToCheck({ keyGlob: 'home.*' })) === 'home.title', 'keyGlob filters the keys');
+  assert(queueKeys(await queueManager.getMessagesToCheck({ changedSince: '2025-01-01T00:00:00.000Z' })) === 'shop.b', 'changedSince keeps keys changed since then according to the audit journal');
+  assert(queueKeys(await queueManager.getMessagesToCheck({ order: 'recent' })) === 'shop.b,home.title,shop.d', 'Recent order puts the latest changes first, then the rest by key');
+  assert(queueKeys(await queueManager.getMessagesToCheck({ hasLintErrors: true })) === 'shop.d', 'hasLintErrors keeps messages with lint errors');
+  const wrongCursor = await queueManager.getMessagesToCheck({ order: 'recent', cursor: firstPage.nextCursor });
+  assert(wrongCursor.success === false, 'A cursor of another order is rejected');
+  await removeCatalog(queueManager);
+  console.log();
+
+  // Test 35: claim_review_batch on a catalog shared by two servers
+  console.log('Test 35: claim_review_batch - Concurrent Reviewers');
+  console.log('-'.repeat(60));
+  const leaseManager = await loadCatalog({
+    'en-us.json': { k1: 'One', k2: 'Two', k3: 'Three', k4: 'Four', k5: 'Five', k6: 'Six' },
+    'pl-pl.json': { k1: 'Jeden', k2: 'Dwa', k3: 'Trzy', k4: 'Cztery', k5: 'Pięć', k6: 'Sześć' }
+  });
+  const secondServer = new TranslationManager();
+  await secondServer.initialize(leaseManager.messagesDir);
+  const batches = await Promise.all([
+    leaseManager.claimReviewBatch({ reviewer: 'r1', n: 2 }),
+    leaseManager.claimReviewBatch({ reviewer: 'r2', n: 2 }),
+    secondServer.claimReviewBatch({ reviewer: 'r3', n: 2 })
+  ]);
+  const claimedKeys = batches.flatMap(batch => Object.keys(batch.messages));
+  assert(batches.every(batch => batch.claimedCount === 2) && new Set(claimedKeys).size === 6, 'Claims at the same time, in one server or two, get different keys');
+  assert((await leaseManager.loadLeases()).length === 6, 'The leases file keeps the leases of both servers');
+  const otherReviewer = await leaseManager.getMessagesToCheck({ reviewer: 'r4' });
+  assert(otherReviewer.count === 0, 'Keys claimed by other reviewers are hidden from a reviewer');
+  const [r1Key] = Object.keys(batches[0].messages);
+  const unnamedReviewer = await leaseManager.getMessagesToCheck({ n: 6 });
+  assert(unnamedReviewer.messages[r1Key].lease.reviewer === 'r1', 'Without a reviewer, claimed keys show their lease');
+  const renewed = await leaseManager.claimReviewBatch({ reviewer: 'r1', n: 2, minutes: 60 });
+  const renewedLeases = (await leaseManager.loadLeases()).filter(lease => lease.reviewer === 'r1');
+  assert(queueKeys(renewed) === queueKeys(batches[0]) && renewedLeases.length === 2 && renewedLeases.every(lease => lease.expiresAt === renewed.expiresAt), 'Claiming again returns the own keys and renews their leases');
+  await secondServer.markChecked([r1Key]);
+  assert(!(await leaseManager.loadLeases()).some(lease => lease.key === r1Key), 'Reviewing a key on another server releases its lease for all servers');
+  const [r2Key] = Object.keys(batches[1].messages);
+  await leaseManager.markChecked([r2Key]);
+  const sharedCheck = JSON.parse(await fs.readFile(path.join(leaseManager.messagesDir, 'translation-check.json'), 'utf8'));
+  assert(sharedCheck.states[r1Key]['pl-pl'] === 'approved' && sharedCheck.states[r2Key]['pl-pl'] === 'approved', 'Review states saved by two servers are merged, not overwritten');
+  assert(!((await leaseManager.getMessagesToCheck({ n: 6 })).messages[r1Key]), 'Keys approved on another server leave the review queue');
+  secondServer.cleanup();
+  await removeCatalog(leaseManager);
+  console.log();
+
+  // Test 36: reject_translations on a catalog
+  console.log('Test 36: reject_translations - Reasons on Re-review');
+  console.log('-'.repeat(60));
+  const rejectManager = await loadCatalog({
+    'en-us.json': { cart: { pay: 'Pay now', back: 'Back' } },
+    'pl-pl.json': { cart: { pay: 'Zapłać teraz', back: 'Wróć' } }
+  });
+  const rejectResult = await rejectManager.rejectTranslations({ keyPrefix: 'cart.', reason: 'Too formal', reviewer: 'anna' });
+  assert(rejectResult.success && rejectResult.rejectedCount === 2, 'Rejecting returns the number of rejected translations');
+  assert((await rejectManager.getMessagesToCheck()).count === 0, 'Rejected translations leave the review queue');
+  await rejectManager.updateTranslations({ 'cart.pay': { 'pl-pl': 'Zapłać' } });
+  const reReview = await rejectManager.getMessagesToCheck();
+  assert(queueKeys(reReview) === 'cart.pay' && reReview.messages['cart.pay'].rejections['pl-pl'].reason === 'Too formal', 'A new value comes back for review with the reason of the rejection');
+  await rejectManager.rejectTranslations({ keys: ['cart.back'], reason: 'Use "Powrót"', state: 'needs_review' });
+  const history = await rejectManager.getKeyHistory({ key: 'cart.back' });
+  assert(history.entries[0].newValue === 'needs_review' && history.entries[0].reason === 'Use "Powrót"', 'The reason is recorded in the audit journal');
+  await rejectManager.markChecked(['cart.pay']);
+  const approvedCheck = JSON.parse(await fs.readFile(path.join(rejectManager.messagesDir, 'translation-check.json'), 'utf8'));
+  assert(!approvedCheck.rejections['cart.pay'] && approvedCheck.rejections['cart.back']['pl-pl'].reason === 'Use "Powrót"', 'Approving clears the reason; others are kept in translation-check.json');
+  await removeCatalog(rejectManager);
+  console.log();
+
+  // Test 37: Rails-style YAML file names
+  console.log('Test 37: Rails-style YAML File Names');
+  console.log('-'.repeat(60));
+  const railsManager = await loadCatalog({
+    'devise.en.yml': 'en:\n  devise:\n    sign_in: Sign in # keep\n',
+    'devise.pl.yml': 'pl:\n  devise:\n    sign_in: Zaloguj\n',
+    'en.yml': 'en:\n  home:\n    title: Home\n',
+    'pl.yml': 'pl:\n  home:\n    title: Start\n'
+  });
+  assert(railsManager.locales.join(',') === 'en,pl', 'devise.en.yml is loaded as locale en');
+  assert(railsManager.translations.get('devise.sign_in').translations.en === 'Sign in' && railsManager.translations.get('home.title').translations.en === 'Home', 'All files of a locale are loaded');
+  await railsManager.updateTranslations({ 'devise.sign_in': { pl: 'Zaloguj się' }, 'home.title': { pl: 'Strona' } });
+  await railsManager.addTranslations({ 'devise.sign_out': { en: 'Sign out' }, 'home.subtitle': { en: 'Welcome' } });
+  const readRails = filename => fs.readFile(path.join(railsManager.messagesDir, filename), 'utf8');
+  assert((await readRails('devise.pl.yml')).includes('sign_in: Zaloguj się') && (await readRails('pl.yml')).includes('title: Strona'), 'Updates are saved back to the file of each key');
+  const deviseEn = await readRails('devise.en.yml');
+  const mainEn = await readRails('en.yml');
+  assert(deviseEn.includes('sign_out: Sign out') && !deviseEn.includes('subtitle') && mainEn.includes('subtitle: Welcome') && !mainEn.includes('sign_out'), 'New keys go to the file of their siblings');
+  assert(deviseEn.includes('# keep'), 'Other files keep their content');
+  await removeCatalog(railsManager);
+  console.log();
+
+  // Test 38: Web keys with mobile prefixes
+  console.log('Test 38: Web Keys with Mobile Prefixes');
+  console.log('-'.repeat(60));
+  const webManager = await loadCatalog({
+    'en-us.json': { ios: { banner: 'Get the app' }, home: { title: 'Home' } },
+    'pl-pl.json': { ios: { banner: 'Pobierz aplikację' }, home: { title: 'Start' } }
+  });
+  await webManager.updateTranslations({ 'home.title': { 'pl-pl': 'Strona' } });
+  const webSaved = JSON.parse(await fs.readFile(path.join(webManager.messagesDir, 'pl-pl.json'), 'utf8'));
+  assert(webSaved.ios?.banner === 'Pobierz aplikację' && webSaved.home.title === 'Strona', 'ios. keys of web files are saved back when no Apple catalog is configured');
+  await removeCatalog(webManager);
+  const webNamespaceManager = await loadCatalog({
+    'en-us/android.json': { install: 'Install' },
+    'en-us/home.json': { title: 'Home' },
+    'pl-pl/android.json': { install: 'Zainstaluj' },
+    'pl-pl/home.json': { title: 'Start' }
+  }, { layout: 'namespaced' });
+  await webNamespaceManager.updateTranslations({ 'android.install': { 'pl-pl': 'Instaluj' } });
+  const namespaceSaved = JSON.parse(await fs.readFile(path.join(webNamespaceManager.messagesDir, 'pl-pl', 'android.json'), 'utf8'));
+  assert(namespaceSaved.install === 'Instaluj', 'An android namespace file keeps its keys');
+  await removeCatalog(webNamespaceManager);
+  console.log();
+
+  // Test 39: Namespaced layout on a catalog
+  console.log('Test 39: Namespaced Layout');
+  console.log('-'.repeat(60));
+  const namespacedManager = await loadCatalog({
+    'en-us/common.json': { button: { save: 'Save' } },
+    'en-us/home.json': { title: 'Home' },
+    'pl-pl/common.json': { button: { save: 'Zapisz' } },
+    'pl-pl/home.json': { title: 'Start' }
+  }, { layout: 'namespaced' });
+  const readNamespace = filename => fs.readFile(path.join(namespacedManager.messagesDir, filename), 'utf8');
+  assert(namespacedManager.locales.sort().join(',') === 'en-us,pl-pl' && namespacedManager.translations.get('common.button.save').translations['pl-pl'] === 'Zapisz', 'Namespace files are loaded with the namespace as key prefix');
+  const commonBefore = await readNamespace('pl-pl/common.json');
+  await namespacedManager.updateTranslations({ 'home.title': { 'pl-pl': 'Strona' } });
+  assert(JSON.parse(await readNamespace('pl-pl/home.json')).title === 'Strona' && await readNamespace('pl-pl/common.json') === commonBefore, 'A key is saved to its own namespace file only');
+  const unprefixed = await namespacedManager.addTranslations({ title: { 'en-us': 'Title' } });
+  assert(unprefixed.success === false && unprefixed.error.includes('no namespace') && !namespacedManager.translations.has('title'), 'Keys without a namespace are refused');
+  await namespacedManager.addTranslations({ 'checkout.pay': { 'pl-pl': 'Zapłać' } });
+  assert(JSON.parse(await readNamespace('pl-pl/checkout.json')).pay === 'Zapłać', 'A new namespace gets its own file');
+  await namespacedManager.deleteKeysByPrefix('home.');
+  assert(JSON.stringify(JSON.parse(await readNamespace('pl-pl/home.json'))) === '{}', 'A namespace that loses all its keys is kept as an empty file');
+  await removeCatalog(namespacedManager);
+  console.log();
+
+  // Test 40: Per-locale review states on a catalog
+  console.log('Test 40: Per-Locale Review States');
+  console.log('-'.repeat(60));
+  const localeReviewManager = await loadCatalog({
+    'en-us.json': { menu: { open: 'Open', close: 'Close' } },
+    'cs-cz.json': { menu: { open: 'Otevřít', close: 'Zavřít' } },
+    'hu-hu.json': { menu: { open: 'Megnyitás', close: 'Bezárás' } }
+  });
+  await localeReviewManager.markChecked(['menu.open'], ['cs-cz']);
+  const localeReviewed = localeReviewManager.translations.get('menu.open');
+  assert(localeReviewManager.getReviewState(localeReviewed, 'cs-cz') === 'approved' && localeReviewManager.getReviewState(localeReviewed, 'hu-hu') === 'translated', 'Approving in cs-cz leaves hu-hu unapproved');
+  const czechQueue = await localeReviewManager.getMessagesToCheck({ locales: ['cs-cz'] });
+  assert(queueKeys(czechQueue) === 'menu.close' && Object.keys(czechQueue.messages['menu.close'].translations).sort().join(',') === 'cs-cz,en-us', 'The locales filter keeps keys waiting in those locales and shows them next to the source');
+  const hungarianQueue = await localeReviewManager.getMessagesToCheck({ locales: ['hu-hu'] });
+  assert(queueKeys(hungarianQueue) === 'menu.open,menu.close' && Object.keys(hungarianQueue.messages['menu.open'].reviewStates).join(',') === 'hu-hu', 'Keys approved in another locale still wait in hu-hu');
+  const czechStatus = localeReviewManager.getTranslationStatus(['cs-cz']);
+  assert(czechStatus.waitingForCheck === 1 && czechStatus.reviewStates['cs-cz'].approved === 1 && !('hu-hu' in czechStatus.reviewStates), 'getTranslationStatus counts the filtered locales only');
+  assert(localeReviewManager.getTranslationStatus(['hu-hu']).waitingForCheck === 2 && localeReviewManager.getTranslationStatus().waitingForCheck === 2, 'A key waits without a filter while any locale waits');
+  await removeCatalog(localeReviewManager);
+  console.log();
+
+  // Test 41: Stale translations on a catalog
+  console.log('Test 41: Stale Translations');
+  console.log('-'.repeat(60));
+  const staleManager = await loadCatalog({
+    'en-us.json': { cart: { pay: 'Pay', back: 'Back', help: 'Help' } },
+    'pl-pl.json': { cart: { pay: 'Zapłać', back: 'Wróć', help: 'Pomoc' } }
+  });
+  await staleManager.markChecked(['cart.pay', 'cart.back', 'cart.help']);
+  assert(staleManager.getStaleTranslations().count === 0, 'Approved translations of unchanged sources are not stale');
+  await staleManager.updateTranslations({ 'cart.pay': { 'en-us': 'Pay now' } });
+  const editedStale = staleManager.getStaleTranslations();
+  assert(editedStale.count === 1 && editedStale.keys[0].key === 'cart.pay', 'A source edited through updateTranslations makes its translations stale');
+  assert(editedStale.keys[0].newSource === 'Pay now' && editedStale.keys[0].locales[0].oldSource === 'Pay' && editedStale.keys[0].locales[0].translation === 'Zapłać', 'Stale translations show the old and the new source text');
+  await fs.writeFile(path.join(staleManager.messagesDir, 'en-us.json'), JSON.stringify({ cart: { pay: 'Pay now', back: 'Go back', help: 'Help' } }, null, 2), 'utf8');
+  await staleManager.loadPreviousState();
+  await staleManager.loadTranslationsFromJson();
+  const reloadedStale = staleManager.getStaleTranslations();
+  assert(reloadedStale.keys.map(item => item.key).join(',') === 'cart.pay,cart.back', 'A source file edited on disk makes translations stale on reload');
+  assert(reloadedStale.keys[1].locales[0].oldSource === 'Back' && staleManager.getReviewState(staleManager.translations.get('cart.help'), 'pl-pl') === 'approved', 'The old source survives the reload; unchanged keys stay approved');
+  await removeCatalog(staleManager);
+  console.log();
+
+  // Test 42: Comment threads on a catalog
+  console.log('Test 42: Comment Threads in the Review Queue');
+  console.log('-'.repeat(60));
+  const commentManager = await loadCatalog({
+    'en-us.json': { menu: { open: 'Open', close: 'Close' } },
+    'cs-cz.json': { menu: { open: 'Otevřít', close: 'Zavřít' } },
+    'pl-pl.json': { menu: { open: 'Otwórz', close: 'Zamknij' } }
+  });
+  const polishThread = await commentManager.addComment({ key: 'menu.open', locale: 'pl-pl', text: 'Too formal?', author: 'anna' });
+  const keyThread = await commentManager.addComment({ key: 'menu.open', text: 'Check the width' });
+  const closedThread = await commentManager.addComment({ key: 'menu.close', text: 'Fine as it is' });
+  assert(polishThread.success && polishThread.threadId === 1 && closedThread.threadId === 3 && (await commentManager.addComment({ key: 'menu.missing', text: 'Typo' })).success === false, 'addComment starts numbered threads on known keys only');
+  const resolved = await commentManager.resolveComment({ threadId: closedThread.threadId, author: 'anna', text: 'Agreed' });
+  assert(resolved.status === 'resolved' && commentManager.listComments({ status: 'resolved' }).threads[0].comments.length === 2, 'resolveComment closes the thread with a closing comment');
+  const commentQueue = await commentManager.getMessagesToCheck();
+  assert(commentQueue.messages['menu.open'].comments.map(thread => thread.id).join(',') === '1,2', 'Open threads are shown with their messages');
+  assert(!('comments' in commentQueue.messages['menu.close']), 'Resolved threads are hidden');
+  const czechComments = (await commentManager.getMessagesToCheck({ locales: ['cs-cz'] })).messages['menu.open'].comments;
+  assert(czechComments.map(thread => thread.id).join(',') === `${keyThread.threadId}`, 'A locales filter hides threads on other locales');
+  const reopened = await commentManager.addComment({ threadId: closedThread.threadId, text: 'Still truncated on mobile' });
+  assert(reopened.status === 'open' && reopened.commentCount === 3 && (await commentManager.getMessagesToCheck()).messages['menu.close'].comments[0].id === closedThread.threadId, 'A reply reopens a resolved thread');
+  await removeCatalog(commentManager);
+  console.log();
+
+  // Test 43: Audit journal on a catalog
+  console.log('Test 43: Audit Journal of Changes');
+  console.log('-'.repeat(60));
+  const journalManager = await loadCatalog({
+    'en-us.json': { menu: { open: 'Open' } },
+    'pl-pl.json': { menu: { open: 'Otwórz' } }
+  });
+  journalManager.actor = 'anna';
+  const latestChange = async () => (await journalManager.getKeyHistory({ key: 'menu.help', locale: 'pl-pl' })).entries[0];
+  await journalManager.addTranslations({ 'menu.help': { 'en-us': 'Help', 'pl-pl': 'Pomoc' } });
+  const added = await latestChange();
+  assert(added.operation === 'add' && added.newValue === 'Pomoc' && !('oldValue' in added) && added.actor === 'anna', 'addTranslations records the new value and the actor');
+  await journalManager.updateTranslations({ 'menu.help': { 'pl-pl': 'Pomocy' } });
+  const updated = await latestChange();
+  assert(updated.operation === 'update' && updated.oldValue === 'Pomoc' && updated.newValue === 'Pomocy' && updated.actor === 'anna', 'updateTranslations records the old and the new value');
+  journalManager.actor = 'piotr';
+  await journalManager.markChecked(['menu.help']);
+  const reviewed = await latestChange();
+  assert(reviewed.operation === 'review' && reviewed.oldValue === 'translated' && reviewed.newValue === 'approved' && reviewed.actor === 'piotr', 'markChecked records the review state change');
+  await journalManager.deleteKeysByPrefix('menu.help');
+  const deleted = await latestChange();
+  assert(deleted.operation === 'delete' && deleted.oldValue === 'Pomocy' && !('newValue' in deleted) && deleted.actor === 'piotr', 'deleteKeysByPrefix records the deleted value');
+  const fullHistory = await journalManager.getKeyHistory({ key: 'menu.help' });
+  assert(fullHistory.entries.map(entry => entry.operation).join(',') === 'delete,delete,review,update,add,add' && fullHistory.entries.every(entry => entry.key === 'menu.help'), 'getKeyHistory lists the changes of every locale, newest first');
+  await removeCatalog(journalManager);
+  console.log();
+
+  // Test 44: Warnings of CSV and XLIFF imports
+  console.log('Test 44: Import Warnings');
+  console.log('-'.repeat(60));
+  const importManager = await loadCatalog({
+    'en-us.json': { greeting: 'Hello {name}', save: '<b>Save</b>', close: 'Close' },
+    'pl-pl.json': { greeting: 'Cześć {name}', save: '<b>Zapisz</b>', close: 'Zamknij' }
+  });
+  const csvImport = await importManager.importCsv({ content: translationsToCsv([{ key: 'greeting', translations: { 'pl-pl': 'Cześć {imie}' } }], ['pl-pl']) });
+  assert(csvImport.success && csvImport.changedCells === 1 && csvImport.placeholderWarnings?.[0]?.key === 'greeting', 'importCsv returns the placeholder warnings of the saved cells');
+  const xliffImport = await importManager.importXliff({ content: translationsToXliff({ units: [{ key: 'save', source: '<b>Save</b>', target: 'Zapisz' }], sourceLocale: 'en-us', targetLocale: 'pl-pl' }) });
+  assert(xliffImport.success && xliffImport.changedUnits === 1 && xliffImport.tagWarnings?.[0]?.key === 'save', 'importXliff returns the tag warnings of the saved units');
+  const cleanImport = await importManager.importCsv({ content: translationsToCsv([{ key: 'close', translations: { 'pl-pl': 'Zamknij okno' } }], ['pl-pl']) });
+  assert(cleanImport.success && !Object.keys(cleanImport).some(field => field.endsWith('Warnings')), 'Imports without problems have no warnings');
+  await removeCatalog(importManager);
+  console.log();
+
+  manager.cleanup();
+
   // Summary
   console.log('='.repeat(60));
   console.log('Test Summary');